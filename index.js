@@ -1,70 +1,103 @@
 const axios = require('axios');
 const WebSocket = require('ws');
 const crypto = require('crypto');
-require('dotenv').config();
-
-// Enhanced Configuration
-const CONFIG = {
-    // API Credentials
-    API_KEY: process.env.OKX_API_KEY,
-    SECRET_KEY: process.env.OKX_SECRET_KEY,
-    PASSPHRASE: process.env.OKX_PASSPHRASE,
-
-    // Environment
-    SANDBOX: process.env.OKX_SANDBOX === 'true',
-
-    // Trading Parameters
-    SYMBOL: process.env.SYMBOL || 'ETH-USDT',
-    BASE_CURRENCY_TRADE_AMOUNT: parseFloat(process.env.BASE_CURRENCY_TRADE_AMOUNT) || 0.0001, // 0.0001 ETH
-    PROFIT_PERCENTAGE_PER_TRADE: parseFloat(process.env.PROFIT_PERCENTAGE_PER_TRADE) || 0.2,
-    DCA_BUY_PERCENTAGE_BELOW: parseFloat(process.env.DCA_BUY_PERCENTAGE_BELOW) || 0.3,
-
-    // Performance Settings
-    IMMEDIATE_BUY_WAIT_MS: parseInt(process.env.IMMEDIATE_BUY_WAIT_MS) || 100,
-    API_RETRY_DELAY_MS: parseInt(process.env.API_RETRY_DELAY_MS) || 1000,
-    MAX_API_RETRIES: parseInt(process.env.MAX_API_RETRIES) || 3,
-    WS_PING_INTERVAL_MS: parseInt(process.env.WS_PING_INTERVAL_MS) || 15000,
-    HTTP_TIMEOUT_MS: parseInt(process.env.HTTP_TIMEOUT_MS) || 15000
-};
-
-// API URLs
-const BASE_URL = CONFIG.SANDBOX ? 'https://aws.okx.com' : 'https://www.okx.com';
-const WS_URL = CONFIG.SANDBOX ? 'wss://wspap.okx.com:8443/ws/v5/public' : 'wss://ws.okx.com:8443/ws/v5/public';
-const WS_PRIVATE_URL = CONFIG.SANDBOX ? 'wss://wspap.okx.com:8443/ws/v5/private' : 'wss://ws.okx.com:8443/ws/v5/private';
+const { CONFIG, getSymbolConfig, BASE_URL, WS_URL, WS_PRIVATE_URL, WS_BUSINESS_URL } = require('./src/config');
+const StateStore = require('./src/stateStore');
+const QuoteBudget = require('./src/quoteBudget');
+const BalanceTracker = require('./src/balanceTracker');
+const RateLimiter = require('./src/rateLimiter');
+const WsOrderGateway = require('./src/wsOrderGateway');
+const LatencyStats = require('./src/latencyStats');
+const PaperExchange = require('./src/paperExchange');
+const TickerReplay = require('./src/tickerReplay');
+const KillSwitch = require('./src/killSwitch');
+const ControlServer = require('./src/controlServer');
+const BotMetrics = require('./src/metrics');
+const Notifier = require('./src/notifier');
+const Logger = require('./src/logger');
+const TradeJournal = require('./src/tradeJournal');
+const { createStrategy } = require('./src/strategies');
+const { ORDER_STATE_CODES } = require('./src/okxErrors');
 
 // Enhanced OKX Trading Bot
 class OKXTradingBot {
     constructor() {
-        // Core State
-        this.instrumentDetails = null;
-        this.lastKnownPrice = null;
-        this.openSellOrders = new Map();
-        this.pendingDcaBuyOrder = null;
-        this.totalRealizedProfit = 0;
         this.isShuttingDown = false;
-        this.currentAggressiveBuyOrder = null;
 
         // Enhanced State Management
         this.lastSuccessfulWSMessage = Date.now();
         this.isReconnecting = false;
-        this.pendingOrderOperations = new Set();
+        this.isReconciling = false;
 
-        // Event-driven Aggressive Buy State
-        this.isInAggressiveBuyMode = false;
-        this.aggressiveBuyRetryTimeout = null;
+        // Until a symbol's saved state is restored, its order updates are held back and its ticks
+        // are dropped: an empty strategy would trade on them and overwrite the state file before
+        // it's read. Each symbol trades as soon as its own restore is done.
+        this.restoringSymbols = new Set(CONFIG.SYMBOLS);
+        this.heldOrderUpdates = [];
+
+        // Logging: one logger per subsystem, levels from LOG_LEVEL / LOG_LEVELS
+        this.logger = Logger.fromConfig(CONFIG);
+        this.apiLogger = this.logger.child('api');
+        this.wsLogger = this.logger.child('ws');
+        this.reconciliationLogger = this.logger.child('reconciliation');
 
         // Components
         this.axiosInstance = this.createAxiosInstance();
+        this.rateLimiter = new RateLimiter({
+            utilization: CONFIG.RATE_LIMIT_UTILIZATION_PERCENT / 100,
+            maxInFlight: CONFIG.RATE_LIMIT_MAX_IN_FLIGHT,
+            logger: this.apiLogger
+        });
+        this.orderLatency = new LatencyStats();
+        this.orderGateway = CONFIG.WS_ORDER_ENTRY
+            ? new WsOrderGateway({ timeoutMs: CONFIG.WS_ORDER_TIMEOUT_MS, latency: this.orderLatency })
+            : null;
+        this.budget = new QuoteBudget(CONFIG.MAX_QUOTE_BUDGET);
+        this.balances = new BalanceTracker();
+        this.killSwitch = new KillSwitch({
+            filePath: CONFIG.KILL_SWITCH_FILE,
+            symbols: CONFIG.SYMBOLS,
+            defaultAction: CONFIG.KILL_SWITCH_ACTION
+        });
+        this.notifier = Notifier.fromConfig(CONFIG, this.logger);
+        this.journal = TradeJournal.fromConfig(CONFIG, this.logger);
+        this.logger.on('entry', entry => {
+            if (entry.level === 'error') {
+                this.notifier?.recordError(`${entry.symbol ? `[${entry.symbol}] ` : ''}${entry.msg}${entry.error ? ` ${entry.error}` : ''}`);
+            }
+        });
+        this.strategies = new Map();
+        this.metrics = CONFIG.METRICS_PORT
+            ? new BotMetrics({ strategies: this.strategies, getConnections: () => this.getConnections() })
+            : null;
+        CONFIG.SYMBOLS.forEach(symbol => this.strategies.set(symbol, this.createStrategy(symbol)));
+        this.controlServer = CONFIG.CONTROL_API_PORT
+            ? new ControlServer({
+                host: CONFIG.CONTROL_API_HOST,
+                port: CONFIG.CONTROL_API_PORT,
+                token: CONFIG.CONTROL_API_TOKEN,
+                strategies: this.strategies,
+                killSwitch: this.killSwitch,
+                logger: this.logger,
+                getInfo: () => ({
+                    paper: CONFIG.PAPER,
+                    startedAt: new Date(this.startedAt).toISOString(),
+                    shuttingDown: this.isShuttingDown
+                })
+            })
+            : null;
+        this.paperExchange = CONFIG.PAPER ? this.createPaperExchange() : null;
+        this.tickerReplay = CONFIG.PAPER && CONFIG.PAPER_REPLAY_FILE
+            ? new TickerReplay(CONFIG.PAPER_REPLAY_FILE, CONFIG.PAPER_REPLAY_SPEED, CONFIG.SYMBOLS[0])
+            : null;
 
         // WebSocket State
         this.wsPublic = null;
         this.wsPrivate = null;
+        this.wsCandles = null;
         this.lastPublicPing = Date.now();
+        this.lastCandlePing = Date.now();
         this.lastPrivatePing = Date.now();
-
-        // Setup
-        this.setupGracefulShutdown();
-        this.setupHealthMonitoring();
     }
 
     createAxiosInstance() {
@@ -78,6 +111,56 @@ class OKXTradingBot {
         });
     }
 
+    createStrategy(symbol) {
+        const config = getSymbolConfig(symbol);
+        const stateStore = new StateStore(config.STATE_FILE);
+        if (stateStore.migrateFrom(CONFIG.STATE_FILE, symbol)) {
+            this.log(`📦 Moved the ${symbol} state from ${CONFIG.STATE_FILE} to ${config.STATE_FILE} (one state file per symbol)`);
+        }
+
+        return createStrategy({
+            config,
+            api: this,
+            logger: this.logger,
+            stateStore,
+            budget: this.budget,
+            balances: this.balances,
+            killSwitch: this.killSwitch,
+            metrics: this.metrics,
+            notifier: this.notifier,
+            journal: this.journal
+        });
+    }
+
+    createPaperExchange() {
+        const balances = {};
+        const instruments = CONFIG.SYMBOLS.map(symbol => {
+            const [baseCcy, quoteCcy] = symbol.split('-');
+            balances[baseCcy] = CONFIG.PAPER_BASE_BALANCE;
+            balances[quoteCcy] = CONFIG.PAPER_QUOTE_BALANCE;
+
+            return {
+                instType: 'SPOT',
+                instId: symbol,
+                baseCcy,
+                quoteCcy,
+                tickSz: CONFIG.PAPER_TICK_SIZE,
+                lotSz: CONFIG.PAPER_LOT_SIZE,
+                minSz: CONFIG.PAPER_MIN_SIZE,
+                state: 'live'
+            };
+        });
+
+        return new PaperExchange({
+            balances,
+            instruments,
+            makerFeePercent: CONFIG.PAPER_MAKER_FEE_PERCENT,
+            takerFeePercent: CONFIG.PAPER_TAKER_FEE_PERCENT,
+            partialFillPercent: CONFIG.PAPER_PARTIAL_FILL_PERCENT,
+            stateFile: CONFIG.PAPER_STATE_FILE
+        });
+    }
+
     setupGracefulShutdown() {
         const shutdown = () => this.gracefulShutdown();
         process.on('SIGINT', shutdown);
@@ -90,54 +173,155 @@ class OKXTradingBot {
         }, CONFIG.WS_PING_INTERVAL_MS);
     }
 
-    log(message) {
-        console.log(`[${new Date().toISOString()}] ${message}`);
+    // Socket pushes can be lost without the connection dropping: check against the exchange regularly
+    setupPeriodicReconciliation() {
+        setInterval(() => {
+            if (!this.isShuttingDown && !this.isReconnecting) {
+                this.reconcileOrders();
+            }
+        }, CONFIG.RECONCILE_INTERVAL_MINUTES * 60000);
+    }
+
+    // Strategies check the kill switch themselves when they resume; from then on the files
+    // are polled and the strategies halt and re-arm on its events
+    setupKillSwitch() {
+        this.log(`Kill switch: create ${this.killSwitch.filePath} (or ${this.killSwitch.filePath}.<SYMBOL>) to halt trading, delete it to re-arm`);
+        this.killSwitch.check();
+
+        setInterval(() => {
+            try {
+                this.killSwitch.check();
+            } catch (error) {
+                this.error('Failed to check the kill switch:', error.message);
+            }
+        }, CONFIG.KILL_SWITCH_POLL_MS);
+    }
+
+    updatePrice(symbol, price, bestBid = null, bestAsk = null, ts = undefined) {
+        const strategy = this.strategies.get(symbol);
+        if (!strategy) return;
+
+        if (!this.restoringSymbols.has(symbol)) {
+            strategy.updatePrice(price, bestBid, bestAsk, ts);
+        }
+        this.paperExchange?.onTicker(symbol, price);
     }
 
-    error(message, error = null) {
-        console.error(`[${new Date().toISOString()}] ERROR: ${message}`, error || '');
+    // Top of a `bbo-tbt` / `books5` snapshot: levels are [price, size, ...], best first
+    updateBestBidAsk(symbol, book) {
+        const strategy = this.strategies.get(symbol);
+        if (!strategy || !book || this.restoringSymbols.has(symbol)) return;
+
+        strategy.updateBestBidAsk(parseFloat(book.bids?.[0]?.[0]), parseFloat(book.asks?.[0]?.[0]));
     }
 
-    // Enhanced signature generation
-    sign(timestamp, method, requestPath, body = '') {
-        const message = timestamp + method + requestPath + body;
-        return crypto.createHmac('sha256', CONFIG.SECRET_KEY).update(message).digest('base64');
+    // One private connection serves every symbol: route order updates by instrument
+    routeOrderUpdate(orderUpdate) {
+        this.strategies.get(orderUpdate.instId)?.handleOrderUpdate(orderUpdate);
     }
 
-    generateClientOrderId() {
-        const timestamp = Date.now().toString();
-        const randomSuffix = Math.random().toString(36).substring(2, 8);
-        return `bot${timestamp}${randomSuffix}`.substring(0, 32);
+    handlePrivateMessage(message) {
+        const channel = message.arg?.channel;
+        if (channel === 'account') {
+            for (const accountUpdate of message.data) {
+                this.balances.applyDetails(accountUpdate.details);
+            }
+            return;
+        }
+
+        for (const update of message.data) {
+            if (this.restoringSymbols.has(update.instId)) {
+                this.heldOrderUpdates.push({ channel, update });
+            } else if (channel === 'algo-advance') {
+                this.strategies.get(update.instId)?.handleAlgoUpdate(update);
+            } else {
+                this.routeOrderUpdate(update);
+            }
+        }
     }
 
-    // Price/Size calculations
-    roundPrice(price) {
-        if (!this.instrumentDetails?.tickSz) return price;
-        const tickSize = parseFloat(this.instrumentDetails.tickSz);
-        return Math.round(price / tickSize) * tickSize;
+    // The symbol's restore is done: apply the order updates that came in meanwhile (ones the
+    // restore already applied are skipped) and let it trade
+    finishRestoring(symbol) {
+        this.restoringSymbols.delete(symbol);
+        const held = this.heldOrderUpdates.filter(({ update }) => update.instId === symbol);
+        this.heldOrderUpdates = this.heldOrderUpdates.filter(({ update }) => update.instId !== symbol);
+
+        if (held.length > 0) {
+            this.reconciliationLogger.info(`Applying ${held.length} ${symbol} order updates received while restoring`);
+        }
+        held.forEach(({ channel, update }) => this.handlePrivateMessage({ arg: { channel }, data: [update] }));
     }
 
-    roundSize(size) {
-        if (!this.instrumentDetails?.lotSz) return size;
-        const lotSize = parseFloat(this.instrumentDetails.lotSz);
-        return Math.round(size / lotSize) * lotSize;
+    log(message, fields) {
+        this.logger.info(message, fields);
     }
 
-    // ✅ Updated to use fixed BASE_CURRENCY_TRADE_AMOUNT
-    calculateTradeSize(price) {
-        return this.roundSize(CONFIG.BASE_CURRENCY_TRADE_AMOUNT);
+    error(message, error = null, fields) {
+        this.logger.error(message, error, fields);
+    }
+
+    // Enhanced signature generation
+    sign(timestamp, method, requestPath, body = '') {
+        const message = timestamp + method + requestPath + body;
+        return crypto.createHmac('sha256', CONFIG.SECRET_KEY).update(message).digest('base64');
     }
 
-    // Enhanced API request with better error handling
     async apiRequest(method, endpoint, body = null, isPrivate = true) {
+        const startedAt = Date.now();
+        try {
+            const response = await this.sendApiRequest(method, endpoint, body, isPrivate);
+            const latency = Date.now() - startedAt;
+            this.metrics?.recordApiRequest(method, endpoint, latency, response);
+            this.apiLogger.debug(`${method} ${endpoint} (${latency}ms)`, { method, endpoint, latency, code: response?.data?.[0]?.sCode || response?.code });
+            return response;
+        } catch (error) {
+            this.metrics?.recordApiRequest(method, endpoint, Date.now() - startedAt, null, error);
+            throw error;
+        }
+    }
+
+    // Enhanced API request with better error handling
+    async sendApiRequest(method, endpoint, body = null, isPrivate = true) {
+        // Order entry goes over the private WebSocket when it's up; REST is the fallback
+        const wsOp = WsOrderGateway.opFor(method, endpoint);
+        if (wsOp && this.orderGateway?.isReady()) {
+            try {
+                return await this.wsOrderRequest(wsOp, method, endpoint, body);
+            } catch (error) {
+                if (!error.notSent) throw error;
+                this.apiLogger.warn(`WebSocket ${wsOp} not sent (${error.message}), falling back to REST`, { method, endpoint });
+            }
+        }
+
         for (let attempt = 1; attempt <= CONFIG.MAX_API_RETRIES; attempt++) {
+            let release = null;
             try {
+                // Wait for a rate limit token and request slot (the simulated exchange has no limits)
+                if (!(this.paperExchange && (isPrivate || this.tickerReplay))) {
+                    release = await this.rateLimiter.acquire(method, endpoint, body);
+                }
+
                 const timestamp = new Date().toISOString();
                 const requestPath = endpoint;
                 const bodyStr = body ? JSON.stringify(body) : '';
 
                 const headers = {};
 
+                // Paper mode: private calls (and public ones when replaying) go to the simulated exchange
+                if (this.paperExchange && (isPrivate || this.tickerReplay)) {
+                    const paperResponse = await this.paperExchange.request(method, endpoint, body);
+                    if (paperResponse.data?.[0]?.sCode) {
+                        return paperResponse;
+                    }
+                    if (paperResponse.code !== '0') {
+                        const error = new Error(`API Error: ${paperResponse.msg} (Code: ${paperResponse.code})`);
+                        error.code = paperResponse.code;
+                        throw error;
+                    }
+                    return paperResponse;
+                }
+
                 if (isPrivate) {
                     const signature = this.sign(timestamp, method, requestPath, bodyStr);
                     headers['OK-ACCESS-KEY'] = CONFIG.API_KEY;
@@ -157,59 +341,136 @@ class OKXTradingBot {
                     config.data = body;
                 }
 
+                const startedAt = Date.now();
                 const response = await this.axiosInstance(config);
 
+                if (wsOp) {
+                    const latencyMs = Date.now() - startedAt;
+                    const requests = Array.isArray(body) ? body : [body];
+                    (response.data?.data || []).forEach((result, i) => {
+                        this.orderLatency.record('rest', wsOp, latencyMs, { clOrdId: requests[i]?.clOrdId, ...result });
+                    });
+                }
+
                 if (response.status >= 400) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    error.status = response.status;
+                    error.code = response.data?.code;
+                    throw error;
+                }
+
+                // Order-level rejections (e.g. 51008 insufficient balance) won't succeed on retry:
+                // hand them back so the caller can read sCode/sMsg
+                if (response.data.data?.[0]?.sCode && response.data.data[0].sCode !== '0') {
+                    return response.data;
                 }
 
                 if (response.data.code !== '0') {
-                    throw new Error(`API Error: ${response.data.msg} (Code: ${response.data.code})`);
+                    const error = new Error(`API Error: ${response.data.msg} (Code: ${response.data.code})`);
+                    error.code = response.data.code;
+                    throw error;
                 }
 
+                this.rateLimiter.recordSuccess(method, endpoint, body);
                 return response.data;
             } catch (error) {
-                this.error(`API request failed (attempt ${attempt}/${CONFIG.MAX_API_RETRIES}): ${error.message}`);
+                // The request slot isn't held through the retry delay
+                release?.();
+
+                const fields = { method, endpoint, attempt, code: error.code || error.status };
+                if (ORDER_STATE_CODES.has(error.code)) {
+                    error.isOrderState = true;
+                    this.apiLogger.debug(`API request answered: ${error.message}`, fields);
+                    throw error;
+                }
+
+                // Retried attempts are warnings, the final failure is the error
+                if (attempt === CONFIG.MAX_API_RETRIES) {
+                    this.apiLogger.error(`API request failed (attempt ${attempt}/${CONFIG.MAX_API_RETRIES}): ${error.message}`, null, fields);
+                } else {
+                    this.apiLogger.warn(`API request failed (attempt ${attempt}/${CONFIG.MAX_API_RETRIES}): ${error.message}`, fields);
+                }
+
+                // Rate limited: the limiter holds the next attempt back instead of the fixed retry delay
+                const isRateLimited = this.rateLimiter.isRateLimitError(error);
+                if (isRateLimited) {
+                    this.rateLimiter.backoff(method, endpoint, body, error.code || String(error.status));
+                }
 
                 if (attempt === CONFIG.MAX_API_RETRIES) {
                     throw error;
                 }
 
-                await new Promise(resolve => setTimeout(resolve, CONFIG.API_RETRY_DELAY_MS * attempt));
+                if (!isRateLimited) {
+                    await new Promise(resolve => setTimeout(resolve, CONFIG.API_RETRY_DELAY_MS * attempt));
+                }
+            } finally {
+                release?.();
             }
         }
     }
 
-    updatePrice(price) {
-        this.lastKnownPrice = price;
+    // One attempt only: a timed-out order may still have reached the exchange, so it isn't re-sent
+    async wsOrderRequest(op, method, endpoint, body) {
+        // Order rate limits are shared between REST and WebSocket
+        const release = await this.rateLimiter.acquire(method, endpoint, body);
+
+        let response;
+        try {
+            response = await this.orderGateway.request(op, Array.isArray(body) ? body : [body]);
+        } finally {
+            release();
+        }
+
+        // Order-level rejections carry sCode/sMsg, like the REST reply
+        if (response.data?.[0]?.sCode && response.data[0].sCode !== '0') {
+            return response;
+        }
+
+        if (response.code !== '0') {
+            const error = new Error(`WebSocket API Error: ${response.msg} (Code: ${response.code})`);
+            error.code = response.code;
+            error.isOrderState = ORDER_STATE_CODES.has(error.code);
+            if (this.rateLimiter.isRateLimitError(error)) {
+                this.rateLimiter.backoff(method, endpoint, body, error.code);
+            }
+            throw error;
+        }
+
+        this.rateLimiter.recordSuccess(method, endpoint, body);
+        return response;
     }
 
     // Enhanced WebSocket setup
     async setupWebSockets() {
-        this.log('Setting up WebSocket connections...');
+        this.wsLogger.info('Setting up WebSocket connections...');
 
         await Promise.all([
             this.setupPublicWebSocket(),
-            this.setupPrivateWebSocket()
+            this.setupPrivateWebSocket(),
+            this.setupCandleWebSocket()
         ]);
 
         await new Promise(resolve => setTimeout(resolve, 2000));
     }
 
     setupPublicWebSocket() {
+        if (this.tickerReplay) return this.setupTickerReplay();
+
         return new Promise((resolve) => {
             this.wsPublic = new WebSocket(WS_URL);
 
             this.wsPublic.on('open', () => {
-                this.log('Public WebSocket connected');
+                this.wsLogger.info('Public WebSocket connected');
                 this.lastPublicPing = Date.now();
 
+                const channels = CONFIG.ORDER_BOOK_CHANNEL === 'none' ? ['tickers'] : ['tickers', CONFIG.ORDER_BOOK_CHANNEL];
                 this.wsPublic.send(JSON.stringify({
                     op: 'subscribe',
-                    args: [{
-                        channel: 'tickers',
-                        instId: CONFIG.SYMBOL
-                    }]
+                    args: CONFIG.SYMBOLS.flatMap(symbol => channels.map(channel => ({
+                        channel,
+                        instId: symbol
+                    })))
                 }));
 
                 resolve();
@@ -219,20 +480,26 @@ class OKXTradingBot {
                 this.lastPublicPing = Date.now();
                 try {
                     const message = JSON.parse(data.toString());
-                    if (message.data?.[0]?.last) {
-                        this.updatePrice(parseFloat(message.data[0].last));
+                    const ticker = message.data?.[0];
+                    if (ticker?.ts) {
+                        this.metrics?.recordWsLag(message.arg.channel, ticker.ts);
+                    }
+                    if (message.arg?.channel === 'bbo-tbt' || message.arg?.channel === 'books5') {
+                        this.updateBestBidAsk(message.arg.instId, ticker);
+                    } else if (ticker?.last) {
+                        this.updatePrice(message.arg?.instId || ticker.instId, parseFloat(ticker.last), parseFloat(ticker.bidPx), parseFloat(ticker.askPx));
                     }
                 } catch (error) {
-                    this.error('Error parsing public WebSocket message:', error.message);
+                    this.wsLogger.error('Error parsing public WebSocket message:', error.message);
                 }
             });
 
             this.wsPublic.on('error', (error) => {
-                this.error('Public WebSocket error:', error.message);
+                this.wsLogger.error('Public WebSocket error:', error.message);
             });
 
             this.wsPublic.on('close', (code, reason) => {
-                this.log(`Public WebSocket disconnected: Code=${code}, Reason=${reason}`);
+                this.wsLogger.info(`Public WebSocket disconnected: Code=${code}, Reason=${reason}`);
                 if (!this.isShuttingDown) {
                     setTimeout(() => this.reconnectPublicWebSocket(), 5000);
                 }
@@ -240,12 +507,96 @@ class OKXTradingBot {
         });
     }
 
+    // Adaptive spacing: 1m candles from the business endpoint (replays build candles from ticks)
+    setupCandleWebSocket() {
+        if (CONFIG.ADAPTIVE_SPACING_MODE === 'off' || this.tickerReplay) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.wsCandles = new WebSocket(WS_BUSINESS_URL);
+
+            this.wsCandles.on('open', () => {
+                this.wsLogger.info('Candle WebSocket connected');
+                this.lastCandlePing = Date.now();
+
+                this.wsCandles.send(JSON.stringify({
+                    op: 'subscribe',
+                    args: CONFIG.SYMBOLS.map(symbol => ({
+                        channel: 'candle1m',
+                        instId: symbol
+                    }))
+                }));
+
+                resolve();
+            });
+
+            this.wsCandles.on('message', (data) => {
+                this.lastCandlePing = Date.now();
+                try {
+                    const message = JSON.parse(data.toString());
+                    const strategy = this.strategies.get(message.arg?.instId);
+                    if (message.arg?.channel === 'candle1m' && strategy && !this.restoringSymbols.has(message.arg.instId)) {
+                        for (const row of message.data || []) {
+                            strategy.updateCandle(row);
+                        }
+                    }
+                } catch (error) {
+                    this.wsLogger.error('Error parsing candle WebSocket message:', error.message);
+                }
+            });
+
+            this.wsCandles.on('error', (error) => {
+                this.wsLogger.error('Candle WebSocket error:', error.message);
+            });
+
+            this.wsCandles.on('close', (code, reason) => {
+                this.wsLogger.info(`Candle WebSocket disconnected: Code=${code}, Reason=${reason}`);
+                if (!this.isShuttingDown) {
+                    setTimeout(() => this.reconnectCandleWebSocket(), 5000);
+                }
+            });
+        });
+    }
+
+    // Paper mode: replayed prices stand in for the public ticker channel
+    setupTickerReplay() {
+        this.log(`📼 Replaying ${this.tickerReplay.ticks.length} ticks from ${CONFIG.PAPER_REPLAY_FILE} at ${CONFIG.PAPER_REPLAY_SPEED}x`);
+
+        this.tickerReplay.start(
+            (tick) => {
+                this.lastPublicPing = Date.now();
+                this.updatePrice(tick.instId, tick.last, tick.bidPx, tick.askPx, tick.ts || undefined);
+            },
+            () => {
+                this.log('📼 Ticker replay finished');
+                this.gracefulShutdown();
+            }
+        );
+
+        return Promise.resolve();
+    }
+
+    // Paper mode: the simulated exchange pushes the same `orders` channel messages
+    setupPaperPrivateChannel() {
+        this.paperExchange.removeAllListeners('message');
+        this.paperExchange.on('message', (message) => {
+            this.lastPrivatePing = Date.now();
+            this.lastSuccessfulWSMessage = Date.now();
+
+            this.handlePrivateMessage(message);
+        });
+
+        this.log('📝 Paper trading: order and account updates are simulated locally');
+        return Promise.resolve();
+    }
+
     setupPrivateWebSocket() {
+        if (this.paperExchange) return this.setupPaperPrivateChannel();
+
         return new Promise((resolve) => {
             this.wsPrivate = new WebSocket(WS_PRIVATE_URL);
 
             this.wsPrivate.on('open', () => {
-                this.log('Private WebSocket connected, logging in...');
+                this.wsLogger.info('Private WebSocket connected, logging in...');
                 this.lastPrivatePing = Date.now();
                 this.loginPrivateWebSocket();
             });
@@ -257,33 +608,44 @@ class OKXTradingBot {
                 try {
                     const message = JSON.parse(data.toString());
 
+                    // Replies to WebSocket order requests
+                    if (this.orderGateway?.handleMessage(message)) return;
+
                     if (message.event === 'login' && message.code === '0') {
-                        this.log('Private WebSocket login successful');
+                        this.wsLogger.info('Private WebSocket login successful');
+                        this.orderGateway?.attach(this.wsPrivate);
                         this.wsPrivate.send(JSON.stringify({
                             op: 'subscribe',
                             args: [{
                                 channel: 'orders',
                                 instType: 'SPOT'
+                            }, {
+                                channel: 'algo-advance',
+                                instType: 'SPOT'
+                            }, {
+                                channel: 'account'
                             }]
                         }));
                         resolve();
                     } else if (message.data?.length > 0) {
-                        for (const orderUpdate of message.data) {
-                            this.handleOrderUpdate(orderUpdate);
+                        for (const item of message.data) {
+                            if (item.uTime) this.metrics?.recordWsLag(message.arg.channel, item.uTime);
                         }
+                        this.handlePrivateMessage(message);
                     }
                 } catch (error) {
-                    this.error('Error parsing private WebSocket message:', error.message);
+                    this.wsLogger.error('Error parsing private WebSocket message:', error.message);
                 }
             });
 
             this.wsPrivate.on('error', (error) => {
-                this.error('Private WebSocket error:', error.message);
+                this.wsLogger.error('Private WebSocket error:', error.message);
             });
 
             // Enhanced disconnect handling with reconciliation
             this.wsPrivate.on('close', (code, reason) => {
-                this.log(`Private WebSocket disconnected: Code=${code}, Reason=${reason}`);
+                this.wsLogger.info(`Private WebSocket disconnected: Code=${code}, Reason=${reason}`);
+                this.orderGateway?.detach();
 
                 if (!this.isShuttingDown) {
                     // Check for missed orders during disconnect
@@ -317,7 +679,7 @@ class OKXTradingBot {
             this.isReconnecting = true;
 
             const disconnectDuration = Date.now() - this.lastSuccessfulWSMessage;
-            this.log(`🚨 Private WebSocket disconnected for ${disconnectDuration}ms - checking for missed orders...`);
+            this.wsLogger.warn(`🚨 Private WebSocket disconnected for ${disconnectDuration}ms - checking for missed orders...`);
 
             // Check for missed orders immediately
             await this.checkMissedOrdersDuringDisconnect();
@@ -328,7 +690,7 @@ class OKXTradingBot {
             }, 1000);
 
         } catch (error) {
-            this.error('Error handling WebSocket disconnect:', error.message);
+            this.wsLogger.error('Error handling WebSocket disconnect:', error.message);
             setTimeout(() => {
                 this.reconnectPrivateWebSocket();
             }, 2000);
@@ -338,159 +700,42 @@ class OKXTradingBot {
     // Check for missed orders during disconnect
     async checkMissedOrdersDuringDisconnect() {
         try {
-            this.log('🔍 Reconciling order state after disconnect...');
+            this.reconciliationLogger.info('🔍 Reconciling order state after disconnect...');
 
-            // Get current state from server
-            const [openOrders, recentTrades] = await Promise.all([
-                this.getOpenOrders(),
-                this.getRecentTradesSince(this.lastSuccessfulWSMessage)
-            ]);
-
-            // Process missed fills
-            await this.processMissedFills(recentTrades);
-
-            // Process missed cancellations
-            await this.processMissedCancellations(openOrders);
-
-            // Process orphaned orders
-            await this.processMissedOrphanedOrders(openOrders);
-
-        } catch (error) {
-            this.error('Failed to reconcile order state:', error.message);
+            // Account pushes were missed too
+            await this.refreshBalances().catch(error => this.error('Failed to refresh balances:', error.message));
+            await this.reconcileOrders(this.lastSuccessfulWSMessage);
         } finally {
             this.isReconnecting = false;
         }
     }
 
-    // Get trades since specific timestamp
-    async getRecentTradesSince(sinceTimestamp) {
-        try {
-            const after = Math.floor(sinceTimestamp / 1000).toString();
-            const response = await this.apiRequest(
-                'GET',
-                `/api/v5/trade/fills?instId=${CONFIG.SYMBOL}&after=${after}&limit=100`
-            );
-            return response.data || [];
-        } catch (error) {
-            this.error('Failed to get recent trades:', error.message);
-            return [];
-        }
-    }
-
-    // Process missed fills
-    async processMissedFills(recentTrades) {
-        if (recentTrades.length === 0) {
-            this.log('✅ No missed fills detected');
-            return;
-        }
-
-        this.log(`🔍 Checking ${recentTrades.length} recent trades for missed fills...`);
-
-        for (const trade of recentTrades) {
-            const orderId = trade.ordId;
-            const side = trade.side;
-            const tradeTime = parseInt(trade.ts);
-
-            // Only process trades during disconnect period
-            if (tradeTime <= this.lastSuccessfulWSMessage) continue;
-
-            // Check if this fill was already processed
-            const wasProcessed = this.wasOrderFillProcessed(orderId, side);
-
-            if (!wasProcessed) {
-                this.log(`🚨 MISSED FILL: ${orderId} (${side}) @ ${trade.fillPx}`);
+    // Every strategy catches up with fills and cancellations since `since` (or its previous check)
+    async reconcileOrders(since = null) {
+        if (this.isReconciling || this.restoringSymbols.size > 0) return;
 
-                // Create synthetic order update
-                const syntheticUpdate = {
-                    ordId: orderId,
-                    instId: trade.instId,
-                    side: side,
-                    state: 'filled',
-                    fillPx: trade.fillPx,
-                    fillSz: trade.fillSz,
-                    ts: trade.ts
-                };
-
-                // Process as normal order update
-                await this.handleOrderUpdate(syntheticUpdate);
-            }
-        }
-    }
-
-    // Check if order fill was already processed
-    wasOrderFillProcessed(orderId, side) {
-        if (side === 'buy') {
-            // Check if there's a corresponding sell order
-            for (const [sellOrderId, sellInfo] of this.openSellOrders) {
-                if (sellInfo.buyOrderId === orderId) {
-                    return true;
+        this.isReconciling = true;
+        try {
+            for (const strategy of this.strategies.values()) {
+                try {
+                    await strategy.reconcileOrders(since);
+                } catch (error) {
+                    this.reconciliationLogger.error(`Failed to reconcile ${strategy.config.SYMBOL} order state:`, error.message);
                 }
             }
-
-            // Check if still tracking as aggressive buy
-            if (this.currentAggressiveBuyOrder?.orderId === orderId) {
-                return false;
-            }
-
-            return false;
-
-        } else if (side === 'sell') {
-            // Sell processed = removed from tracking
-            return !this.openSellOrders.has(orderId);
+        } finally {
+            this.isReconciling = false;
         }
-
-        return false;
     }
 
-    // Process missed cancellations
-    async processMissedCancellations(openOrders) {
-        const serverOrderIds = new Set(openOrders.map(o => o.ordId));
-
-        // Check sell orders
-        for (const [sellOrderId] of this.openSellOrders) {
-            if (!serverOrderIds.has(sellOrderId)) {
-                this.log(`🚨 MISSED CANCELLATION: Sell ${sellOrderId}`);
-                this.openSellOrders.delete(sellOrderId);
-            }
-        }
-
-        // Check DCA buy order
-        if (this.pendingDcaBuyOrder && !serverOrderIds.has(this.pendingDcaBuyOrder.orderId)) {
-            this.log(`🚨 MISSED CANCELLATION: DCA ${this.pendingDcaBuyOrder.orderId}`);
-            this.pendingDcaBuyOrder = null;
-        }
-
-        // Check aggressive buy order
-        if (this.currentAggressiveBuyOrder && !serverOrderIds.has(this.currentAggressiveBuyOrder.orderId)) {
-            this.log(`🚨 MISSED CANCELLATION: Aggressive ${this.currentAggressiveBuyOrder.orderId}`);
-            this.currentAggressiveBuyOrder = null;
-        }
-    }
-
-    // Process orphaned orders
-    async processMissedOrphanedOrders(openOrders) {
-        const trackedOrderIds = new Set();
-
-        // Collect tracked orders
-        for (const [sellOrderId] of this.openSellOrders) {
-            trackedOrderIds.add(sellOrderId);
-        }
-
-        if (this.pendingDcaBuyOrder) {
-            trackedOrderIds.add(this.pendingDcaBuyOrder.orderId);
-        }
-
-        if (this.currentAggressiveBuyOrder) {
-            trackedOrderIds.add(this.currentAggressiveBuyOrder.orderId);
-        }
-
-        // Find orphaned orders
-        for (const serverOrder of openOrders) {
-            if (!trackedOrderIds.has(serverOrder.ordId)) {
-                this.log(`🚨 ORPHANED ORDER: ${serverOrder.ordId} (${serverOrder.side})`);
-                await this.cancelOrder(serverOrder.ordId);
-            }
-        }
+    // Paper mode: the simulated exchange and the replay stand in for the sockets
+    getConnections() {
+        const isOpen = ws => ws?.readyState === WebSocket.OPEN;
+        return {
+            public: !!this.tickerReplay || isOpen(this.wsPublic),
+            private: !!this.paperExchange || isOpen(this.wsPrivate),
+            ...(this.wsCandles ? { candles: isOpen(this.wsCandles) } : {})
+        };
     }
 
     checkWebSocketHealth() {
@@ -512,10 +757,19 @@ class OKXTradingBot {
                 this.wsPrivate.ping();
             }
         }
+
+        if (this.wsCandles?.readyState === WebSocket.OPEN) {
+            if (now - this.lastCandlePing > timeout) {
+                this.reconnectCandleWebSocket();
+            } else {
+                this.wsCandles.ping();
+            }
+        }
     }
 
     async reconnectPublicWebSocket() {
         if (this.isShuttingDown) return;
+        this.metrics?.recordWsReconnect('public');
         try {
             if (this.wsPublic) {
                 this.wsPublic.removeAllListeners();
@@ -523,499 +777,252 @@ class OKXTradingBot {
             }
             await this.setupPublicWebSocket();
         } catch (error) {
-            this.error('Failed to reconnect public WebSocket:', error.message);
+            this.wsLogger.error('Failed to reconnect public WebSocket:', error.message);
+        }
+    }
+
+    async reconnectCandleWebSocket() {
+        if (this.isShuttingDown) return;
+        this.metrics?.recordWsReconnect('candles');
+        try {
+            if (this.wsCandles) {
+                this.wsCandles.removeAllListeners();
+                this.wsCandles.close();
+            }
+            await this.setupCandleWebSocket();
+        } catch (error) {
+            this.wsLogger.error('Failed to reconnect candle WebSocket:', error.message);
         }
     }
 
     async reconnectPrivateWebSocket() {
         if (this.isShuttingDown) return;
+        this.metrics?.recordWsReconnect('private');
         try {
-            this.log('🔄 Reconnecting private WebSocket...');
+            this.wsLogger.info('🔄 Reconnecting private WebSocket...');
 
             if (this.wsPrivate) {
+                this.orderGateway?.detach();
                 this.wsPrivate.removeAllListeners();
                 this.wsPrivate.close();
             }
 
             await this.setupPrivateWebSocket();
-            this.log('✅ Private WebSocket reconnected successfully');
+            this.wsLogger.info('✅ Private WebSocket reconnected successfully');
 
         } catch (error) {
-            this.error('Failed to reconnect private WebSocket:', error.message);
+            this.wsLogger.error('Failed to reconnect private WebSocket:', error.message);
             setTimeout(() => {
                 this.reconnectPrivateWebSocket();
             }, 5000);
         }
     }
 
-    // Enhanced order placement
-    async placeOrder(side, price, size, orderType = 'limit', clientOrderId = null) {
-        try {
-            const roundedPrice = this.roundPrice(price);
-            const roundedSize = this.roundSize(size);
-
-            const orderData = {
-                instId: CONFIG.SYMBOL,
-                tdMode: 'cash',
-                side: side,
-                ordType: orderType,
-                sz: roundedSize.toString(),
-                px: roundedPrice.toString(),
-                clOrdId: clientOrderId || this.generateClientOrderId()
-            };
-
-            this.log(`Placing ${side} order: ${roundedSize} @ ${roundedPrice}`);
-
-            const response = await this.apiRequest('POST', '/api/v5/trade/order', orderData);
-
-            if (response.data?.[0]?.sCode === '0') {
-                const orderResult = response.data[0];
-                this.log(`Order placed successfully: ID=${orderResult.ordId}`);
-                return {
-                    orderId: orderResult.ordId,
-                    clientOrderId: orderData.clOrdId,
-                    side: side,
-                    price: roundedPrice,
-                    size: roundedSize
-                };
-            } else {
-                const orderResult = response.data[0];
-                throw new Error(`Order placement failed: ${orderResult.sMsg} (Code: ${orderResult.sCode})`);
-            }
-        } catch (error) {
-            this.error(`Failed to place ${side} order:`, error.message);
-            throw error;
-        }
-    }
-
-    // Enhanced order cancellation
-    async cancelOrder(orderId, clientOrderId = null) {
-        try {
-            this.pendingOrderOperations.add(orderId);
-
-            const cancelData = {
-                instId: CONFIG.SYMBOL,
-                ordId: orderId
-            };
-
-            if (clientOrderId) {
-                cancelData.clOrdId = clientOrderId;
-            }
-
-            const response = await this.apiRequest('POST', '/api/v5/trade/cancel-order', cancelData);
-
-            if (response.data?.[0]?.sCode === '0') {
-                this.log(`Order cancelled successfully: ${orderId}`);
-                return true;
-            } else {
-                const errorMsg = response.data?.[0]?.sMsg || 'Unknown error';
-                this.log(`Cancel failed for ${orderId}: ${errorMsg}`);
-                return false;
-            }
-        } catch (error) {
-            this.error(`Failed to cancel order ${orderId}:`, error.message);
-            return false;
-        } finally {
-            this.pendingOrderOperations.delete(orderId);
-        }
-    }
-
-    // API helpers
-    async fetchInstrumentDetails() {
-        try {
-            this.log('Fetching instrument details...');
-            const response = await this.apiRequest('GET', `/api/v5/public/instruments?instType=SPOT&instId=${CONFIG.SYMBOL}`, null, false);
-
-            if (!response.data?.length) {
-                throw new Error(`Instrument ${CONFIG.SYMBOL} not found`);
-            }
-
-            this.instrumentDetails = response.data[0];
-            this.log(`Instrument details loaded: tickSz=${this.instrumentDetails.tickSz}, lotSz=${this.instrumentDetails.lotSz}`);
-        } catch (error) {
-            this.error('Failed to fetch instrument details:', error.message);
-            throw error;
-        }
-    }
-
-    async getCurrentPrice() {
-        try {
-            const response = await this.apiRequest('GET', `/api/v5/market/ticker?instId=${CONFIG.SYMBOL}`, null, false);
-            if (response.data?.[0]?.last) {
-                return parseFloat(response.data[0].last);
-            }
-            throw new Error('No ticker data received');
-        } catch (error) {
-            this.error('Failed to get current price:', error.message);
-            throw error;
-        }
-    }
-
-    async getOpenOrders() {
-        try {
-            const response = await this.apiRequest('GET', `/api/v5/trade/orders-pending?instId=${CONFIG.SYMBOL}`);
-            return response.data || [];
-        } catch (error) {
-            this.error('Failed to get open orders:', error.message);
-            throw error;
-        }
-    }
-
-    // Enhanced order processing
-    async handleOrderUpdate(orderUpdate) {
-        try {
-            if (orderUpdate.instId !== CONFIG.SYMBOL) return;
-
-            const orderId = orderUpdate.ordId;
-            const state = orderUpdate.state;
-            const side = orderUpdate.side;
-
-            this.log(`Order update: ${orderId} (${side}) -> ${state}`);
-
-            if (state === 'filled') {
-                if (side === 'buy') {
-                    await this.processAfterBuyFill(orderUpdate);
-                } else if (side === 'sell') {
-                    await this.processAfterSellFill(orderUpdate);
-                }
-            } else if (state === 'cancelled') {
-                this.handleOrderCancellation(orderUpdate);
-            }
-        } catch (error) {
-            this.error('Error handling order update:', error.message);
-        }
-    }
-
-    async processAfterBuyFill(orderUpdate) {
-        const fillPrice = parseFloat(orderUpdate.fillPx);
-        const fillSize = parseFloat(orderUpdate.fillSz);
-
-        this.log(`Buy filled: ${fillSize} @ ${fillPrice}`);
-
-        // ✅ Clear aggressive buy state
-        if (this.currentAggressiveBuyOrder?.orderId === orderUpdate.ordId) {
-            this.currentAggressiveBuyOrder = null;
-            this.isInAggressiveBuyMode = false;
-
-            // Clear retry timeout
-            if (this.aggressiveBuyRetryTimeout) {
-                clearTimeout(this.aggressiveBuyRetryTimeout);
-                this.aggressiveBuyRetryTimeout = null;
-            }
-
-            this.log('Aggressive buy cycle completed - order filled');
-        }
-
-        try {
-            // 1. Place profit sell order
-            const profitPrice = fillPrice * (1 + CONFIG.PROFIT_PERCENTAGE_PER_TRADE / 100);
-            const sellOrder = await this.placeOrder('sell', profitPrice, fillSize);
-
-            this.openSellOrders.set(sellOrder.orderId, {
-                ...sellOrder,
-                buyPrice: fillPrice,
-                buyOrderId: orderUpdate.ordId
-            });
-
-            this.log(`Profit sell order placed: ${fillSize} @ ${profitPrice} (${CONFIG.PROFIT_PERCENTAGE_PER_TRADE}% profit)`);
-
-            // 2. Cancel previous DCA buy order if exists
-            if (this.pendingDcaBuyOrder) {
-                await this.cancelOrder(this.pendingDcaBuyOrder.orderId, this.pendingDcaBuyOrder.clientOrderId);
-                this.pendingDcaBuyOrder = null;
-            }
-
-            // 3. Place new DCA buy order
-            const dcaPrice = fillPrice * (1 - CONFIG.DCA_BUY_PERCENTAGE_BELOW / 100);
-            const dcaBuyOrder = await this.placeOrder('buy', dcaPrice, fillSize);
-            this.pendingDcaBuyOrder = dcaBuyOrder;
-
-            this.log(`DCA buy order placed: ${fillSize} @ ${dcaPrice} (${CONFIG.DCA_BUY_PERCENTAGE_BELOW}% below)`);
-        } catch (error) {
-            this.error('Failed to process after buy fill:', error.message);
-        }
-    }
-
-    async processAfterSellFill(orderUpdate) {
-        const fillPrice = parseFloat(orderUpdate.fillPx);
-        const fillSize = parseFloat(orderUpdate.fillSz);
-        const orderId = orderUpdate.ordId;
-
-        this.log(`Sell filled: ${fillSize} @ ${fillPrice}`);
-
-        // Calculate and track profit
-        const sellOrderInfo = this.openSellOrders.get(orderId);
-        if (sellOrderInfo) {
-            const profit = (fillPrice - sellOrderInfo.buyPrice) * fillSize;
-            this.totalRealizedProfit += profit;
-            this.openSellOrders.delete(orderId); // Remove filled order first
-            this.log(`Profit realized: ${profit.toFixed(8)} (Total: ${this.totalRealizedProfit.toFixed(8)})`);
-        }
-
-        try {
-            // ✅ Check if all sell orders are filled
-            if (this.openSellOrders.size === 0) {
-                this.log('🎯 All sell orders filled! Returning to aggressive buy cycle...');
-
-                // ✅ Start aggressive buy immediately
-                this.startAggressiveBuyCycle();
-
-            } else {
-                // Still have sell orders - just log status
-                const remainingSells = Array.from(this.openSellOrders.values())
-                    .map(order => order.price)
-                    .sort((a, b) => b - a);
-
-                this.log(`💰 Sell order filled at ${fillPrice}, but ${this.openSellOrders.size} higher sell orders remain`);
-                this.log(`📊 Remaining sell orders: [${remainingSells.join(', ')}]`);
-                this.log(`⏳ Waiting for higher sells to fill before returning to aggressive buying...`);
-            }
-
-        } catch (error) {
-            this.error('Failed to process sell fill logic:', error.message);
-        }
-    }
-
-    handleOrderCancellation(orderUpdate) {
-        const orderId = orderUpdate.ordId;
-
-        // Remove from tracking
-        if (this.openSellOrders.has(orderId)) {
-            this.openSellOrders.delete(orderId);
-            this.log(`Cancelled sell order removed from tracking: ${orderId}`);
-        }
-
-        if (this.pendingDcaBuyOrder?.orderId === orderId) {
-            this.pendingDcaBuyOrder = null;
-            this.log(`Cancelled DCA buy order cleared: ${orderId}`);
-        }
-
-        if (this.currentAggressiveBuyOrder?.orderId === orderId) {
-            this.currentAggressiveBuyOrder = null;
-            this.log(`Cancelled aggressive buy order cleared: ${orderId}`);
-        }
-    }
-
-    // ✅ Event-driven aggressive buy cycle
-    async startAggressiveBuyCycle() {
-        if (this.isShuttingDown || this.isInAggressiveBuyMode) return;
-
-        this.log('Starting aggressive buy cycle...');
-        this.isInAggressiveBuyMode = true;
-
-        await this.attemptAggressiveBuy();
-    }
-
-    async attemptAggressiveBuy() {
-        if (this.isShuttingDown || !this.isInAggressiveBuyMode) return;
-
-        try {
-            // ✅ Get current price với immediate fallback
-            let currentPrice = this.lastKnownPrice;
-
-            if (!currentPrice) {
-                this.log('No WebSocket price available, fetching from API...');
-                try {
-                    currentPrice = await this.getCurrentPrice();
-                    this.updatePrice(currentPrice);
-                } catch (error) {
-                    this.error('Failed to get current price:', error.message);
-                    this.scheduleAggressiveBuyRetry(1000);
-                    return;
-                }
-            }
-
-            const tradeSize = this.calculateTradeSize(currentPrice);
-            const buyOrder = await this.placeOrder('buy', currentPrice, tradeSize);
-            this.currentAggressiveBuyOrder = buyOrder;
-
-            this.log(`Aggressive buy order placed: ${tradeSize} @ ${currentPrice}`);
-
-            // ✅ Schedule timeout check
-            this.aggressiveBuyRetryTimeout = setTimeout(() => {
-                this.handleAggressiveBuyTimeout();
-            }, CONFIG.IMMEDIATE_BUY_WAIT_MS);
-
-        } catch (error) {
-            this.error('Error in aggressive buy attempt:', error.message);
-            this.scheduleAggressiveBuyRetry(1000);
-        }
-    }
-
-    async handleAggressiveBuyTimeout() {
-        if (this.isShuttingDown || !this.isInAggressiveBuyMode) return;
-
-        // ✅ Check internal state instead of REST API
-        if (this.currentAggressiveBuyOrder) {
-            this.log('Aggressive buy order timeout, cancelling and retrying...');
-
-            try {
-                await this.cancelOrder(
-                    this.currentAggressiveBuyOrder.orderId,
-                    this.currentAggressiveBuyOrder.clientOrderId
-                );
-                this.currentAggressiveBuyOrder = null;
-
-                // ✅ Quick retry
-                this.scheduleAggressiveBuyRetry(50);
-            } catch (error) {
-                this.error('Error cancelling aggressive buy order:', error.message);
-                this.scheduleAggressiveBuyRetry(1000);
-            }
-        } else {
-            // Order already filled via WebSocket
-            this.log('Aggressive buy order filled via WebSocket during timeout period');
-            this.isInAggressiveBuyMode = false;
-        }
-    }
-
-    scheduleAggressiveBuyRetry(delayMs) {
-        if (this.isShuttingDown || !this.isInAggressiveBuyMode) return;
-
-        this.aggressiveBuyRetryTimeout = setTimeout(() => {
-            this.attemptAggressiveBuy();
-        }, delayMs);
-    }
-
-    // Enhanced cancel all orders
-    async cancelAllOrdersAndStartFresh() {
-        try {
-            this.log('Cancelling all open orders and starting fresh...');
-            const openOrders = await this.getOpenOrders();
-
-            if (openOrders.length > 0) {
-                this.log(`Found ${openOrders.length} open orders, cancelling all...`);
-
-                const cancelPromises = openOrders.map(order =>
-                    this.cancelOrder(order.ordId).catch(err =>
-                        this.error(`Failed to cancel order ${order.ordId}:`, err.message)
-                    )
-                );
-
-                await Promise.all(cancelPromises);
-
-                // Wait for cancellations to be processed
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-
-            // Clear internal state
-            this.openSellOrders.clear();
-            this.pendingDcaBuyOrder = null;
-            this.currentAggressiveBuyOrder = null;
-            this.totalRealizedProfit = 0;
-            this.pendingOrderOperations.clear();
-            this.isInAggressiveBuyMode = false;
-
-            // Clear any pending timeouts
-            if (this.aggressiveBuyRetryTimeout) {
-                clearTimeout(this.aggressiveBuyRetryTimeout);
-                this.aggressiveBuyRetryTimeout = null;
-            }
-
-            this.log('All orders cancelled, starting aggressive buy cycle...');
-            this.startAggressiveBuyCycle();
-        } catch (error) {
-            this.error('Failed to cancel orders and start fresh:', error.message);
-        }
-    }
-
     async gracefulShutdown() {
         if (this.isShuttingDown) return;
 
         this.log('Initiating graceful shutdown...');
         this.isShuttingDown = true;
-        this.isInAggressiveBuyMode = false;
-
-        // Clear aggressive buy timeout
-        if (this.aggressiveBuyRetryTimeout) {
-            clearTimeout(this.aggressiveBuyRetryTimeout);
-            this.aggressiveBuyRetryTimeout = null;
-        }
+        const strategies = Array.from(this.strategies.values());
+        strategies.forEach(strategy => strategy.stop());
 
         try {
             // Wait for pending operations
+            const pendingOperations = () => strategies.reduce((count, strategy) => count + strategy.pendingOrderOperations.size, 0);
             let waitCount = 0;
-            while (this.pendingOrderOperations.size > 0 && waitCount < 10) {
-                this.log(`Waiting for ${this.pendingOrderOperations.size} pending operations...`);
+            while (pendingOperations() > 0 && waitCount < 10) {
+                this.log(`Waiting for ${pendingOperations()} pending operations...`);
                 await new Promise(resolve => setTimeout(resolve, 500));
                 waitCount++;
             }
 
-            // Cancel all open orders
-            const openOrders = await this.getOpenOrders();
-            if (openOrders.length > 0) {
-                this.log(`Cancelling ${openOrders.length} open orders...`);
-                for (const order of openOrders) {
-                    await this.cancelOrder(order.ordId);
-                }
+            // Cancel buy orders; profit sells stay on the book and are resumed from saved state
+            for (const strategy of strategies) {
+                await strategy.cancelOrdersForShutdown(CONFIG.CANCEL_ALL_ON_SHUTDOWN);
             }
 
-            // Close WebSocket connections
+            // Close WebSocket connections and the control API
+            this.controlServer?.close();
+            this.metrics?.close();
+            this.tickerReplay?.stop();
             if (this.wsPublic) {
                 this.wsPublic.removeAllListeners();
                 this.wsPublic.close();
             }
             if (this.wsPrivate) {
+                this.orderGateway?.detach();
                 this.wsPrivate.removeAllListeners();
                 this.wsPrivate.close();
             }
+            if (this.wsCandles) {
+                this.wsCandles.removeAllListeners();
+                this.wsCandles.close();
+            }
+
+            if (this.orderLatency.summary().length > 0) {
+                this.log(`⏱️ Order latency: ${this.orderLatency.describe()}`);
+            }
 
-            this.log(`Graceful shutdown completed. Total profit: ${this.totalRealizedProfit.toFixed(8)}`);
+            if (this.paperExchange) {
+                await this.refreshBalances();
+            }
+
+            for (const strategy of strategies) {
+                this.log(`${strategy.config.SYMBOL} profit: ${strategy.totalRealizedProfit.toFixed(8)} net / ${strategy.totalGrossProfit.toFixed(8)} gross (fees paid: ${strategy.totalFeesPaid.toFixed(8)})`);
+            }
+            this.journal?.close();
+            const totalProfit = strategies.reduce((sum, strategy) => sum + strategy.totalRealizedProfit, 0);
+            this.log(`Graceful shutdown completed. Total profit: ${totalProfit.toFixed(8)} net`);
+            await this.notifier?.notify('lifecycle', `👋 Bot stopped. Total profit: ${totalProfit.toFixed(8)} net`);
+            await this.notifier?.flush();
             process.exit(0);
         } catch (error) {
             this.error('Error during graceful shutdown:', error.message);
+            await this.notifier?.flush();
             process.exit(1);
         }
     }
 
+    // Full balance snapshot; the `account` channel keeps it current afterwards
+    async refreshBalances() {
+        const response = await this.apiRequest('GET', '/api/v5/account/balance');
+        this.balances.applyDetails(response.data[0]?.details, true);
+
+        const currencies = new Set(CONFIG.SYMBOLS.flatMap(symbol => symbol.split('-')));
+        this.log(`${this.paperExchange ? '📝 Paper balances' : '💰 Balances'}: ${this.balances.describe(Array.from(currencies))}`);
+    }
+
     // Enhanced startup
     async start() {
         try {
+            this.startedAt = Date.now();
+            this.setupGracefulShutdown();
+            this.setupHealthMonitoring();
+
             this.log('=== OKX Enhanced Grid Trading Bot v3.0 Starting ===');
-            this.log(`Trading pair: ${CONFIG.SYMBOL}`);
-            this.log(`Trade amount: ${CONFIG.BASE_CURRENCY_TRADE_AMOUNT} ETH (base currency)`);
-            this.log(`Profit target: ${CONFIG.PROFIT_PERCENTAGE_PER_TRADE}%`);
-            this.log(`DCA percentage: ${CONFIG.DCA_BUY_PERCENTAGE_BELOW}%`);
+            for (const { config, breaker } of this.strategies.values()) {
+                const baseCcy = config.SYMBOL.split('-')[0];
+                const mode = config.STRATEGY_MODE === 'grid'
+                    ? `${config.GRID_TYPE} grid ${config.GRID_LOWER_PRICE}-${config.GRID_UPPER_PRICE}, ${config.GRID_LEVELS} levels`
+                    : `profit target: ${config.PROFIT_PERCENTAGE_PER_TRADE}%, DCA percentage: ${config.DCA_BUY_PERCENTAGE_BELOW}%`
+                        + (config.TRAILING_TAKE_PROFIT !== 'off' ? `, trailing ${config.TRAILING_CALLBACK_PERCENT}% (${config.TRAILING_TAKE_PROFIT})` : '');
+                this.log(`Trading pair: ${config.SYMBOL} - trade amount: ${config.BASE_CURRENCY_TRADE_AMOUNT} ${baseCcy}, ${mode}`);
+                if (config.STOP_LOSS_QUOTE > 0 || config.STOP_LOSS_PERCENT > 0) {
+                    const limits = [
+                        config.STOP_LOSS_QUOTE > 0 ? `${config.STOP_LOSS_QUOTE} ${config.SYMBOL.split('-')[1]}` : null,
+                        config.STOP_LOSS_PERCENT > 0 ? `${config.STOP_LOSS_PERCENT}% of deployed capital` : null
+                    ].filter(Boolean);
+                    this.log(`Stop-loss: ${config.STOP_LOSS_ACTION} at an unrealized loss of ${limits.join(' or ')}`);
+                }
+                if (breaker) {
+                    this.log(`Circuit breakers: ${breaker.describeLimits()}`);
+                }
+            }
+            if (this.notifier) {
+                this.log(`Notifications: ${this.notifier.describe()}`);
+            }
+            if (this.journal) {
+                this.log(`Trade journal: ${this.journal.describe(CONFIG)}, npm run report for PnL`);
+            }
+            if (this.budget.isLimited()) {
+                const quoteCurrencies = new Set(CONFIG.SYMBOLS.map(symbol => symbol.split('-')[1]));
+                if (quoteCurrencies.size > 1) {
+                    throw new Error(`MAX_QUOTE_BUDGET needs all symbols to share one quote currency (got ${Array.from(quoteCurrencies).join(', ')})`);
+                }
+                this.log(`Shared quote budget: ${CONFIG.MAX_QUOTE_BUDGET} ${Array.from(quoteCurrencies)[0]}`);
+            }
+            if (this.controlServer && CONFIG.CONTROL_API_TOKEN.length < 16) {
+                throw new Error('CONTROL_API_PORT needs a CONTROL_API_TOKEN of at least 16 characters');
+            }
+            if (!KillSwitch.HALT_ACTIONS.includes(CONFIG.KILL_SWITCH_ACTION)) {
+                throw new Error(`Invalid KILL_SWITCH_ACTION "${CONFIG.KILL_SWITCH_ACTION}": use ${KillSwitch.HALT_ACTIONS.join(', ')}`);
+            }
+            if (!['bbo-tbt', 'books5', 'none'].includes(CONFIG.ORDER_BOOK_CHANNEL)) {
+                throw new Error(`ORDER_BOOK_CHANNEL must be bbo-tbt, books5 or none (got ${CONFIG.ORDER_BOOK_CHANNEL})`);
+            }
+            this.log(`Pricing: aggressive buys at ${CONFIG.AGGRESSIVE_BUY_PRICE_MODE}${CONFIG.AGGRESSIVE_BUY_POST_ONLY ? ' (post-only)' : ''}, grid orders bounded by ${CONFIG.GRID_ORDER_PRICE_MODE}`);
+
+            if (this.paperExchange) {
+                this.log('📝 PAPER TRADING MODE - orders go to the local simulated exchange');
+                await this.refreshBalances();
 
-            // Validate credentials
-            if (!CONFIG.API_KEY || !CONFIG.SECRET_KEY || !CONFIG.PASSPHRASE) {
-                throw new Error('Missing required API credentials in environment variables');
+                if (this.tickerReplay) {
+                    for (const symbol of this.strategies.keys()) {
+                        const firstTick = this.tickerReplay.first(symbol);
+                        if (firstTick) {
+                            this.paperExchange.onTicker(symbol, firstTick.last);
+                        }
+                    }
+                }
+            } else {
+                // Validate credentials
+                if (!CONFIG.API_KEY || !CONFIG.SECRET_KEY || !CONFIG.PASSPHRASE) {
+                    throw new Error('Missing required API credentials in environment variables');
+                }
+
+                // Test API credentials and load balances
+                this.log('Testing API credentials...');
+                await this.refreshBalances();
+                this.log('API credentials test passed');
             }
 
-            // Test API credentials
-            this.log('Testing API credentials...');
-            await this.apiRequest('GET', '/api/v5/account/balance');
-            this.log('API credentials test passed');
+            for (const strategy of this.strategies.values()) {
+                const { SYMBOL, BASE_CURRENCY_TRADE_AMOUNT } = strategy.config;
 
-            // Fetch instrument details
-            await this.fetchInstrumentDetails();
+                // Fetch instrument details
+                await strategy.fetchInstrumentDetails();
+                await strategy.fetchFeeRates();
+                if (!this.tickerReplay) {
+                    await strategy.loadCandleHistory();
+                }
 
-            // Get initial price
-            this.lastKnownPrice = await this.getCurrentPrice();
-            this.log(`Current ${CONFIG.SYMBOL} price: ${this.lastKnownPrice}`);
+                // Get initial price
+                strategy.updatePrice(await strategy.getCurrentPrice());
+                this.log(`Current ${SYMBOL} price: ${strategy.lastKnownPrice}`);
 
-            // Log estimated order value
-            const estimatedValue = CONFIG.BASE_CURRENCY_TRADE_AMOUNT * this.lastKnownPrice;
-            this.log(`Estimated order value: ${estimatedValue.toFixed(2)} USDT per trade`);
+                // Log estimated order value
+                const estimatedValue = BASE_CURRENCY_TRADE_AMOUNT * strategy.lastKnownPrice;
+                this.log(`Estimated order value: ${estimatedValue.toFixed(2)} ${SYMBOL.split('-')[1]} per ${SYMBOL} trade`);
+            }
 
             // Setup WebSockets
             await this.setupWebSockets();
 
-            // Cancel all existing orders and start fresh
-            await this.cancelAllOrdersAndStartFresh();
+            // Resume from saved state, or cancel all existing orders and start fresh
+            for (const [symbol, strategy] of this.strategies) {
+                const savedState = strategy.stateStore.load();
+                if (savedState) {
+                    await strategy.resumeFromSavedState(savedState);
+                } else {
+                    this.log(`No saved state found at ${strategy.stateStore.filePath}`);
+                    await strategy.cancelAllOrdersAndStartFresh();
+                }
+                this.finishRestoring(symbol);
+            }
 
+            this.setupKillSwitch();
+            this.setupPeriodicReconciliation();
+            await this.controlServer?.start();
+            await this.metrics?.start(CONFIG.METRICS_PORT, CONFIG.METRICS_HOST, this.logger);
             this.log('=== Enhanced Bot startup completed successfully ===');
+            this.notifier?.notify('lifecycle', `🚀 Bot started${CONFIG.PAPER ? ' (paper trading)' : ''}: ${CONFIG.SYMBOLS.join(', ')}`);
 
         } catch (error) {
             this.error('Failed to start bot:', error.message);
+            await this.notifier?.notify('lifecycle', `❌ Bot failed to start: ${error.message}`);
+            await this.notifier?.flush();
             process.exit(1);
         }
     }
 }
 
+module.exports = OKXTradingBot;
+
 // Create and start enhanced bot instance
-const bot = new OKXTradingBot();
-bot.start().catch(error => {
-    console.error('Unhandled startup error:', error);
-    process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+    const bot = new OKXTradingBot();
+    bot.start().catch(error => {
+        console.error('Unhandled startup error:', error);
+        process.exit(1);
+    });
+}
\ No newline at end of file
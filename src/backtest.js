@@ -0,0 +1,483 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, getSymbolConfig } = require('./config');
+const { createStrategy } = require('./strategies');
+const PaperExchange = require('./paperExchange');
+const BalanceTracker = require('./balanceTracker');
+const { VirtualClock } = require('./clock');
+const Logger = require('./logger');
+const { ORDER_STATE_CODES } = require('./okxErrors');
+
+// Historical backtester: replays OKX candles or trades through the strategy on a simulated exchange
+
+const SWEEP_PARAMETERS = {
+    profit: 'PROFIT_PERCENTAGE_PER_TRADE',
+    dca: 'DCA_BUY_PERCENTAGE_BELOW',
+    size: 'BASE_CURRENCY_TRADE_AMOUNT',
+    levels: 'MAX_DCA_LEVELS',
+    callback: 'TRAILING_CALLBACK_PERCENT',
+    'exit-levels': 'AVERAGE_COST_EXIT_LEVELS',
+    'stop-loss': 'STOP_LOSS_PERCENT',
+    'stop-loss-quote': 'STOP_LOSS_QUOTE',
+    'daily-loss': 'MAX_DAILY_LOSS',
+    'buys-without-sell': 'MAX_BUYS_WITHOUT_SELL',
+    'grid-lower': 'GRID_LOWER_PRICE',
+    'grid-upper': 'GRID_UPPER_PRICE',
+    'grid-levels': 'GRID_LEVELS'
+};
+// Flags without a value; every other flag needs one
+const BOOLEAN_FLAGS = ['json', 'verbose'];
+
+// ===== Market data loading =====
+
+function toTimestamp(value) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : Date.parse(value);
+}
+
+function parseCsv(raw) {
+    const lines = raw.split(/\r?\n/).filter(line => line.trim());
+    const hasHeader = /[a-z]/i.test(lines[0]);
+    const header = hasHeader ? lines[0].split(',').map(h => h.trim().toLowerCase()) : null;
+    const rows = lines.slice(hasHeader ? 1 : 0).map(line => line.split(',').map(v => v.trim()));
+
+    // Without a header, assume OKX candle column order: ts,o,h,l,c,...
+    return header ? rows.map(row => Object.fromEntries(header.map((key, i) => [key, row[i]]))) : rows;
+}
+
+function normalizeRow(row) {
+    if (Array.isArray(row)) {
+        const [ts, o, h, l, c] = row;
+        return { type: 'candle', ts: toTimestamp(ts), o: +o, h: +h, l: +l, c: +c };
+    }
+
+    const ts = toTimestamp(row.ts ?? row.timestamp ?? row.time);
+    if (row.px !== undefined || row.price !== undefined) {
+        return { type: 'trade', ts, px: +(row.px ?? row.price) };
+    }
+    if (row.last !== undefined) {
+        return { type: 'trade', ts, px: +row.last };
+    }
+    return {
+        type: 'candle',
+        ts,
+        o: +(row.o ?? row.open),
+        h: +(row.h ?? row.high),
+        l: +(row.l ?? row.low),
+        c: +(row.c ?? row.close)
+    };
+}
+
+// Turn a candle into an intra-bar price path: open -> low/high (nearest first) -> close
+function candleToTicks(candle, intervalMs) {
+    const extremes = candle.c >= candle.o ? [candle.l, candle.h] : [candle.h, candle.l];
+    return [candle.o, ...extremes, candle.c].map((price, i) => ({
+        ts: candle.ts + Math.floor((intervalMs * i) / 4),
+        price
+    }));
+}
+
+function loadMarketData(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8').trim();
+    let rows;
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        rows = parseCsv(raw);
+    } else {
+        const parsed = raw.startsWith('[') || raw.startsWith('{')
+            ? JSON.parse(raw)
+            : raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        rows = Array.isArray(parsed) ? parsed : parsed.data;
+    }
+
+    const records = rows
+        .map(normalizeRow)
+        .filter(r => Number.isFinite(r.ts))
+        .sort((a, b) => a.ts - b.ts);
+
+    const ticks = [];
+    records.forEach((record, i) => {
+        if (record.type === 'trade') {
+            ticks.push({ ts: record.ts, price: record.px });
+        } else {
+            const nextTs = records[i + 1]?.ts ?? record.ts + (record.ts - (records[i - 1]?.ts ?? record.ts - 60000));
+            ticks.push(...candleToTicks(record, nextTs - record.ts));
+        }
+    });
+
+    return ticks.filter(tick => tick.price > 0);
+}
+
+// ===== Simulation =====
+
+async function runBacktest(ticks, settings = {}) {
+    const config = {
+        ...getSymbolConfig(settings.symbol || CONFIG.SYMBOL),
+        ...settings.overrides,
+        MAX_API_RETRIES: 1
+    };
+    const [baseCcy, quoteCcy] = config.SYMBOL.split('-');
+    const startingQuote = settings.quoteBalance ?? 1000000;
+    const clock = new VirtualClock(ticks[0].ts);
+    const orderMessages = [];
+
+    const exchange = new PaperExchange({
+        balances: { [baseCcy]: 0, [quoteCcy]: startingQuote },
+        instruments: [{
+            instType: 'SPOT',
+            instId: config.SYMBOL,
+            baseCcy,
+            quoteCcy,
+            tickSz: settings.tickSize || CONFIG.PAPER_TICK_SIZE,
+            lotSz: settings.lotSize || CONFIG.PAPER_LOT_SIZE,
+            minSz: settings.minSize || CONFIG.PAPER_MIN_SIZE,
+            state: 'live'
+        }],
+        makerFeePercent: settings.makerFeePercent ?? CONFIG.PAPER_MAKER_FEE_PERCENT,
+        takerFeePercent: settings.takerFeePercent ?? CONFIG.PAPER_TAKER_FEE_PERCENT,
+        partialFillPercent: settings.partialFillPercent ?? CONFIG.PAPER_PARTIAL_FILL_PERCENT,
+        now: () => clock.now(),
+        dispatch: message => orderMessages.push(message)
+    });
+
+    const logger = new Logger({ level: settings.verbose ? CONFIG.LOG_LEVEL : 'silent', now: () => clock.now() });
+
+    const balances = new BalanceTracker();
+    balances.applyDetails(exchange.getBalance().details, true);
+
+    const strategy = createStrategy({
+        config,
+        clock,
+        logger,
+        balances,
+        api: {
+            apiRequest: async (method, endpoint, body = null) => {
+                const response = await exchange.request(method, endpoint, body);
+                if (response.code !== '0') {
+                    // Flagged like the bot's sendApiRequest() does
+                    const error = new Error(`API Error: ${response.msg} (Code: ${response.code})`);
+                    error.code = response.code;
+                    error.isOrderState = ORDER_STATE_CODES.has(response.code);
+                    throw error;
+                }
+                return response;
+            }
+        }
+    });
+
+    // Drain order updates (and the orders they trigger) until the simulation is quiet
+    const settle = async () => {
+        for (let idleRounds = 0; idleRounds < 2;) {
+            await new Promise(resolve => setImmediate(resolve));
+
+            if (orderMessages.length === 0) {
+                idleRounds++;
+                continue;
+            }
+
+            idleRounds = 0;
+            while (orderMessages.length > 0) {
+                const message = orderMessages.shift();
+                if (message.arg.channel === 'account') {
+                    balances.applyDetails(message.data[0].details);
+                    continue;
+                }
+                if (message.arg.channel === 'algo-advance') {
+                    for (const algoUpdate of message.data) {
+                        await strategy.handleAlgoUpdate(algoUpdate);
+                    }
+                    continue;
+                }
+                for (const orderUpdate of message.data) {
+                    await strategy.handleOrderUpdate(orderUpdate);
+                }
+            }
+        }
+    };
+
+    const metrics = {
+        peakEquity: startingQuote,
+        maxDrawdown: 0,
+        maxDrawdownPercent: 0,
+        maxInventory: 0,
+        maxCapitalDeployed: 0,
+        maxOpenSells: 0
+    };
+
+    const balanceOf = (ccy) => {
+        const balance = exchange.getCurrencyBalance(ccy);
+        return balance.available + balance.frozen;
+    };
+
+    const recordMetrics = (price) => {
+        const inventory = balanceOf(baseCcy);
+        const equity = balanceOf(quoteCcy) + inventory * price;
+        // At cost: the unsold part of open and held sells, plus the carried base
+        const capitalDeployed = strategy.getPositionPnl(price).cost;
+
+        metrics.maxInventory = Math.max(metrics.maxInventory, inventory);
+        metrics.maxCapitalDeployed = Math.max(metrics.maxCapitalDeployed, capitalDeployed);
+
+        // Equity includes the idle starting quote, so the percentage is of the most capital deployed so far
+        metrics.peakEquity = Math.max(metrics.peakEquity, equity);
+        const drawdown = metrics.peakEquity - equity;
+        metrics.maxDrawdown = Math.max(metrics.maxDrawdown, drawdown);
+        if (metrics.maxCapitalDeployed > 0) {
+            metrics.maxDrawdownPercent = Math.max(metrics.maxDrawdownPercent, (drawdown / metrics.maxCapitalDeployed) * 100);
+        }
+        metrics.maxOpenSells = Math.max(metrics.maxOpenSells, strategy.getDcaLevels());
+    };
+
+    // Start the cycle at the first price
+    exchange.onTicker(config.SYMBOL, ticks[0].price);
+    await strategy.fetchInstrumentDetails();
+    await strategy.fetchFeeRates();
+    strategy.updatePrice(ticks[0].price);
+    strategy.startTrading();
+    await settle();
+    recordMetrics(ticks[0].price);
+
+    for (const tick of ticks.slice(1)) {
+        await clock.advanceTo(tick.ts, settle);
+        strategy.updatePrice(tick.price);
+        exchange.onTicker(config.SYMBOL, tick.price);
+        await settle();
+        recordMetrics(tick.price);
+    }
+
+    strategy.stop();
+
+    const lastPrice = ticks[ticks.length - 1].price;
+    const feesPaid = exchange.fills.reduce((sum, fill) => {
+        const fee = -parseFloat(fill.fee);
+        return sum + (fill.feeCcy === baseCcy ? fee * parseFloat(fill.fillPx) : fee);
+    }, 0);
+    const endingEquity = balanceOf(quoteCcy) + balanceOf(baseCcy) * lastPrice;
+
+    return {
+        symbol: config.SYMBOL,
+        strategyMode: config.STRATEGY_MODE,
+        grid: config.STRATEGY_MODE === 'grid'
+            ? `${config.GRID_TYPE} ${config.GRID_LOWER_PRICE}-${config.GRID_UPPER_PRICE}/${config.GRID_LEVELS}`
+            : null,
+        profitPercent: config.PROFIT_PERCENTAGE_PER_TRADE,
+        dcaPercent: config.DCA_BUY_PERCENTAGE_BELOW,
+        tradeSize: config.BASE_CURRENCY_TRADE_AMOUNT,
+        maxDcaLevels: config.MAX_DCA_LEVELS,
+        exitPolicy: config.EXIT_POLICY,
+        averageCostExitLevels: config.AVERAGE_COST_EXIT_LEVELS,
+        trailing: config.TRAILING_TAKE_PROFIT,
+        trailingCallbackPercent: config.TRAILING_CALLBACK_PERCENT,
+        spacingMode: config.ADAPTIVE_SPACING_MODE,
+        regimeFilters: config.REGIME_FILTERS,
+        regimeChanges: strategy.regimeChanges,
+        halt: strategy.halt
+            ? { ...strategy.halt, since: new Date(strategy.halt.since).toISOString() }
+            : null,
+        from: new Date(ticks[0].ts).toISOString(),
+        to: new Date(ticks[ticks.length - 1].ts).toISOString(),
+        grossRealizedPnl: strategy.totalGrossProfit,
+        netRealizedPnl: strategy.totalRealizedProfit,
+        feesPaid,
+        equityChange: endingEquity - startingQuote,
+        cycles: strategy.completedCycles,
+        buyFills: exchange.fills.filter(fill => fill.side === 'buy').length,
+        sellFills: exchange.fills.filter(fill => fill.side === 'sell').length,
+        openSellsAtEnd: strategy.openSellOrders.size,
+        inventoryAtEnd: balanceOf(baseCcy),
+        maxInventory: metrics.maxInventory,
+        maxCapitalDeployed: metrics.maxCapitalDeployed,
+        maxOpenSells: metrics.maxOpenSells,
+        maxDrawdown: metrics.maxDrawdown,
+        maxDrawdownPercent: metrics.maxDrawdownPercent,
+        limitHits: strategy.limitHits
+    };
+}
+
+// ===== Parameter sweeps =====
+
+// "0.2" | "0.1,0.2,0.3" | "0.1:0.5:0.1" (start:end:step)
+function parseValues(spec) {
+    if (spec.includes(':')) {
+        const [start, end, step] = spec.split(':').map(Number);
+        if (!(step > 0)) throw new Error(`Invalid range step in "${spec}"`);
+
+        const values = [];
+        for (let value = start; value <= end + step / 1e6; value += step) {
+            values.push(Number(value.toFixed(10)));
+        }
+        return values;
+    }
+    return spec.split(',').map(Number);
+}
+
+function expandSweep(sweep) {
+    return Object.entries(sweep).reduce(
+        (combinations, [key, values]) => combinations.flatMap(combo => values.map(value => ({ ...combo, [key]: value }))),
+        [{}]
+    );
+}
+
+// ===== CLI =====
+
+// A flag that is missing its value or has a bad one sets `error` instead of throwing
+function parseArgs(argv) {
+    const args = { sweep: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const key = arg.slice(2);
+        if (BOOLEAN_FLAGS.includes(key)) {
+            args[key] = 'true';
+            continue;
+        }
+
+        const value = argv[i + 1]?.startsWith('--') ? undefined : argv[++i];
+        if (value === undefined) {
+            args.error = `${arg} needs a value`;
+        } else if (SWEEP_PARAMETERS[key]) {
+            try {
+                const values = parseValues(value);
+                if (values.length === 0 || values.some(Number.isNaN)) {
+                    throw new Error(`${arg} needs numbers, got "${value}"`);
+                }
+                args.sweep[SWEEP_PARAMETERS[key]] = values;
+            } catch (error) {
+                args.error = error.message;
+            }
+        } else {
+            args[key] = value;
+        }
+    }
+
+    return args;
+}
+
+function printResults(results) {
+    const columns = [
+        ['mode', r => r.grid ? `grid ${r.grid}` : r.strategyMode],
+        ['profit%', r => r.profitPercent],
+        ['dca%', r => r.dcaPercent],
+        ['size', r => r.tradeSize],
+        ['levels', r => r.maxDcaLevels || '-'],
+        ['exit', r => r.exitPolicy === 'average_cost' ? `avg@${r.averageCostExitLevels}` : 'lot'],
+        ['trailing', r => r.trailing === 'off' ? '-' : `${r.trailingCallbackPercent}% ${r.trailing}`],
+        ['spacing', r => r.spacingMode === 'off' ? 'fixed' : r.spacingMode],
+        ['regime', r => r.regimeFilters ? `${r.regimeFilters} (${r.regimeChanges})` : '-'],
+        ['halted', r => r.halt ? `${r.halt.action} ${r.halt.since}` : '-'],
+        ['cycles', r => r.cycles],
+        ['gross', r => r.grossRealizedPnl.toFixed(4)],
+        ['net', r => r.netRealizedPnl.toFixed(4)],
+        ['fees', r => r.feesPaid.toFixed(4)],
+        ['equityΔ', r => r.equityChange.toFixed(4)],
+        ['maxInv', r => r.maxInventory.toFixed(6)],
+        ['maxCapital', r => r.maxCapitalDeployed.toFixed(2)],
+        ['maxLevels', r => r.maxOpenSells],
+        ['maxDD', r => r.maxDrawdown.toFixed(4)],
+        ['maxDD%', r => r.maxDrawdownPercent.toFixed(2)]
+    ];
+
+    const rows = results.map(result => columns.map(([, format]) => String(format(result))));
+    const widths = columns.map(([title], i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const formatRow = cells => cells.map((cell, i) => cell.padStart(widths[i])).join('  ');
+
+    console.log(formatRow(columns.map(([title]) => title)));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(formatRow(row)));
+}
+
+function printUsage() {
+    console.log('Usage: npm run backtest -- --file <candles|trades .csv/.json> [options]');
+    console.log('  --symbol ETH-USDT         instrument (default: SYMBOL)');
+    console.log('  --profit 0.2|0.1,0.2|0.1:0.5:0.1   PROFIT_PERCENTAGE_PER_TRADE value(s)');
+    console.log('  --dca 0.3|...             DCA_BUY_PERCENTAGE_BELOW value(s)');
+    console.log('  --size 0.0001|...         BASE_CURRENCY_TRADE_AMOUNT value(s)');
+    console.log('  --levels 10|...           MAX_DCA_LEVELS value(s)');
+    console.log('  --exit per_lot|average_cost   EXIT_POLICY');
+    console.log('  --exit-levels 3|...       AVERAGE_COST_EXIT_LEVELS value(s)');
+    console.log('  --trailing algo|client    trailing take-profit');
+    console.log('  --callback 0.1|...        TRAILING_CALLBACK_PERCENT value(s)');
+    console.log('  --mode dca|grid           STRATEGY_MODE');
+    console.log('  --grid-lower 1900 --grid-upper 2100 --grid-levels 10|...   static grid value(s)');
+    console.log('  --adaptive atr|realized   volatility-adaptive spacing (profit%/dca% are then the fallback)');
+    console.log('  --regime ema,drop,rsi     regime filters (actions from REGIME_ACTIONS)');
+    console.log('  --stop-loss 5|... --stop-loss-quote 10|...   STOP_LOSS_PERCENT / STOP_LOSS_QUOTE value(s)');
+    console.log('  --stop-loss-action freeze|cancel_all|flatten   STOP_LOSS_ACTION');
+    console.log('  --daily-loss 1|... --buys-without-sell 20|...   circuit breaker value(s)');
+    console.log('  --quote 1000000           starting quote balance');
+    console.log('  --maker-fee 0.08 --taker-fee 0.1   fee percent');
+    console.log('  --partial-fill 100        max % of an order filled per price update');
+    console.log('  --tick-size 0.01 --lot-size 0.000001 --min-size 0.000001');
+    console.log('  --json                    print results as JSON');
+    console.log('  --verbose                 print strategy logs');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.error || !args.file) {
+        if (args.error) {
+            console.log(`${args.error}\n`);
+        }
+        printUsage();
+        process.exit(1);
+    }
+
+    const ticks = loadMarketData(args.file);
+    if (ticks.length < 2) {
+        throw new Error(`Not enough price data in ${args.file}`);
+    }
+
+    const combinations = expandSweep(args.sweep);
+    const results = [];
+
+    console.log(`Backtesting ${ticks.length} price points from ${args.file} across ${combinations.length} parameter set(s)...`);
+
+    for (const overrides of combinations) {
+        results.push(await runBacktest(ticks, {
+            overrides: {
+                ...overrides,
+                ...(args.mode ? { STRATEGY_MODE: args.mode } : {}),
+                ...(args.exit ? { EXIT_POLICY: args.exit } : {}),
+                ...(args.trailing ? { TRAILING_TAKE_PROFIT: args.trailing } : {}),
+                ...(args.adaptive ? { ADAPTIVE_SPACING_MODE: args.adaptive } : {}),
+                ...(args.regime ? { REGIME_FILTERS: args.regime } : {}),
+                ...(args['stop-loss-action'] ? { STOP_LOSS_ACTION: args['stop-loss-action'] } : {})
+            },
+            symbol: args.symbol,
+            quoteBalance: args.quote !== undefined ? parseFloat(args.quote) : undefined,
+            makerFeePercent: args['maker-fee'] !== undefined ? parseFloat(args['maker-fee']) : undefined,
+            takerFeePercent: args['taker-fee'] !== undefined ? parseFloat(args['taker-fee']) : undefined,
+            partialFillPercent: args['partial-fill'] !== undefined ? parseFloat(args['partial-fill']) : undefined,
+            tickSize: args['tick-size'],
+            lotSize: args['lot-size'],
+            minSize: args['min-size'],
+            verbose: args.verbose === 'true'
+        }));
+    }
+
+    results.sort((a, b) => b.netRealizedPnl - a.netRealizedPnl);
+
+    if (args.json === 'true') {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        printResults(results);
+    }
+}
+
+module.exports = {
+    loadMarketData,
+    runBacktest,
+    parseValues,
+    expandSweep,
+    parseArgs
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Backtest failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,59 @@
+const EventEmitter = require('events');
+
+// Available/frozen balances per currency, kept current from REST snapshots
+// and the private `account` channel. Shared by all strategy instances.
+class BalanceTracker extends EventEmitter {
+    constructor() {
+        super();
+        this.balances = new Map();
+        this.updatedAt = null;
+    }
+
+    // `details` rows from /api/v5/account/balance or an `account` channel push.
+    // A full snapshot replaces everything (OKX leaves out zero balances).
+    applyDetails(details, isFullSnapshot = false) {
+        if (isFullSnapshot) {
+            this.balances.clear();
+        }
+
+        for (const detail of details || []) {
+            this.balances.set(detail.ccy, {
+                available: parseFloat(detail.availBal) || 0,
+                frozen: parseFloat(detail.frozenBal) || 0
+            });
+        }
+
+        this.updatedAt = Date.now();
+        this.emit('update');
+    }
+
+    isTracking() {
+        return this.updatedAt !== null;
+    }
+
+    get(ccy) {
+        return this.balances.get(ccy) || { available: 0, frozen: 0 };
+    }
+
+    // Unknown until the first snapshot, so don't block orders before that
+    hasAvailable(ccy, amount) {
+        return !this.isTracking() || this.get(ccy).available + 1e-12 >= amount;
+    }
+
+    // Freeze funds locally as soon as an order is accepted, before the account push confirms it
+    reserve(ccy, amount) {
+        const balance = this.get(ccy);
+        this.balances.set(ccy, {
+            available: balance.available - amount,
+            frozen: balance.frozen + amount
+        });
+    }
+
+    describe(currencies = Array.from(this.balances.keys())) {
+        return currencies
+            .map(ccy => `${ccy}=${this.get(ccy).available.toFixed(8)} (frozen ${this.get(ccy).frozen.toFixed(8)})`)
+            .join(', ');
+    }
+}
+
+module.exports = BalanceTracker;
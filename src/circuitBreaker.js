@@ -0,0 +1,178 @@
+const EventEmitter = require('events');
+
+const MINUTE_MS = 60000;
+const DAY_MS = 86400000;
+
+// Config settings, 0 = off
+const BREAKERS = [
+    'MAX_ORDERS_PER_MINUTE',
+    'MAX_CANCELS_PER_MINUTE',
+    'MAX_BUYS_WITHOUT_SELL',
+    'MAX_DAILY_LOSS',
+    'MAX_CONSECUTIVE_API_ERRORS'
+];
+
+// Requests counted against the order and cancel rates
+const ORDER_ENDPOINTS = new Set(['/api/v5/trade/order', '/api/v5/trade/batch-orders', '/api/v5/trade/order-algo']);
+const CANCEL_ENDPOINTS = new Set(['/api/v5/trade/cancel-order', '/api/v5/trade/cancel-batch-orders', '/api/v5/trade/cancel-algos']);
+
+// Trips when a strategy acts like it is stuck in a loop or loses too much: orders or cancels
+// sent in the last minute, buys filled without a sell in between, net realized loss in the
+// current UTC day, API requests failing in a row. Emits 'trip' with { breaker, detail,
+// counters } once; it stays tripped until reset().
+class CircuitBreaker extends EventEmitter {
+    constructor({ clock, limits }) {
+        super();
+        this.clock = clock;
+        this.limits = limits;
+        this.reset();
+    }
+
+    static fromConfig(config, clock) {
+        const limits = Object.fromEntries(BREAKERS.map(name => [name, config[name] || 0]));
+        if (!Object.values(limits).some(limit => limit > 0)) return null;
+
+        return new CircuitBreaker({ clock, limits });
+    }
+
+    // Counters start over, e.g. when a human re-arms trading after a trip
+    reset() {
+        this.tripped = null;
+        this.orderTimes = [];
+        this.cancelTimes = [];
+        this.buysWithoutSell = 0;
+        this.daily = { day: this.getDay(), pnl: 0 };
+        this.consecutiveApiErrors = 0;
+    }
+
+    getDay() {
+        return Math.floor(this.clock.now() / DAY_MS);
+    }
+
+    // An `api` whose requests are counted
+    wrap(api) {
+        return {
+            apiRequest: async (method, endpoint, body = null, ...rest) => {
+                const path = endpoint.split('?')[0];
+                const count = Array.isArray(body) ? body.length : 1;
+
+                if (method === 'POST' && ORDER_ENDPOINTS.has(path)) {
+                    this.recordRate(this.orderTimes, count, 'MAX_ORDERS_PER_MINUTE', 'orders');
+                } else if (method === 'POST' && CANCEL_ENDPOINTS.has(path)) {
+                    this.recordRate(this.cancelTimes, count, 'MAX_CANCELS_PER_MINUTE', 'cancels');
+                }
+
+                try {
+                    const response = await api.apiRequest(method, endpoint, body, ...rest);
+                    this.consecutiveApiErrors = 0;
+                    return response;
+                } catch (error) {
+                    // The exchange answered about the order (e.g. 51603 not found): not an API failure
+                    if (error.isOrderState) {
+                        this.consecutiveApiErrors = 0;
+                        throw error;
+                    }
+
+                    this.consecutiveApiErrors++;
+                    if (this.isOver('MAX_CONSECUTIVE_API_ERRORS', this.consecutiveApiErrors)) {
+                        this.trip('MAX_CONSECUTIVE_API_ERRORS', `${this.consecutiveApiErrors} API requests failed in a row (last: ${method} ${path}: ${error.message})`);
+                    }
+                    throw error;
+                }
+            }
+        };
+    }
+
+    recordRate(times, count, breaker, label) {
+        const now = this.clock.now();
+        for (let i = 0; i < count; i++) {
+            times.push(now);
+        }
+        while (times.length > 0 && times[0] <= now - MINUTE_MS) {
+            times.shift();
+        }
+
+        if (this.isOver(breaker, times.length)) {
+            this.trip(breaker, `${times.length} ${label} in the last minute (max ${this.limits[breaker]})`);
+        }
+    }
+
+    // OKX order update: a buy that filled (fully, or partly before it was cancelled) or any sell fill
+    recordOrderUpdate(orderUpdate) {
+        const { side, state } = orderUpdate;
+
+        if (side === 'sell' && (state === 'filled' || state === 'partially_filled')) {
+            this.buysWithoutSell = 0;
+        } else if (side === 'buy' && (state === 'filled' || (['canceled', 'cancelled'].includes(state) && parseFloat(orderUpdate.accFillSz) > 0))) {
+            this.buysWithoutSell++;
+            if (this.isOver('MAX_BUYS_WITHOUT_SELL', this.buysWithoutSell)) {
+                this.trip('MAX_BUYS_WITHOUT_SELL', `${this.buysWithoutSell} buys filled without a sell (max ${this.limits.MAX_BUYS_WITHOUT_SELL})`);
+            }
+        }
+    }
+
+    // Net realized PnL of a sell fill
+    recordPnl(pnl) {
+        if (this.daily.day !== this.getDay()) {
+            this.daily = { day: this.getDay(), pnl: 0 };
+        }
+        this.daily.pnl += pnl;
+
+        const maxLoss = this.limits.MAX_DAILY_LOSS;
+        if (maxLoss > 0 && -this.daily.pnl >= maxLoss) {
+            this.trip('MAX_DAILY_LOSS', `realized ${this.daily.pnl.toFixed(8)} today (max loss ${maxLoss})`);
+        }
+    }
+
+    isOver(breaker, value) {
+        return this.limits[breaker] > 0 && value > this.limits[breaker];
+    }
+
+    trip(breaker, detail) {
+        if (this.tripped) return;
+
+        this.tripped = { breaker, detail, counters: this.getCounters(), since: this.clock.now() };
+        this.emit('trip', this.tripped);
+    }
+
+    getCounters() {
+        const now = this.clock.now();
+        return {
+            ordersLastMinute: this.orderTimes.filter(ts => ts > now - MINUTE_MS).length,
+            cancelsLastMinute: this.cancelTimes.filter(ts => ts > now - MINUTE_MS).length,
+            buysWithoutSell: this.buysWithoutSell,
+            dailyRealizedPnl: this.daily.day === this.getDay() ? this.daily.pnl : 0,
+            consecutiveApiErrors: this.consecutiveApiErrors
+        };
+    }
+
+    describeCounters(counters = this.getCounters()) {
+        return `orders/min ${counters.ordersLastMinute}, cancels/min ${counters.cancelsLastMinute}, `
+            + `buys without sell ${counters.buysWithoutSell}, today's PnL ${counters.dailyRealizedPnl.toFixed(8)}, `
+            + `API errors in a row ${counters.consecutiveApiErrors}`;
+    }
+
+    describeLimits() {
+        return BREAKERS.filter(name => this.limits[name] > 0)
+            .map(name => `${name}=${this.limits[name]}`)
+            .join(', ');
+    }
+
+    // The counters that outlive a restart
+    serialize() {
+        return { buysWithoutSell: this.buysWithoutSell, daily: this.daily };
+    }
+
+    restore(saved) {
+        if (!saved) return;
+
+        this.buysWithoutSell = saved.buysWithoutSell || 0;
+        if (saved.daily?.day === this.getDay()) {
+            this.daily = saved.daily;
+        }
+    }
+}
+
+CircuitBreaker.BREAKERS = BREAKERS;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,54 @@
+// Clocks used by the strategy for timestamps and timers.
+// The live bot uses wall-clock time; the backtester drives a virtual clock from market data.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, delayMs) => setTimeout(fn, delayMs),
+    clearTimeout: (handle) => clearTimeout(handle),
+    sleep: (delayMs) => new Promise(resolve => setTimeout(resolve, delayMs))
+};
+
+class VirtualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(fn, delayMs) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, at: this.time + Math.max(0, delayMs || 0), fn });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    sleep(delayMs) {
+        return new Promise(resolve => this.setTimeout(resolve, delayMs));
+    }
+
+    // Advance to `time`, firing due timers in order and letting `settle()` drain the work they start
+    async advanceTo(time, settle = async () => {}) {
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.at <= time)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+
+            if (!due) break;
+
+            this.timers = this.timers.filter(timer => timer.id !== due.id);
+            this.time = Math.max(this.time, due.at);
+            due.fn();
+            await settle();
+        }
+
+        this.time = Math.max(this.time, time);
+    }
+}
+
+module.exports = { systemClock, VirtualClock };
@@ -0,0 +1,250 @@
+require('dotenv').config();
+const path = require('path');
+
+// Enhanced Configuration
+const CONFIG = {
+    // API Credentials
+    API_KEY: process.env.OKX_API_KEY,
+    SECRET_KEY: process.env.OKX_SECRET_KEY,
+    PASSPHRASE: process.env.OKX_PASSPHRASE,
+
+    // Environment
+    SANDBOX: process.env.OKX_SANDBOX === 'true',
+    PAPER: process.env.PAPER === 'true',
+
+    // Trading Parameters
+    SYMBOL: process.env.SYMBOL || 'ETH-USDT',
+    // Comma-separated instruments traded from one process (defaults to SYMBOL)
+    SYMBOLS: (process.env.SYMBOLS || process.env.SYMBOL || 'ETH-USDT').split(',').map(s => s.trim()).filter(Boolean),
+    // Cap on quote currency committed across all symbols (0 = no cap)
+    MAX_QUOTE_BUDGET: parseFloat(process.env.MAX_QUOTE_BUDGET) || 0,
+    BASE_CURRENCY_TRADE_AMOUNT: parseFloat(process.env.BASE_CURRENCY_TRADE_AMOUNT) || 0.0001, // 0.0001 ETH
+    PROFIT_PERCENTAGE_PER_TRADE: parseFloat(process.env.PROFIT_PERCENTAGE_PER_TRADE) || 0.2,
+    DCA_BUY_PERCENTAGE_BELOW: parseFloat(process.env.DCA_BUY_PERCENTAGE_BELOW) || 0.3,
+
+    // Exit policy: per_lot (one profit sell per fill) or average_cost (from AVERAGE_COST_EXIT_LEVELS
+    // open DCA levels on, one sell for the whole position at its average cost plus the profit target)
+    EXIT_POLICY: process.env.EXIT_POLICY || 'per_lot',
+    AVERAGE_COST_EXIT_LEVELS: parseInt(process.env.AVERAGE_COST_EXIT_LEVELS) || 3,
+
+    // Trailing take-profit: off, algo (OKX move_order_stop, falling back to client) or client.
+    // Trailing starts at the profit target and sells once the price falls back TRAILING_CALLBACK_PERCENT from its high
+    TRAILING_TAKE_PROFIT: process.env.TRAILING_TAKE_PROFIT || 'off',
+    TRAILING_CALLBACK_PERCENT: parseFloat(process.env.TRAILING_CALLBACK_PERCENT) || 0.1,
+
+    // dca: chase-and-DCA (one DCA buy below the last fill). grid: static grid of GRID_LEVELS
+    // prices from GRID_LOWER_PRICE to GRID_UPPER_PRICE, spaced arithmetic or geometric
+    STRATEGY_MODE: process.env.STRATEGY_MODE || 'dca',
+    GRID_TYPE: process.env.GRID_TYPE || 'arithmetic',
+    GRID_LOWER_PRICE: parseFloat(process.env.GRID_LOWER_PRICE) || 0,
+    GRID_UPPER_PRICE: parseFloat(process.env.GRID_UPPER_PRICE) || 0,
+    GRID_LEVELS: parseInt(process.env.GRID_LEVELS) || 10,
+
+    // Volatility-adaptive spacing: off, atr or realized. Profit/DCA distances become
+    // volatility (% of price, over VOLATILITY_PERIOD 1m bars) x multiplier, within the bounds.
+    ADAPTIVE_SPACING_MODE: process.env.ADAPTIVE_SPACING_MODE || 'off',
+    VOLATILITY_PERIOD: parseInt(process.env.VOLATILITY_PERIOD) || 14,
+    PROFIT_VOLATILITY_MULTIPLIER: parseFloat(process.env.PROFIT_VOLATILITY_MULTIPLIER) || 1,
+    DCA_VOLATILITY_MULTIPLIER: parseFloat(process.env.DCA_VOLATILITY_MULTIPLIER) || 1.5,
+    MIN_PROFIT_PERCENTAGE: parseFloat(process.env.MIN_PROFIT_PERCENTAGE) || 0.1,
+    MAX_PROFIT_PERCENTAGE: parseFloat(process.env.MAX_PROFIT_PERCENTAGE) || 1,
+    MIN_DCA_PERCENTAGE: parseFloat(process.env.MIN_DCA_PERCENTAGE) || 0.15,
+    MAX_DCA_PERCENTAGE: parseFloat(process.env.MAX_DCA_PERCENTAGE) || 2,
+
+    // Regime filter: any of ema, drop, rsi (comma-separated; empty = off). While one triggers
+    // (and for the cooldown after), the REGIME_ACTIONS apply: delay_reentry, widen_dca, suspend_buys
+    REGIME_FILTERS: process.env.REGIME_FILTERS || '',
+    REGIME_ACTIONS: (process.env.REGIME_ACTIONS || 'delay_reentry,widen_dca').split(',').map(s => s.trim()).filter(Boolean),
+    REGIME_EMA_FAST: parseInt(process.env.REGIME_EMA_FAST) || 9,
+    REGIME_EMA_SLOW: parseInt(process.env.REGIME_EMA_SLOW) || 21,
+    REGIME_DROP_PERCENT: parseFloat(process.env.REGIME_DROP_PERCENT) || 3,
+    REGIME_DROP_MINUTES: parseFloat(process.env.REGIME_DROP_MINUTES) || 15,
+    REGIME_RSI_PERIOD: parseInt(process.env.REGIME_RSI_PERIOD) || 14,
+    REGIME_RSI_BELOW: parseFloat(process.env.REGIME_RSI_BELOW) || 25,
+    REGIME_DCA_MULTIPLIER: parseFloat(process.env.REGIME_DCA_MULTIPLIER) || 2,
+    REGIME_COOLDOWN_MINUTES: parseFloat(process.env.REGIME_COOLDOWN_MINUTES) || 5,
+
+    // Emergency stop-loss (0 = off): halt once the position's unrealized loss reaches STOP_LOSS_QUOTE
+    // or STOP_LOSS_PERCENT of the capital deployed in it. STOP_LOSS_ACTION: freeze (cancel buys),
+    // cancel_all (cancel every order) or flatten (cancel every order and market-sell the position)
+    STOP_LOSS_QUOTE: parseFloat(process.env.STOP_LOSS_QUOTE) || 0,
+    STOP_LOSS_PERCENT: parseFloat(process.env.STOP_LOSS_PERCENT) || 0,
+    STOP_LOSS_ACTION: process.env.STOP_LOSS_ACTION || 'cancel_all',
+    // Kill switch: create this file (or <file>.<SYMBOL>) to halt, delete it to re-arm
+    KILL_SWITCH_FILE: process.env.KILL_SWITCH_FILE || 'kill_switch',
+    KILL_SWITCH_ACTION: process.env.KILL_SWITCH_ACTION || 'cancel_all',
+    KILL_SWITCH_POLL_MS: parseInt(process.env.KILL_SWITCH_POLL_MS) || 1000,
+
+    // Circuit breakers (0 = off): pause trading like a `freeze` kill switch when one is exceeded
+    MAX_ORDERS_PER_MINUTE: parseInt(process.env.MAX_ORDERS_PER_MINUTE) || 0,
+    MAX_CANCELS_PER_MINUTE: parseInt(process.env.MAX_CANCELS_PER_MINUTE) || 0,
+    MAX_BUYS_WITHOUT_SELL: parseInt(process.env.MAX_BUYS_WITHOUT_SELL) || 0,
+    MAX_DAILY_LOSS: parseFloat(process.env.MAX_DAILY_LOSS) || 0, // net realized, quote currency, UTC day
+    MAX_CONSECUTIVE_API_ERRORS: parseInt(process.env.MAX_CONSECUTIVE_API_ERRORS) || 0,
+
+    // Local HTTP control API (0 = off); requests need `Authorization: Bearer <CONTROL_API_TOKEN>`
+    CONTROL_API_PORT: parseInt(process.env.CONTROL_API_PORT) || 0,
+    CONTROL_API_HOST: process.env.CONTROL_API_HOST || '127.0.0.1',
+    CONTROL_API_TOKEN: process.env.CONTROL_API_TOKEN || '',
+    // Prometheus metrics on http://<METRICS_HOST>:<METRICS_PORT>/metrics (0 = off)
+    METRICS_PORT: parseInt(process.env.METRICS_PORT) || 0,
+    METRICS_HOST: process.env.METRICS_HOST || '127.0.0.1',
+
+    // Logging: debug, info, warn or error. LOG_LEVELS sets subsystems (bot, api, ws, strategy,
+    // reconciliation) apart, e.g. ws=debug,api=warn. LOG_FORMAT: text or json (console only,
+    // LOG_FILE is always JSON lines, rotated at LOG_MAX_FILE_MB keeping LOG_MAX_FILES old files)
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+    LOG_LEVELS: process.env.LOG_LEVELS || '',
+    LOG_FORMAT: process.env.LOG_FORMAT || 'text',
+    LOG_FILE: process.env.LOG_FILE || '',
+    LOG_MAX_FILE_MB: parseFloat(process.env.LOG_MAX_FILE_MB) || 10,
+    LOG_MAX_FILES: parseInt(process.env.LOG_MAX_FILES) || 5,
+
+    // Trade journal of every fill: sqlite (Node.js 22.13+/23.4+), csv, off, or auto (sqlite if available).
+    // JOURNAL_FILE defaults to trades.sqlite / trades.csv (trades.paper.* in paper mode)
+    JOURNAL_FORMAT: process.env.JOURNAL_FORMAT || 'auto',
+    JOURNAL_FILE: process.env.JOURNAL_FILE || '',
+
+    // Notifications: set any of the sinks. The Telegram API URL can point at a stand-in for testing
+    NOTIFY_WEBHOOK_URL: process.env.NOTIFY_WEBHOOK_URL || '',
+    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+    TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID || '',
+    TELEGRAM_API_URL: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+    DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL || '',
+    NOTIFY_EVENTS: process.env.NOTIFY_EVENTS || 'cycle,dca_level,anomaly,limit,lifecycle,errors',
+    NOTIFY_DCA_MIN_LEVEL: parseInt(process.env.NOTIFY_DCA_MIN_LEVEL) || 2, // open levels, the first buy is level 1
+    NOTIFY_DEDUPE_MINUTES: parseFloat(process.env.NOTIFY_DEDUPE_MINUTES) || 10,
+    NOTIFY_MAX_PER_MINUTE: parseInt(process.env.NOTIFY_MAX_PER_MINUTE) || 20,
+    NOTIFY_ERROR_REPEAT: parseInt(process.env.NOTIFY_ERROR_REPEAT) || 3,
+    NOTIFY_TIMEOUT_MS: parseInt(process.env.NOTIFY_TIMEOUT_MS) || 10000,
+
+    // Risk Limits (0 = disabled): pause new buys while any of them is reached
+    MAX_DCA_LEVELS: parseInt(process.env.MAX_DCA_LEVELS) || 0,
+    MAX_BASE_INVENTORY: parseFloat(process.env.MAX_BASE_INVENTORY) || 0,
+    MAX_QUOTE_DEPLOYED: parseFloat(process.env.MAX_QUOTE_DEPLOYED) || 0,
+    DCA_FLOOR_PRICE: parseFloat(process.env.DCA_FLOOR_PRICE) || 0,
+    // Bid/ask spread (% of mid) above which new buys wait for the book to normalize
+    MAX_SPREAD_PERCENT: parseFloat(process.env.MAX_SPREAD_PERCENT) || 0,
+
+    // Fallback fee tier, used only if the account trade-fee endpoint can't be read
+    MAKER_FEE_PERCENT: parseFloat(process.env.MAKER_FEE_PERCENT) || 0.08,
+    TAKER_FEE_PERCENT: parseFloat(process.env.TAKER_FEE_PERCENT) || 0.1,
+
+    // Performance Settings
+    IMMEDIATE_BUY_WAIT_MS: parseInt(process.env.IMMEDIATE_BUY_WAIT_MS) || 100,
+    // Chase with post-only orders (maker fees) instead of limit orders
+    AGGRESSIVE_BUY_POST_ONLY: process.env.AGGRESSIVE_BUY_POST_ONLY === 'true',
+
+    // Order book pricing. Price modes: last, bid, ask, mid or bid+N (N ticks above the best bid)
+    ORDER_BOOK_CHANNEL: process.env.ORDER_BOOK_CHANNEL || 'bbo-tbt', // bbo-tbt, books5 or none
+    AGGRESSIVE_BUY_PRICE_MODE: process.env.AGGRESSIVE_BUY_PRICE_MODE || (process.env.AGGRESSIVE_BUY_POST_ONLY === 'true' ? 'bid' : 'last'),
+    // Book price that profit sells are kept at or above and DCA buys at or below (none = off)
+    GRID_ORDER_PRICE_MODE: process.env.GRID_ORDER_PRICE_MODE || 'none',
+    API_RETRY_DELAY_MS: parseInt(process.env.API_RETRY_DELAY_MS) || 1000,
+    MAX_API_RETRIES: parseInt(process.env.MAX_API_RETRIES) || 3,
+    WS_PING_INTERVAL_MS: parseInt(process.env.WS_PING_INTERVAL_MS) || 15000,
+    HTTP_TIMEOUT_MS: parseInt(process.env.HTTP_TIMEOUT_MS) || 15000,
+    // Place/cancel/amend orders over the private WebSocket (REST when it's down)
+    WS_ORDER_ENTRY: process.env.WS_ORDER_ENTRY !== 'false',
+    WS_ORDER_TIMEOUT_MS: parseInt(process.env.WS_ORDER_TIMEOUT_MS) || 5000,
+    // Share of OKX's per-endpoint rate limits the bot allows itself to use
+    RATE_LIMIT_UTILIZATION_PERCENT: parseFloat(process.env.RATE_LIMIT_UTILIZATION_PERCENT) || 80,
+    // REST/WebSocket requests in flight at once; order entry has the last one to itself
+    RATE_LIMIT_MAX_IN_FLIGHT: parseInt(process.env.RATE_LIMIT_MAX_IN_FLIGHT) || 4,
+
+    // Check orders and fills against the exchange this often, besides after a private socket drop
+    RECONCILE_INTERVAL_MINUTES: parseFloat(process.env.RECONCILE_INTERVAL_MINUTES) || 5,
+
+    // State Persistence
+    STATE_FILE: process.env.STATE_FILE || (process.env.PAPER === 'true' ? 'bot_state.paper.json' : 'bot_state.json'),
+    CANCEL_ALL_ON_SHUTDOWN: process.env.CANCEL_ALL_ON_SHUTDOWN === 'true',
+    // Order price moves are saved at most this often; fills, placements and cancels right away
+    STATE_SAVE_DELAY_MS: parseInt(process.env.STATE_SAVE_DELAY_MS) || 1000,
+
+    // Paper Trading (simulated exchange)
+    PAPER_QUOTE_BALANCE: parseFloat(process.env.PAPER_QUOTE_BALANCE) || 1000,
+    PAPER_BASE_BALANCE: parseFloat(process.env.PAPER_BASE_BALANCE) || 0,
+    // Simulated fees: the fallback fee tier unless set (set 0 for a fee-free simulation)
+    PAPER_MAKER_FEE_PERCENT: process.env.PAPER_MAKER_FEE_PERCENT ? parseFloat(process.env.PAPER_MAKER_FEE_PERCENT) : null,
+    PAPER_TAKER_FEE_PERCENT: process.env.PAPER_TAKER_FEE_PERCENT ? parseFloat(process.env.PAPER_TAKER_FEE_PERCENT) : null,
+    PAPER_PARTIAL_FILL_PERCENT: parseFloat(process.env.PAPER_PARTIAL_FILL_PERCENT) || 100,
+    PAPER_STATE_FILE: process.env.PAPER_STATE_FILE || 'paper_exchange.json',
+    PAPER_REPLAY_FILE: process.env.PAPER_REPLAY_FILE || null,
+    PAPER_REPLAY_SPEED: parseFloat(process.env.PAPER_REPLAY_SPEED) || 1,
+    PAPER_TICK_SIZE: process.env.PAPER_TICK_SIZE || '0.01',
+    PAPER_LOT_SIZE: process.env.PAPER_LOT_SIZE || '0.000001',
+    PAPER_MIN_SIZE: process.env.PAPER_MIN_SIZE || '0.000001'
+};
+
+CONFIG.PAPER_MAKER_FEE_PERCENT ??= CONFIG.MAKER_FEE_PERCENT;
+CONFIG.PAPER_TAKER_FEE_PERCENT ??= CONFIG.TAKER_FEE_PERCENT;
+
+// API URLs
+const BASE_URL = CONFIG.SANDBOX ? 'https://aws.okx.com' : 'https://www.okx.com';
+const WS_URL = CONFIG.SANDBOX ? 'wss://wspap.okx.com:8443/ws/v5/public' : 'wss://ws.okx.com:8443/ws/v5/public';
+const WS_PRIVATE_URL = CONFIG.SANDBOX ? 'wss://wspap.okx.com:8443/ws/v5/private' : 'wss://ws.okx.com:8443/ws/v5/private';
+// Candle channels live on the business endpoint
+const WS_BUSINESS_URL = CONFIG.SANDBOX ? 'wss://wspap.okx.com:8443/ws/v5/business' : 'wss://ws.okx.com:8443/ws/v5/business';
+
+// Settings that can be overridden per symbol, e.g. BTC_USDT_PROFIT_PERCENTAGE_PER_TRADE=0.3
+const PER_SYMBOL_SETTINGS = [
+    'BASE_CURRENCY_TRADE_AMOUNT',
+    'PROFIT_PERCENTAGE_PER_TRADE',
+    'DCA_BUY_PERCENTAGE_BELOW',
+    'AVERAGE_COST_EXIT_LEVELS',
+    'TRAILING_CALLBACK_PERCENT',
+    'GRID_LOWER_PRICE',
+    'GRID_UPPER_PRICE',
+    'GRID_LEVELS',
+    'MAX_DCA_LEVELS',
+    'STOP_LOSS_QUOTE',
+    'STOP_LOSS_PERCENT',
+    'MAX_BUYS_WITHOUT_SELL',
+    'MAX_DAILY_LOSS',
+    'MAX_BASE_INVENTORY',
+    'MAX_QUOTE_DEPLOYED',
+    'DCA_FLOOR_PRICE',
+    'MAX_SPREAD_PERCENT',
+    'PROFIT_VOLATILITY_MULTIPLIER',
+    'DCA_VOLATILITY_MULTIPLIER',
+    'MIN_PROFIT_PERCENTAGE',
+    'MAX_PROFIT_PERCENTAGE',
+    'MIN_DCA_PERCENTAGE',
+    'MAX_DCA_PERCENTAGE'
+];
+
+// With several symbols each one gets its own state file: bot_state.BTC-USDT.json
+function getStateFile(symbol) {
+    if (CONFIG.SYMBOLS.length <= 1) return CONFIG.STATE_FILE;
+
+    const { dir, name, ext } = path.parse(CONFIG.STATE_FILE);
+    return path.join(dir, `${name}.${symbol}${ext}`);
+}
+
+function getSymbolConfig(symbol) {
+    const prefix = symbol.replace(/-/g, '_').toUpperCase();
+    const overrides = {};
+
+    for (const key of PER_SYMBOL_SETTINGS) {
+        const value = parseFloat(process.env[`${prefix}_${key}`]);
+        if (value > 0) {
+            overrides[key] = value;
+        }
+    }
+
+    return {
+        ...CONFIG,
+        ...overrides,
+        SYMBOL: symbol,
+        STATE_FILE: getStateFile(symbol)
+    };
+}
+
+module.exports = {
+    CONFIG,
+    getSymbolConfig,
+    BASE_URL,
+    WS_URL,
+    WS_PRIVATE_URL,
+    WS_BUSINESS_URL
+};
@@ -0,0 +1,185 @@
+const http = require('http');
+const crypto = require('crypto');
+const KillSwitch = require('./killSwitch');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Local HTTP control API. Every request needs `Authorization: Bearer <CONTROL_API_TOKEN>`.
+// POST bodies and responses are JSON; `symbol` (query or body) limits a request to one symbol.
+//   GET  /status      mode, prices, open sells, pending DCA buy, inventory, PnL per symbol
+//   POST /pause       stop new buys (a `freeze` kill switch halt), profit sells stay
+//   POST /cancel-all  cancel every order (a `cancel_all` halt), the sells return on resume
+//   POST /resume      re-arm: held sells go back on the book and buying restarts
+//   POST /config      { "PROFIT_PERCENTAGE_PER_TRADE": 0.3, ... } for the next orders
+// Pauses go through the kill switch files, so they survive a restart like `npm run kill`.
+class ControlServer {
+    constructor({ host = '127.0.0.1', port, token, strategies, killSwitch, logger = console, getInfo = () => ({}) }) {
+        this.host = host;
+        this.port = port;
+        this.token = token;
+        this.strategies = strategies;
+        this.killSwitch = killSwitch;
+        this.logger = logger;
+        this.getInfo = getInfo;
+        this.server = null;
+
+        this.routes = {
+            'GET /status': query => this.getStatus(query),
+            'POST /pause': body => this.halt(body, 'freeze', 'paused'),
+            'POST /cancel-all': body => this.halt(body, 'cancel_all', 'cancelled all orders'),
+            'POST /resume': body => this.resume(body),
+            'POST /config': body => this.updateConfig(body)
+        };
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                this.logger.log(`🎛️ Control API listening on http://${this.host}:${this.server.address().port}`);
+                resolve();
+            });
+        });
+    }
+
+    close() {
+        this.server?.close();
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const route = this.routes[`${req.method} ${url.pathname}`];
+
+        try {
+            if (!this.isAuthorized(req)) {
+                return this.send(res, 401, { error: 'Missing or wrong token' });
+            }
+            if (!route) {
+                return this.send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+            }
+
+            const body = req.method === 'POST' ? await this.readBody(req) : {};
+            const symbol = url.searchParams.get('symbol') || body.symbol;
+            delete body.symbol;
+
+            this.send(res, 200, await route({ ...body, symbol }));
+        } catch (error) {
+            this.send(res, error.status || 500, { error: error.message });
+        }
+    }
+
+    isAuthorized(req) {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) return false;
+
+        const expected = crypto.createHash('sha256').update(this.token).digest();
+        const actual = crypto.createHash('sha256').update(token).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let raw = '';
+            req.on('data', chunk => {
+                raw += chunk;
+                if (raw.length > MAX_BODY_BYTES) {
+                    reject(this.requestError(413, 'Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                try {
+                    const body = raw ? JSON.parse(raw) : {};
+                    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+                        throw new Error('not an object');
+                    }
+                    resolve(body);
+                } catch (error) {
+                    reject(this.requestError(400, `Body must be a JSON object (${error.message})`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload, null, 2));
+    }
+
+    requestError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    // The symbol's strategy, or all of them
+    selectStrategies(symbol) {
+        if (!symbol) return Array.from(this.strategies.values());
+
+        const strategy = this.strategies.get(symbol);
+        if (!strategy) {
+            throw this.requestError(404, `Unknown symbol ${symbol}: trading ${Array.from(this.strategies.keys()).join(', ')}`);
+        }
+        return [strategy];
+    }
+
+    getStatus({ symbol } = {}) {
+        return {
+            ...this.getInfo(),
+            symbols: this.selectStrategies(symbol).map(strategy => strategy.getStatus())
+        };
+    }
+
+    async halt({ symbol, reason }, action, label) {
+        const severity = KillSwitch.HALT_ACTIONS.indexOf(action);
+        for (const strategy of this.selectStrategies(symbol)) {
+            // Already halted at least this hard: keep that halt (and its file)
+            if (strategy.halt && KillSwitch.HALT_ACTIONS.indexOf(strategy.halt.action) >= severity) continue;
+
+            const haltReason = `control API: ${reason || label}`;
+            this.killSwitch.engage(strategy.config.SYMBOL, haltReason, action);
+            await strategy.haltTrading(haltReason, action);
+        }
+        return this.getStatus({ symbol });
+    }
+
+    async resume({ symbol }) {
+        const strategies = this.selectStrategies(symbol);
+        for (const strategy of strategies) {
+            this.killSwitch.rearm(strategy.config.SYMBOL);
+        }
+        // The global kill switch file still halts everything; resume doesn't override it
+        if (this.killSwitch.read(strategies[0].config.SYMBOL)) {
+            throw this.requestError(409, `Still halted by ${this.killSwitch.filePath}: remove it or use npm run rearm`);
+        }
+
+        // The kill switch poll sees the deleted files next and finds the strategies re-armed
+        for (const strategy of strategies) {
+            await strategy.rearm();
+        }
+        return this.getStatus({ symbol });
+    }
+
+    updateConfig({ symbol, ...changes }) {
+        if (Object.keys(changes).length === 0) {
+            throw this.requestError(400, 'Nothing to change');
+        }
+
+        const strategies = this.selectStrategies(symbol);
+        let updates;
+        try {
+            // All or nothing: check every symbol before changing any
+            updates = strategies.map(strategy => strategy.validateSettings(changes));
+        } catch (error) {
+            throw this.requestError(400, error.message);
+        }
+
+        return Object.fromEntries(strategies.map((strategy, i) => [strategy.config.SYMBOL, strategy.updateSettings(updates[i])]));
+    }
+}
+
+module.exports = ControlServer;
@@ -0,0 +1,2397 @@
+const { systemClock } = require('./clock');
+const VolatilityTracker = require('./volatility');
+const RegimeFilter = require('./regimeFilter');
+const KillSwitch = require('./killSwitch');
+const CircuitBreaker = require('./circuitBreaker');
+const Logger = require('./logger');
+
+const REGIME_ACTIONS = ['delay_reentry', 'widen_dca', 'suspend_buys'];
+const TRAILING_MODES = ['off', 'algo', 'client'];
+const EXIT_POLICIES = ['per_lot', 'average_cost'];
+// Settings the control API can change while running
+const HOT_SETTINGS = ['PROFIT_PERCENTAGE_PER_TRADE', 'DCA_BUY_PERCENTAGE_BELOW', 'BASE_CURRENCY_TRADE_AMOUNT'];
+
+// amend-order codes meaning the order is no longer live (filled, cancelled or gone)
+const AMEND_ORDER_CLOSED_CODES = new Set([
+    '51503', // Order modification failed as the order does not exist
+    '51509', // Modification failed as the order has been canceled
+    '51510' // Modification failed as the order has been completed
+]);
+
+// last, bid, ask, mid, or bid+N: N ticks above the best bid
+const PRICE_MODE_PATTERN = /^(last|bid|ask|mid)(?:\+(\d+))?$/;
+
+// Reconciliation: fills-history pages (newest first) and how many to read at most
+const FILLS_PAGE_SIZE = 100;
+const MAX_FILLS_PAGES = 20;
+// Each check re-reads this much before the previous one: fills-history can lag behind
+const RECONCILE_OVERLAP_MS = 5 * 60000;
+// Orders that changed more recently than this are left to the private socket
+const RECONCILE_GRACE_MS = 15000;
+// Trade IDs remembered as applied, newest kept
+const MAX_PROCESSED_TRADE_IDS = 1000;
+// Start of the clOrdId of every order the bot places; the periodic check only cancels those
+const CLIENT_ORDER_ID_PREFIX = 'bot';
+
+// Dynamic Grid / DCA strategy for one instrument.
+// All exchange I/O goes through `api.apiRequest()` (live REST or a simulated exchange)
+// and order updates arrive through `handleOrderUpdate()`, so the same code runs live,
+// in paper mode and in the backtester.
+class GridStrategy {
+    constructor({ config, api, clock = systemClock, logger = new Logger(), stateStore = null, budget = null, balances = null, killSwitch = null, metrics = null, notifier = null, journal = null }) {
+        this.config = config;
+        this.clock = clock;
+        // Circuit breakers count every request the strategy makes
+        this.breaker = CircuitBreaker.fromConfig(config, clock);
+        this.breaker?.on('trip', trip => this.tripCircuitBreaker(trip));
+        this.api = this.breaker ? this.breaker.wrap(api) : api;
+        this.logger = logger.child('strategy', { symbol: config.SYMBOL });
+        // Restore, reconnect and periodic checks against the exchange
+        this.reconciliation = this.logger.child('reconciliation');
+        this.stateStore = stateStore;
+        this.metrics = metrics;
+        this.notifier = notifier;
+        this.journal = journal;
+        this.budget = budget;
+        this.budget?.register(this);
+
+        if (!['off', 'atr', 'realized'].includes(config.ADAPTIVE_SPACING_MODE || 'off')) {
+            throw new Error(`Invalid ADAPTIVE_SPACING_MODE "${config.ADAPTIVE_SPACING_MODE}": use off, atr or realized`);
+        }
+        this.volatility = config.ADAPTIVE_SPACING_MODE && config.ADAPTIVE_SPACING_MODE !== 'off'
+            ? new VolatilityTracker({ mode: config.ADAPTIVE_SPACING_MODE, period: config.VOLATILITY_PERIOD })
+            : null;
+
+        this.regime = RegimeFilter.fromConfig(config);
+        this.regime?.on('change', state => this.handleRegimeChange(state));
+        for (const action of this.regime ? config.REGIME_ACTIONS : []) {
+            if (!REGIME_ACTIONS.includes(action)) {
+                throw new Error(`Unknown regime action "${action}": use ${REGIME_ACTIONS.join(', ')}`);
+            }
+        }
+        this.regimeChanges = 0;
+
+        if (!TRAILING_MODES.includes(config.TRAILING_TAKE_PROFIT || 'off')) {
+            throw new Error(`Invalid TRAILING_TAKE_PROFIT "${config.TRAILING_TAKE_PROFIT}": use ${TRAILING_MODES.join(', ')}`);
+        }
+        this.trailingMode = config.TRAILING_TAKE_PROFIT || 'off';
+
+        if (!EXIT_POLICIES.includes(config.EXIT_POLICY || 'per_lot')) {
+            throw new Error(`Invalid EXIT_POLICY "${config.EXIT_POLICY}": use ${EXIT_POLICIES.join(', ')}`);
+        }
+
+        if (!KillSwitch.HALT_ACTIONS.includes(config.STOP_LOSS_ACTION || 'cancel_all')) {
+            throw new Error(`Invalid STOP_LOSS_ACTION "${config.STOP_LOSS_ACTION}": use ${KillSwitch.HALT_ACTIONS.join(', ')}`);
+        }
+        this.killSwitch = killSwitch;
+        this.killSwitch?.on('engage', (symbol, { reason, action }) => {
+            if (symbol === config.SYMBOL) this.haltTrading(reason, action);
+        });
+        this.killSwitch?.on('rearm', symbol => {
+            if (symbol === config.SYMBOL) this.rearm();
+        });
+
+        for (const key of ['AGGRESSIVE_BUY_PRICE_MODE', 'GRID_ORDER_PRICE_MODE']) {
+            const mode = config[key];
+            if (mode && mode !== 'none' && !PRICE_MODE_PATTERN.test(mode)) {
+                throw new Error(`Invalid ${key} "${mode}": use last, bid, ask, mid or bid+N`);
+            }
+        }
+
+        this.balances = balances;
+        // New funds arrived: a buy that was waiting for them can go out now
+        this.balances?.on('update', () => {
+            if (this.buyPause?.limit === 'INSUFFICIENT_FUNDS') {
+                this.resumeBuying();
+            }
+        });
+
+        // Core State
+        this.instrumentDetails = null;
+        this.lastKnownPrice = null;
+        this.bestBid = null;
+        this.bestAsk = null;
+        this.openSellOrders = new Map();
+        this.pendingDcaBuyOrder = null;
+        this.totalRealizedProfit = 0; // net of fees
+        this.totalGrossProfit = 0;
+        this.totalFeesPaid = 0; // in quote currency
+        this.completedCycles = 0;
+        this.cycleProfit = 0; // net, realized since the last completed cycle
+        this.isShuttingDown = false;
+        this.currentAggressiveBuyOrder = null;
+        this.pendingOrderOperations = new Set();
+        // A coalesced state save, see persistStateSoon()
+        this.persistStateTimeout = null;
+
+        // Partial fill accounting: per-order fill progress and base amounts too small to sell yet
+        this.orderFills = new Map();
+        this.carriedBase = { size: 0, cost: 0, grossCost: 0 };
+
+        // Reconciliation: trade IDs whose fills were applied, and when the exchange was last checked
+        this.processedTradeIds = new Set();
+        this.lastReconciledAt = null;
+        // Open orders placed by someone else, warned about once
+        this.foreignOrderIds = new Set();
+        // Orders whose amend failed on the exchange before amend-order returned
+        this.failedAmendOrderIds = new Set();
+
+        // Fee tier (fractions, positive = charged); replaced by the account's tier in fetchFeeRates()
+        this.feeRates = {
+            maker: config.MAKER_FEE_PERCENT / 100,
+            taker: config.TAKER_FEE_PERCENT / 100
+        };
+
+        // Event-driven Aggressive Buy State
+        this.isInAggressiveBuyMode = false;
+        this.aggressiveBuyRetryTimeout = null;
+        this.isRestoringState = false;
+        this.isReentryDelayed = false;
+
+        // Risk limits: set while new buys are paused by an exposure limit or the shared budget
+        this.buyPause = null;
+        this.limitHits = {};
+        this.isResumingBuys = false;
+
+        // Emergency stop: set while halted by a stop-loss or the kill switch. Lots whose sells
+        // were cancelled by the halt wait in heldSells until trading is re-armed.
+        this.halt = null;
+        this.heldSells = [];
+    }
+
+    log(message, fields) {
+        this.logger.info(message, fields);
+    }
+
+    debug(message, fields) {
+        this.logger.debug(message, fields);
+    }
+
+    warn(message, fields) {
+        this.logger.warn(message, fields);
+    }
+
+    error(message, error = null, fields) {
+        this.logger.error(message, error, fields);
+    }
+
+    // Warn, and send it to the notification sinks if `event` is enabled.
+    // Anomalies are only found by reconciliation.
+    alert(event, message, fields) {
+        (event === 'anomaly' ? this.reconciliation : this.logger).warn(message, fields);
+        this.notifier?.notify(event, message, { symbol: this.config.SYMBOL });
+    }
+
+    logFill(orderUpdate, fill, isComplete) {
+        const { ordId: orderId, clOrdId, side } = orderUpdate;
+        this.log(`${side === 'buy' ? 'Buy' : 'Sell'} ${isComplete ? 'filled' : 'partially filled'}: ${fill.size} @ ${fill.price} (${fill.totalSize}/${orderUpdate.sz || fill.totalSize})`, {
+            orderId,
+            clOrdId,
+            side,
+            role: this.getOrderRole(orderId, side),
+            price: fill.price,
+            size: fill.size,
+            filledSize: fill.totalSize,
+            fee: fill.fee,
+            feeCcy: fill.feeCcy
+        });
+    }
+
+    // Stop placing new orders and clear pending timers
+    stop() {
+        this.isShuttingDown = true;
+        this.isInAggressiveBuyMode = false;
+
+        if (this.aggressiveBuyRetryTimeout) {
+            this.clock.clearTimeout(this.aggressiveBuyRetryTimeout);
+            this.aggressiveBuyRetryTimeout = null;
+        }
+        if (this.persistStateTimeout) {
+            this.persistState();
+        }
+    }
+
+    generateClientOrderId() {
+        const timestamp = Date.now().toString();
+        const randomSuffix = Math.random().toString(36).substring(2, 8);
+        return `${CLIENT_ORDER_ID_PREFIX}${timestamp}${randomSuffix}`.substring(0, 32);
+    }
+
+    // Orders and trailing sells placed by the bot carry its clOrdId prefix; anything else on the
+    // account (manual orders, other tools) is never cancelled
+    isBotOrder(order) {
+        return Boolean((order.clOrdId || order.algoClOrdId)?.startsWith(CLIENT_ORDER_ID_PREFIX));
+    }
+
+    // Open orders the bot placed or tracks, skipping everything else with a warning
+    filterBotOrders(openOrders) {
+        const foreignOrders = openOrders.filter(order => !this.isBotOrder(order) && !this.getTrackedOrder(order.ordId || order.algoId));
+        if (foreignOrders.length > 0) {
+            this.warn(`Leaving ${foreignOrders.length} open orders not placed by the bot: ${foreignOrders.map(order => order.ordId || order.algoId).join(', ')}`);
+        }
+        return openOrders.filter(order => !foreignOrders.includes(order));
+    }
+
+    // Price/Size calculations
+    roundPrice(price) {
+        if (!this.instrumentDetails?.tickSz) return price;
+        const tickSize = parseFloat(this.instrumentDetails.tickSz);
+        return Math.round(price / tickSize) * tickSize;
+    }
+
+    roundSize(size) {
+        if (!this.instrumentDetails?.lotSz) return size;
+        const lotSize = parseFloat(this.instrumentDetails.lotSz);
+        return Math.round(size / lotSize) * lotSize;
+    }
+
+    // Round down so we never try to sell more than we hold
+    floorSize(size) {
+        if (!this.instrumentDetails?.lotSz) return size;
+        const lotSize = parseFloat(this.instrumentDetails.lotSz);
+        return Math.floor(size / lotSize + 1e-9) * lotSize;
+    }
+
+    getMinOrderSize() {
+        return parseFloat(this.instrumentDetails?.minSz) || 0;
+    }
+
+    // ✅ Updated to use fixed BASE_CURRENCY_TRADE_AMOUNT
+    calculateTradeSize(price) {
+        return this.roundSize(this.config.BASE_CURRENCY_TRADE_AMOUNT);
+    }
+
+    // Best bid/ask come with the `tickers` channel; replayed or REST prices may only have the last price.
+    // `ts` is the tick's own time when replaying recorded data.
+    updatePrice(price, bestBid = null, bestAsk = null, ts = this.clock.now()) {
+        this.lastKnownPrice = price;
+        this.volatility?.addPrice(price, ts);
+        this.regime?.update(price, ts);
+        this.updateBestBidAsk(bestBid, bestAsk);
+        this.trailClientSells(price);
+        this.checkStopLoss(price);
+    }
+
+    // `candle1m` channel row
+    updateCandle(row) {
+        this.volatility?.addCandle(row);
+    }
+
+    // Profit and DCA distances (%) for the next orders. Adaptive spacing scales them with
+    // volatility within the configured bounds, using the fixed values until enough bars are in.
+    // A risk-off regime with `widen_dca` multiplies the DCA distance on top.
+    getGridSpacing() {
+        const volatilityPercent = this.volatility?.getVolatilityPercent() ?? null;
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+        const spacing = volatilityPercent === null
+            ? {
+                mode: 'fixed',
+                profitPercent: this.config.PROFIT_PERCENTAGE_PER_TRADE,
+                dcaPercent: this.config.DCA_BUY_PERCENTAGE_BELOW
+            }
+            : {
+                mode: this.config.ADAPTIVE_SPACING_MODE,
+                volatilityPercent,
+                profitPercent: clamp(volatilityPercent * this.config.PROFIT_VOLATILITY_MULTIPLIER, this.config.MIN_PROFIT_PERCENTAGE, this.config.MAX_PROFIT_PERCENTAGE),
+                dcaPercent: clamp(volatilityPercent * this.config.DCA_VOLATILITY_MULTIPLIER, this.config.MIN_DCA_PERCENTAGE, this.config.MAX_DCA_PERCENTAGE)
+            };
+
+        if (this.isRegimeActionActive('widen_dca')) {
+            spacing.dcaPercent *= this.config.REGIME_DCA_MULTIPLIER;
+            spacing.regime = 'risk-off';
+        }
+        return spacing;
+    }
+
+    describeSpacing(spacing) {
+        return (spacing.mode === 'fixed' ? '' : `, ${spacing.mode} ${spacing.volatilityPercent.toFixed(3)}%`)
+            + (spacing.regime ? `, ${spacing.regime} x${this.config.REGIME_DCA_MULTIPLIER} DCA` : '');
+    }
+
+    isRegimeActionActive(action) {
+        return !!this.regime?.isRiskOff() && this.config.REGIME_ACTIONS.includes(action);
+    }
+
+    handleRegimeChange({ riskOff, reasons }) {
+        this.regimeChanges++;
+
+        if (riskOff) {
+            this.log(`🌧️ Regime: risk-off (${reasons.join('; ')}). Actions: ${this.config.REGIME_ACTIONS.join(', ')}`);
+            return;
+        }
+
+        this.log('🌤️ Regime: back to normal');
+        if (this.buyPause?.limit === 'REGIME_FILTER') {
+            this.resumeBuying();
+        }
+        if (this.isReentryDelayed && this.isInAggressiveBuyMode && !this.currentAggressiveBuyOrder) {
+            this.clock.clearTimeout(this.aggressiveBuyRetryTimeout);
+            this.aggressiveBuyRetryTimeout = null;
+            this.attemptAggressiveBuy();
+        }
+    }
+
+    // From `tickers`, `bbo-tbt` or `books5`
+    updateBestBidAsk(bestBid, bestAsk) {
+        if (bestBid) this.bestBid = bestBid;
+        if (bestAsk) this.bestAsk = bestAsk;
+
+        // The book normalized: let a buy held back by the spread guard go out
+        if (this.buyPause?.limit === 'MAX_SPREAD_PERCENT' && !this.isSpreadTooWide()) {
+            this.resumeBuying();
+        }
+    }
+
+    getSpreadPercent() {
+        if (!this.bestBid || !this.bestAsk) return null;
+        return (this.bestAsk - this.bestBid) / ((this.bestAsk + this.bestBid) / 2) * 100;
+    }
+
+    isSpreadTooWide() {
+        const spread = this.getSpreadPercent();
+        return this.config.MAX_SPREAD_PERCENT > 0 && spread !== null && spread > this.config.MAX_SPREAD_PERCENT;
+    }
+
+    // Price for a price mode; the last price stands in until both sides of the book are known
+    getBookPrice(mode) {
+        const [, source, ticks = '0'] = PRICE_MODE_PATTERN.exec(mode) || [null, 'last'];
+        if (source === 'last' || !this.bestBid || !this.bestAsk) {
+            return this.lastKnownPrice;
+        }
+
+        const tickSize = parseFloat(this.instrumentDetails?.tickSz) || 0;
+        switch (source) {
+            case 'ask':
+                return this.bestAsk;
+            case 'mid':
+                return (this.bestBid + this.bestAsk) / 2;
+            default:
+                return this.bestBid + parseInt(ticks) * tickSize;
+        }
+    }
+
+    // Profit sells never go below, and DCA buys never above, the GRID_ORDER_PRICE_MODE book price,
+    // so they rest on the book instead of taking liquidity after a fast move
+    applyGridPriceMode(side, price) {
+        const mode = this.config.GRID_ORDER_PRICE_MODE;
+        const bookPrice = mode && mode !== 'none' ? this.getBookPrice(mode) : null;
+        if (!bookPrice) return price;
+
+        return side === 'sell' ? Math.max(price, bookPrice) : Math.min(price, bookPrice);
+    }
+
+    // Quote currency tied up by this instrument: inventory at cost plus open buy orders
+    getCommittedQuote() {
+        let committed = this.carriedBase.cost;
+
+        for (const order of this.openSellOrders.values()) {
+            committed += (order.size - (order.filledSize || 0)) * (order.costPrice ?? order.buyPrice);
+        }
+        for (const order of [...this.getRestingBuyOrders(), this.currentAggressiveBuyOrder]) {
+            if (order) {
+                committed += order.price * order.size;
+            }
+        }
+
+        return committed;
+    }
+
+    getBaseInventory() {
+        let inventory = this.carriedBase.size;
+        for (const order of this.openSellOrders.values()) {
+            inventory += order.size - (order.filledSize || 0);
+        }
+        return inventory;
+    }
+
+    // Open DCA levels: the buy orders whose coins are for sale. The partial fills of one buy are
+    // one level however many sells they went into; an average-cost sell holds every level it merged.
+    getDcaLevels(sells = this.openSellOrders.values()) {
+        const buyOrderIds = new Set();
+        let levels = 0;
+        for (const order of sells) {
+            if (order.buyOrderIds) {
+                order.buyOrderIds.forEach(buyOrderId => buyOrderIds.add(buyOrderId));
+            } else if (order.levels || !order.buyOrderId) {
+                // Average-cost sells saved without their buy IDs, and flatten sells
+                levels += order.levels || 1;
+            } else {
+                buyOrderIds.add(order.buyOrderId);
+            }
+        }
+        return levels + buyOrderIds.size;
+    }
+
+    // First exposure limit a new buy would break, or null if it may be placed
+    findBuyLimit(price, size) {
+        const { MAX_DCA_LEVELS, MAX_BASE_INVENTORY, MAX_QUOTE_DEPLOYED, DCA_FLOOR_PRICE } = this.config;
+
+        if (MAX_DCA_LEVELS > 0 && this.getDcaLevels() >= MAX_DCA_LEVELS) {
+            return { limit: 'MAX_DCA_LEVELS', detail: `${this.getDcaLevels()} open DCA levels (max ${MAX_DCA_LEVELS})` };
+        }
+        if (MAX_BASE_INVENTORY > 0 && this.getBaseInventory() + size > MAX_BASE_INVENTORY) {
+            return { limit: 'MAX_BASE_INVENTORY', detail: `inventory ${this.getBaseInventory()} + ${size} exceeds ${MAX_BASE_INVENTORY}` };
+        }
+        if (MAX_QUOTE_DEPLOYED > 0 && this.getCommittedQuote() + price * size > MAX_QUOTE_DEPLOYED) {
+            return { limit: 'MAX_QUOTE_DEPLOYED', detail: `deployed ${this.getCommittedQuote().toFixed(2)} + ${(price * size).toFixed(2)} exceeds ${MAX_QUOTE_DEPLOYED}` };
+        }
+        if (DCA_FLOOR_PRICE > 0 && price < DCA_FLOOR_PRICE) {
+            return { limit: 'DCA_FLOOR_PRICE', detail: `buy price ${price} is below the floor ${DCA_FLOOR_PRICE}` };
+        }
+        if (this.isRegimeActionActive('suspend_buys')) {
+            return { limit: 'REGIME_FILTER', detail: `risk-off regime (${this.regime.reasons.join('; ')})` };
+        }
+        if (this.isSpreadTooWide()) {
+            return { limit: 'MAX_SPREAD_PERCENT', detail: `spread ${this.getSpreadPercent().toFixed(3)}% (bid ${this.bestBid}, ask ${this.bestAsk}) is wider than ${this.config.MAX_SPREAD_PERCENT}%` };
+        }
+        if (this.budget && !this.budget.canAllocate(price * size)) {
+            return { limit: 'MAX_QUOTE_BUDGET', detail: `all symbols have ${this.budget.getCommitted().toFixed(2)} committed (max ${this.budget.limit})` };
+        }
+
+        const quoteCcy = this.config.SYMBOL.split('-')[1];
+        if (this.balances && !this.balances.hasAvailable(quoteCcy, price * size)) {
+            return { limit: 'INSUFFICIENT_FUNDS', detail: `need ${(price * size).toFixed(8)} ${quoteCcy}, available ${this.balances.get(quoteCcy).available.toFixed(8)}` };
+        }
+        return null;
+    }
+
+    // Gate for every new buy: pauses buying while a limit is hit (profit sells stay active)
+    canPlaceBuy(price, size) {
+        if (this.halt) return false;
+
+        const limit = this.findBuyLimit(price, size);
+
+        if (limit) {
+            this.pauseBuys(limit);
+            return false;
+        }
+
+        if (this.buyPause) {
+            this.log(`▶️ ${this.buyPause.limit} cleared, resuming buys`);
+            this.buyPause = null;
+            this.persistState();
+        }
+        return true;
+    }
+
+    pauseBuys(limit) {
+        if (this.buyPause?.limit === limit.limit) return;
+
+        this.buyPause = { ...limit, since: this.clock.now() };
+        this.limitHits[limit.limit] = (this.limitHits[limit.limit] || 0) + 1;
+        this.persistState();
+
+        if (limit.limit === 'INSUFFICIENT_FUNDS') {
+            this.warn(`💸 Waiting for funds: ${limit.detail}. New buys are paused until the balance covers them`);
+        } else {
+            this.alert('limit', `⛔ ${limit.limit} reached: ${limit.detail}. Pausing new buys, profit sells stay active`);
+        }
+    }
+
+    // The exchange rejected a buy for lack of funds (our balances were stale): wait instead of retrying
+    pauseIfInsufficientFunds(error) {
+        if (error.sCode !== '51008') return false;
+
+        this.pauseBuys({ limit: 'INSUFFICIENT_FUNDS', detail: error.message });
+        return true;
+    }
+
+    // Exposure went down or funds arrived: retry a paused DCA buy
+    async resumeBuying() {
+        if (!this.buyPause || this.isShuttingDown || this.isRestoringState || this.isResumingBuys) return;
+        if (this.isInAggressiveBuyMode || this.pendingDcaBuyOrder || this.openSellOrders.size === 0) return;
+
+        // Balance pushes can arrive while the DCA buy is being placed; place it only once
+        this.isResumingBuys = true;
+        try {
+            await this.placeDcaBuyBelowLowestSell();
+        } finally {
+            this.isResumingBuys = false;
+        }
+    }
+
+    // State persistence
+    serializeState() {
+        return {
+            symbol: this.config.SYMBOL,
+            strategyMode: this.config.STRATEGY_MODE,
+            savedAt: this.clock.now(),
+            lastKnownPrice: this.lastKnownPrice,
+            totalRealizedProfit: this.totalRealizedProfit,
+            totalGrossProfit: this.totalGrossProfit,
+            totalFeesPaid: this.totalFeesPaid,
+            cycleProfit: this.cycleProfit,
+            buyPause: this.buyPause,
+            limitHits: this.limitHits,
+            openSellOrders: Array.from(this.openSellOrders.values()),
+            pendingDcaBuyOrder: this.pendingDcaBuyOrder,
+            currentAggressiveBuyOrder: this.currentAggressiveBuyOrder,
+            orderFills: Array.from(this.orderFills, ([orderId, progress]) => ({ orderId, ...progress })),
+            processedTradeIds: Array.from(this.processedTradeIds),
+            lastReconciledAt: this.lastReconciledAt,
+            carriedBase: this.carriedBase,
+            heldSells: this.heldSells,
+            circuitBreaker: this.breaker?.serialize() || null
+        };
+    }
+
+    persistState() {
+        if (this.persistStateTimeout) {
+            this.clock.clearTimeout(this.persistStateTimeout);
+            this.persistStateTimeout = null;
+        }
+        if (!this.stateStore) return;
+
+        try {
+            this.stateStore.save(this.serializeState());
+        } catch (error) {
+            this.error('Failed to persist bot state:', error.message);
+        }
+    }
+
+    // Order price moves (chasing, trailing) are saved at most every STATE_SAVE_DELAY_MS instead
+    // of on every amend: the order is looked up on the exchange on restart anyway
+    persistStateSoon() {
+        if (!this.stateStore || this.persistStateTimeout) return;
+
+        this.persistStateTimeout = this.clock.setTimeout(() => {
+            this.persistStateTimeout = null;
+            this.persistState();
+        }, this.config.STATE_SAVE_DELAY_MS);
+    }
+
+    // Restore saved state and reconcile it with the exchange
+    async resumeFromSavedState(savedState) {
+        if (savedState.symbol !== this.config.SYMBOL) {
+            throw new Error(`State file is for ${savedState.symbol}, but SYMBOL is ${this.config.SYMBOL}`);
+        }
+        // State files from before STRATEGY_MODE are all chase-and-DCA
+        if ((savedState.strategyMode || 'dca') !== this.config.STRATEGY_MODE) {
+            throw new Error(`State file was saved in ${savedState.strategyMode || 'dca'} mode, but STRATEGY_MODE is ${this.config.STRATEGY_MODE}`);
+        }
+
+        this.reconciliation.info(`📂 Restoring state saved at ${new Date(savedState.savedAt).toISOString()}...`);
+
+        this.isRestoringState = true;
+        this.totalRealizedProfit = savedState.totalRealizedProfit || 0;
+        this.totalGrossProfit = savedState.totalGrossProfit ?? this.totalRealizedProfit;
+        this.totalFeesPaid = savedState.totalFeesPaid || 0;
+        this.cycleProfit = savedState.cycleProfit || 0;
+        this.buyPause = savedState.buyPause || null;
+        this.limitHits = savedState.limitHits || {};
+        // Lots saved before fee tracking have no separate cost price
+        this.openSellOrders = new Map((savedState.openSellOrders || []).map(order => [order.orderId, {
+            costPrice: order.buyPrice,
+            ...order
+        }]));
+        this.pendingDcaBuyOrder = savedState.pendingDcaBuyOrder || null;
+        this.currentAggressiveBuyOrder = null;
+        this.orderFills = new Map((savedState.orderFills || []).map(({ orderId, ...progress }) => [orderId, progress]));
+        this.processedTradeIds = new Set(savedState.processedTradeIds || []);
+        this.lastReconciledAt = savedState.lastReconciledAt || null;
+        this.carriedBase = { size: 0, cost: 0, grossCost: 0, ...savedState.carriedBase };
+        this.carriedBase.grossCost = this.carriedBase.grossCost || this.carriedBase.cost;
+        this.heldSells = savedState.heldSells || [];
+        this.breaker?.restore(savedState.circuitBreaker);
+        if (!this.lastKnownPrice && savedState.lastKnownPrice) {
+            this.lastKnownPrice = savedState.lastKnownPrice;
+        }
+
+        this.reconciliation.info(`Restored ${this.openSellOrders.size} sell orders, DCA buy: ${this.pendingDcaBuyOrder?.orderId || 'none'}, total profit: ${this.totalRealizedProfit.toFixed(8)} net / ${this.totalGrossProfit.toFixed(8)} gross`);
+
+        try {
+            const reconcileStartedAt = this.clock.now();
+            const { openOrders, liveOrderIds, fillsByOrder } = await this.readExchangeOrders(savedState.savedAt);
+
+            // 1. Aggressive buy: the chase is stale after a restart, so cancel it
+            const aggressiveBuy = savedState.currentAggressiveBuyOrder;
+            if (aggressiveBuy && liveOrderIds.has(aggressiveBuy.orderId)) {
+                this.reconciliation.info(`Cancelling stale aggressive buy order: ${aggressiveBuy.orderId}`);
+                await this.cancelOrder(aggressiveBuy.orderId, aggressiveBuy.clientOrderId);
+                liveOrderIds.delete(aggressiveBuy.orderId);
+            }
+
+            // 2. Orders that filled or were cancelled while we were down, in the order it happened
+            const orderIds = [aggressiveBuy?.orderId, ...this.getTrackedOrderIds()].filter(Boolean);
+            const { updates, deferred } = await this.getMissedOrderUpdates(orderIds, liveOrderIds, fillsByOrder);
+
+            for (const { order, newSize } of updates) {
+                const sellInfo = this.openSellOrders.get(order.ordId);
+                if (newSize > 0) {
+                    this.alert('anomaly', `🚨 MISSED FILL (while offline): ${order.ordId} (${order.side}) ${Number(newSize.toFixed(8))} @ ${order.avgPx} (${order.state})`);
+                } else if (sellInfo && order.state !== 'filled') {
+                    // A profit sell cancelled while we were down is re-placed
+                    await this.replaceCancelledSell(sellInfo);
+                    continue;
+                } else if (order.ordId !== aggressiveBuy?.orderId) {
+                    this.reconciliation.warn(`Buy order ${order.ordId} no longer on exchange`, { orderId: order.ordId, side: 'buy' });
+                }
+                await this.handleOrderUpdate(order);
+            }
+            this.markFillsProcessed(fillsByOrder, deferred);
+            this.lastReconciledAt = reconcileStartedAt;
+
+            // 3. Trailing algo sells that triggered or were cancelled while we were down
+            await this.reconcileAlgoSells();
+
+            // 4. Cancel orders we don't know about
+            await this.processMissedOrphanedOrders(openOrders.filter(o => liveOrderIds.has(o.ordId)));
+        } finally {
+            this.isRestoringState = false;
+            this.persistState();
+        }
+
+        // 5. Resume the appropriate operation mode, unless the kill switch is engaged
+        if (await this.haltIfKillSwitchEngaged()) return;
+        await this.restoreHeldSells();
+        await this.resumeTrading();
+    }
+
+    // Re-place a sell that is no longer on the exchange, for the same lot
+    async replaceCancelledSell(sellInfo) {
+        const sellOrderId = sellInfo.orderId;
+        this.reconciliation.warn(`Sell order ${sellOrderId} no longer on exchange, re-placing @ ${sellInfo.price}`, { orderId: sellOrderId, side: 'sell', price: sellInfo.price, size: sellInfo.size });
+        this.openSellOrders.delete(sellOrderId);
+        try {
+            const sellOrder = await this.placeOrder('sell', sellInfo.price, sellInfo.size);
+            this.openSellOrders.set(sellOrder.orderId, {
+                ...sellOrder,
+                buyPrice: sellInfo.buyPrice,
+                costPrice: sellInfo.costPrice,
+                buyOrderId: sellInfo.buyOrderId,
+                spacing: sellInfo.spacing,
+                gridLevel: sellInfo.gridLevel,
+                trailing: sellInfo.trailing,
+                levels: sellInfo.levels,
+                buyOrderIds: sellInfo.buyOrderIds,
+                lowestBuyPrice: sellInfo.lowestBuyPrice
+            });
+        } catch (error) {
+            this.reconciliation.error(`Failed to re-place sell order for buy ${sellInfo.buyOrderId}:`, error.message);
+        }
+    }
+
+    async resumeTrading() {
+        if (this.openSellOrders.size === 0) {
+            this.log('No open sell orders after restore, starting aggressive buy cycle...');
+            this.startAggressiveBuyCycle();
+        } else if (!this.pendingDcaBuyOrder) {
+            await this.placeDcaBuyBelowLowestSell();
+        } else {
+            this.log(`Resumed with ${this.openSellOrders.size} sell orders and DCA buy ${this.pendingDcaBuyOrder.orderId}`);
+        }
+    }
+
+    // Buy orders that rest on the book across restarts (the aggressive buy is cancelled instead)
+    getRestingBuyOrders() {
+        return this.pendingDcaBuyOrder ? [this.pendingDcaBuyOrder] : [];
+    }
+
+    forgetBuyOrder(orderId) {
+        if (this.pendingDcaBuyOrder?.orderId === orderId) {
+            this.pendingDcaBuyOrder = null;
+        }
+    }
+
+    // Re-create the DCA buy below the lowest open position after a restore.
+    // An average-cost sell remembers the lowest buy it holds; its size is the whole position.
+    async placeDcaBuyBelowLowestSell() {
+        const lots = Array.from(this.openSellOrders.values(), order => ({
+            buyPrice: order.lowestBuyPrice ?? order.buyPrice,
+            size: order.levels ? this.calculateTradeSize(order.lowestBuyPrice) : order.size
+        }));
+        const lowestLot = lots.reduce((lowest, lot) => (!lowest || lot.buyPrice < lowest.buyPrice ? lot : lowest), null);
+
+        try {
+            const spacing = this.getGridSpacing();
+            const dcaPrice = this.applyGridPriceMode('buy', lowestLot.buyPrice * (1 - spacing.dcaPercent / 100));
+            if (!this.canPlaceBuy(dcaPrice, lowestLot.size)) return;
+
+            this.pendingDcaBuyOrder = { ...await this.placeOrder('buy', dcaPrice, lowestLot.size), spacing };
+            this.persistState();
+            this.log(`DCA buy order restored: ${lowestLot.size} @ ${dcaPrice} (${Number(spacing.dcaPercent.toFixed(3))}% below ${lowestLot.buyPrice}${this.describeSpacing(spacing)})`);
+        } catch (error) {
+            if (!this.pauseIfInsufficientFunds(error)) {
+                this.error('Failed to restore DCA buy order:', error.message);
+            }
+        }
+    }
+
+    // Open orders, and the fills not applied yet since `since` or the previous check, whichever is earlier
+    async readExchangeOrders(since) {
+        const begin = Math.min(since ?? this.clock.now(), this.lastReconciledAt ?? Infinity) - RECONCILE_OVERLAP_MS;
+        const [openOrders, fills] = await Promise.all([
+            this.getOpenOrders(),
+            this.getFillsSince(begin)
+        ]);
+
+        const fillsByOrder = new Map();
+        for (const fill of fills) {
+            if (this.processedTradeIds.has(fill.tradeId)) continue;
+            if (!fillsByOrder.has(fill.ordId)) fillsByOrder.set(fill.ordId, []);
+            fillsByOrder.get(fill.ordId).push(fill);
+        }
+
+        return { openOrders, liveOrderIds: new Set(openOrders.map(o => o.ordId)), fillsByOrder };
+    }
+
+    // Fills from `begin` (ms) until now, oldest first. fills-history returns the newest first;
+    // older pages are read with `after`, which is a bill ID, not a time.
+    async getFillsSince(begin) {
+        const end = this.clock.now();
+        const fills = [];
+        let after = null;
+
+        for (let page = 1; page <= MAX_FILLS_PAGES; page++) {
+            const response = await this.api.apiRequest(
+                'GET',
+                `/api/v5/trade/fills-history?instType=SPOT&instId=${this.config.SYMBOL}&begin=${Math.floor(begin)}&end=${end}&limit=${FILLS_PAGE_SIZE}${after ? `&after=${after}` : ''}`
+            );
+            const rows = response.data || [];
+            fills.push(...rows);
+            if (rows.length < FILLS_PAGE_SIZE) break;
+
+            after = rows[rows.length - 1].billId;
+            if (page === MAX_FILLS_PAGES) {
+                this.reconciliation.warn(`More than ${MAX_FILLS_PAGES * FILLS_PAGE_SIZE} fills since ${new Date(begin).toISOString()}, only the newest were checked`);
+            }
+        }
+
+        return fills
+            .filter(fill => !fill.instId || fill.instId === this.config.SYMBOL)
+            .sort((a, b) => parseInt(a.ts) - parseInt(b.ts));
+    }
+
+    // Fill progress is dropped once an order is done, so its last trade tells it apart
+    isOrderApplied(order) {
+        return this.processedTradeIds.has(order.tradeId) && !this.orderFills.has(order.ordId);
+    }
+
+    // Orders on the book this strategy is tracking; trailing algo sells are checked by reconcileAlgoSells()
+    getTrackedOrderIds() {
+        return [
+            this.currentAggressiveBuyOrder?.orderId,
+            ...this.getRestingBuyOrders().map(order => order.orderId),
+            ...Array.from(this.openSellOrders).filter(([, sellInfo]) => !sellInfo.algoId).map(([orderId]) => orderId)
+        ].filter(Boolean);
+    }
+
+    // /trade/order details of the orders that have fills not applied yet or are no longer on the
+    // book, with the size filled since we last heard of them, oldest change first. Replaying the
+    // details is idempotent: fills are worked out from the running totals (accFillSz, avgPx, fee).
+    // Orders that changed within `graceMs` are deferred, their socket update may still be coming.
+    async getMissedOrderUpdates(orderIds, liveOrderIds, fillsByOrder, graceMs = 0) {
+        const now = this.clock.now();
+        const updates = [];
+        const deferred = new Set();
+
+        for (const orderId of new Set(orderIds)) {
+            if (liveOrderIds.has(orderId) && !fillsByOrder.has(orderId)) continue;
+
+            const order = this.pendingOrderOperations.has(orderId) ? null : await this.lookUpOrder(orderId, fillsByOrder.get(orderId));
+            if (!order || now - (parseInt(order.uTime) || 0) < graceMs) {
+                deferred.add(orderId);
+                continue;
+            }
+
+            if (this.isOrderApplied(order)) continue;
+
+            const newSize = (parseFloat(order.accFillSz) || 0) - (this.orderFills.get(orderId)?.filledSize || 0);
+            if (newSize > 1e-12 || !['live', 'partially_filled'].includes(order.state)) {
+                updates.push({ order, newSize: newSize > 1e-12 ? newSize : 0 });
+            }
+        }
+
+        updates.sort((a, b) => parseInt(a.order.uTime) - parseInt(b.order.uTime));
+        return { updates, deferred };
+    }
+
+    // Order details. An order the exchange doesn't know (51603) was never placed or is long gone:
+    // its details are worked out from what we applied and its fills since the last check, so
+    // one that filled isn't taken for an unfilled cancel.
+    async lookUpOrder(orderId, fills = []) {
+        try {
+            const order = await this.fetchOrder(orderId);
+            if (order) return order;
+        } catch (error) {
+            if (error.code !== '51603') {
+                this.reconciliation.error(`Failed to look up order ${orderId}:`, error.message);
+                return null;
+            }
+        }
+
+        const tracked = this.getTrackedOrder(orderId);
+        const progress = this.orderFills.get(orderId) || { filledSize: 0, filledCost: 0, fee: 0 };
+        let filledSize = progress.filledSize;
+        let filledCost = progress.filledCost;
+        let fee = -(progress.fee || 0);
+        for (const fill of fills) {
+            filledSize += parseFloat(fill.fillSz);
+            filledCost += parseFloat(fill.fillSz) * parseFloat(fill.fillPx);
+            fee += parseFloat(fill.fee) || 0;
+        }
+        const lastFill = fills[fills.length - 1];
+        const isFilled = filledSize > 0 && tracked?.size > 0 && filledSize >= tracked.size * (1 - 1e-9);
+
+        return {
+            ordId: orderId,
+            clOrdId: tracked?.clientOrderId,
+            instId: this.config.SYMBOL,
+            side: lastFill?.side || (this.openSellOrders.has(orderId) ? 'sell' : 'buy'),
+            state: isFilled ? 'filled' : 'canceled',
+            accFillSz: filledSize.toString(),
+            avgPx: filledSize > 0 ? (filledCost / filledSize).toString() : '',
+            fee: fee.toString(),
+            feeCcy: lastFill?.feeCcy,
+            tradeId: lastFill?.tradeId,
+            uTime: lastFill?.ts
+        };
+    }
+
+    // Fills of reconciled orders, and of orders we don't track (applied before, or not ours),
+    // aren't looked at again
+    markFillsProcessed(fillsByOrder, deferred) {
+        for (const [orderId, fills] of fillsByOrder) {
+            if (deferred.has(orderId)) continue;
+            fills.forEach(fill => this.markTradeProcessed(fill.tradeId));
+        }
+    }
+
+    markTradeProcessed(tradeId) {
+        if (!tradeId || this.processedTradeIds.has(tradeId)) return;
+
+        this.processedTradeIds.add(tradeId);
+        if (this.processedTradeIds.size > MAX_PROCESSED_TRADE_IDS) {
+            this.processedTradeIds.delete(this.processedTradeIds.values().next().value);
+        }
+    }
+
+    // Catch up with the exchange after the private socket dropped, and periodically while it's up:
+    // apply the fills and cancellations we missed, then cancel the bot's orders we don't know about.
+    // Returns how many missed order updates were applied.
+    async reconcileOrders(since = null) {
+        const startedAt = this.clock.now();
+        const { openOrders, liveOrderIds, fillsByOrder } = await this.readExchangeOrders(since);
+        const trackedOrderIds = this.getTrackedOrderIds();
+        const { updates, deferred } = await this.getMissedOrderUpdates(trackedOrderIds, liveOrderIds, fillsByOrder, RECONCILE_GRACE_MS);
+
+        for (const { order, newSize } of updates) {
+            if (newSize > 0 || order.state === 'filled') {
+                this.alert('anomaly', `🚨 MISSED FILL: ${order.ordId} (${order.side}) ${Number(newSize.toFixed(8))} @ ${order.avgPx} (${order.state})`);
+            } else {
+                this.alert('anomaly', `🚨 MISSED CANCELLATION: ${order.side === 'buy' ? 'Buy' : 'Sell'} ${order.ordId}`);
+            }
+            await this.handleOrderUpdate(order);
+        }
+
+        for (const orderId of fillsByOrder.keys()) {
+            if (!trackedOrderIds.includes(orderId)) {
+                this.reconciliation.debug(`Fills of untracked order ${orderId}: applied before, or not placed by the bot`, { orderId });
+            }
+        }
+        this.markFillsProcessed(fillsByOrder, deferred);
+
+        await this.reconcileAlgoSells();
+
+        // Orders placed a moment ago may not be tracked yet
+        await this.processMissedOrphanedOrders(openOrders.filter(o => startedAt - (parseInt(o.cTime) || 0) >= RECONCILE_GRACE_MS));
+
+        this.lastReconciledAt = startedAt;
+        this.persistState();
+        if (updates.length === 0) {
+            this.reconciliation.debug(`✅ No missed fills or cancellations (${trackedOrderIds.length} orders, ${fillsByOrder.size} orders with new fills)`);
+        }
+        return updates.length;
+    }
+
+    // Trailing algo sells that are no longer pending: replay the exit order they triggered,
+    // or handle them as cancelled
+    async reconcileAlgoSells() {
+        const algoSells = Array.from(this.openSellOrders.values()).filter(sellInfo => sellInfo.algoId);
+        if (algoSells.length === 0) return;
+
+        const liveAlgoIds = new Set((await this.getOpenAlgoOrders()).map(algo => algo.algoId));
+
+        for (const sellInfo of algoSells) {
+            if (liveAlgoIds.has(sellInfo.algoId)) continue;
+
+            const algo = await this.fetchAlgoOrder(sellInfo.algoId);
+            const exitOrderId = algo?.ordId || algo?.ordIdList?.[0];
+
+            if (algo?.state === 'effective' && exitOrderId) {
+                const exitOrder = await this.fetchOrder(exitOrderId);
+                if (exitOrder) {
+                    this.alert('anomaly', `🚨 MISSED TRAILING EXIT: ${sellInfo.algoId} -> ${exitOrderId} (${exitOrder.state})`);
+                    await this.handleOrderUpdate({ ...exitOrder, algoId: sellInfo.algoId });
+                }
+            } else {
+                this.alert('anomaly', `🚨 MISSED CANCELLATION: Trailing sell ${sellInfo.algoId}`);
+                await this.handleAlgoUpdate(algo || { instId: this.config.SYMBOL, algoId: sellInfo.algoId, state: 'canceled' });
+            }
+        }
+    }
+
+    // Cancel open orders with the bot's clOrdId that we don't track. Orders placed by hand or by
+    // another program on the same account are left alone.
+    async processMissedOrphanedOrders(openOrders) {
+        const trackedOrderIds = new Set();
+
+        // Collect tracked orders
+        for (const [sellOrderId] of this.openSellOrders) {
+            trackedOrderIds.add(sellOrderId);
+        }
+
+        for (const buyOrder of this.getRestingBuyOrders()) {
+            trackedOrderIds.add(buyOrder.orderId);
+        }
+
+        if (this.currentAggressiveBuyOrder) {
+            trackedOrderIds.add(this.currentAggressiveBuyOrder.orderId);
+        }
+
+        // Find orphaned orders
+        const foreignOrderIds = new Set();
+        for (const serverOrder of openOrders) {
+            if (trackedOrderIds.has(serverOrder.ordId)) continue;
+
+            if (!this.isBotOrder(serverOrder)) {
+                foreignOrderIds.add(serverOrder.ordId);
+                if (!this.foreignOrderIds.has(serverOrder.ordId)) {
+                    this.reconciliation.warn(`Open order ${serverOrder.ordId} (${serverOrder.side} ${serverOrder.sz} @ ${serverOrder.px}) was not placed by the bot, leaving it alone`, { orderId: serverOrder.ordId, clOrdId: serverOrder.clOrdId || undefined });
+                }
+                continue;
+            }
+
+            this.alert('anomaly', `🚨 ORPHANED ORDER: ${serverOrder.ordId} (${serverOrder.side})`);
+            await this.cancelOrder(serverOrder.ordId);
+        }
+        this.foreignOrderIds = foreignOrderIds;
+    }
+
+    // What an order is for, in metrics: aggressive, dca, profit, grid or flatten
+    getDefaultOrderRole(side) {
+        return side === 'buy' ? 'dca' : 'profit';
+    }
+
+    getOrderRole(orderId, side) {
+        return this.getTrackedOrder(orderId)?.role || this.getDefaultOrderRole(side);
+    }
+
+    getTrackedOrder(orderId) {
+        return this.currentAggressiveBuyOrder?.orderId === orderId
+            ? this.currentAggressiveBuyOrder
+            : this.openSellOrders.get(orderId) || this.getRestingBuyOrders().find(buy => buy.orderId === orderId);
+    }
+
+    // Enhanced order placement
+    async placeOrder(side, price, size, orderType = 'limit', clientOrderId = null, role = this.getDefaultOrderRole(side)) {
+        try {
+            if (side === 'buy' && this.halt) {
+                throw new Error(`Trading is halted (${this.halt.reason})`);
+            }
+
+            const roundedPrice = this.roundPrice(price);
+            const roundedSize = this.roundSize(size);
+
+            const orderData = {
+                instId: this.config.SYMBOL,
+                tdMode: 'cash',
+                side: side,
+                ordType: orderType,
+                sz: roundedSize.toString(),
+                // Market orders take no price
+                ...(orderType === 'market' ? {} : { px: roundedPrice.toString() }),
+                clOrdId: clientOrderId || this.generateClientOrderId()
+            };
+
+            const fields = { clOrdId: orderData.clOrdId, side, role, price: roundedPrice, size: roundedSize, ordType: orderType };
+            this.debug(`Placing ${side} order: ${roundedSize} @ ${orderType === 'market' ? `market (~${roundedPrice})` : roundedPrice}`, fields);
+
+            const sentAt = this.clock.now();
+            const response = await this.api.apiRequest('POST', '/api/v5/trade/order', orderData);
+
+            if (response.data?.[0]?.sCode === '0') {
+                const orderResult = response.data[0];
+                this.log(`Order placed successfully: ID=${orderResult.ordId}`, { ...fields, orderId: orderResult.ordId, latency: this.clock.now() - sentAt });
+
+                // Halted while the buy was on its way: take it back off the book
+                if (side === 'buy' && this.halt) {
+                    await this.cancelOrder(orderResult.ordId);
+                    throw new Error(`Buy ${orderResult.ordId} cancelled, trading is halted (${this.halt.reason})`);
+                }
+
+                const [baseCcy, quoteCcy] = this.config.SYMBOL.split('-');
+                this.balances?.reserve(side === 'buy' ? quoteCcy : baseCcy, side === 'buy' ? roundedPrice * roundedSize : roundedSize);
+                this.metrics?.recordOrder(this.config.SYMBOL, side, role, 'placed');
+
+                return {
+                    orderId: orderResult.ordId,
+                    clientOrderId: orderData.clOrdId,
+                    side: side,
+                    price: roundedPrice,
+                    size: roundedSize,
+                    role
+                };
+            } else {
+                const orderResult = response.data[0];
+                const error = new Error(`Order placement failed: ${orderResult.sMsg} (Code: ${orderResult.sCode})`);
+                error.sCode = orderResult.sCode;
+                throw error;
+            }
+        } catch (error) {
+            this.error(`Failed to place ${side} order:`, error.message, { side, role, price, size, code: error.sCode });
+            throw error;
+        }
+    }
+
+    // Enhanced order cancellation
+    async cancelOrder(orderId, clientOrderId = null) {
+        try {
+            this.pendingOrderOperations.add(orderId);
+
+            const cancelData = {
+                instId: this.config.SYMBOL,
+                ordId: orderId
+            };
+
+            if (clientOrderId) {
+                cancelData.clOrdId = clientOrderId;
+            }
+
+            const response = await this.api.apiRequest('POST', '/api/v5/trade/cancel-order', cancelData);
+
+            if (response.data?.[0]?.sCode === '0') {
+                this.log(`Order cancelled successfully: ${orderId}`, { orderId, clOrdId: clientOrderId || undefined });
+                return true;
+            } else {
+                const errorMsg = response.data?.[0]?.sMsg || 'Unknown error';
+                this.warn(`Cancel failed for ${orderId}: ${errorMsg}`, { orderId, code: response.data?.[0]?.sCode });
+                return false;
+            }
+        } catch (error) {
+            if (error.isOrderState) {
+                this.warn(`Cancel failed for ${orderId}: ${error.message}`, { orderId, code: error.code });
+            } else {
+                this.error(`Failed to cancel order ${orderId}:`, error.message, { orderId });
+            }
+            return false;
+        } finally {
+            this.pendingOrderOperations.delete(orderId);
+        }
+    }
+
+    // Move a resting order to a new price. Returns 'amended', 'closed' (already filled or
+    // cancelled: its final `orders` update is on the way) or 'failed'.
+    async amendOrder(order, newPrice) {
+        try {
+            this.pendingOrderOperations.add(order.orderId);
+
+            const amendData = {
+                instId: this.config.SYMBOL,
+                ordId: order.orderId,
+                newPx: this.roundPrice(newPrice).toString()
+            };
+
+            const response = await this.api.apiRequest('POST', '/api/v5/trade/amend-order', amendData);
+            const result = response.data?.[0];
+
+            if (result?.sCode === '0') {
+                // The exchange only accepted the request; its failure may already have come in
+                return this.failedAmendOrderIds.delete(order.orderId) ? 'failed' : 'amended';
+            }
+
+            if (AMEND_ORDER_CLOSED_CODES.has(result?.sCode)) {
+                this.log(`Amend skipped for ${order.orderId}: ${result.sMsg} (Code: ${result.sCode})`);
+                return 'closed';
+            }
+
+            this.log(`Amend failed for ${order.orderId}: ${result?.sMsg || 'Unknown error'} (Code: ${result?.sCode})`);
+            return 'failed';
+        } catch (error) {
+            this.error(`Failed to amend order ${order.orderId}:`, error.message);
+            return 'failed';
+        } finally {
+            this.pendingOrderOperations.delete(order.orderId);
+            this.failedAmendOrderIds.delete(order.orderId);
+        }
+    }
+
+    // amend-order only acknowledges the request; the outcome comes with the order's next
+    // `orders` update. When the amend failed, the tracked order goes back to the price and size
+    // the exchange still has.
+    handleAmendFailure(orderUpdate) {
+        const order = this.getTrackedOrder(orderUpdate.ordId);
+        if (!order) return;
+
+        const price = parseFloat(orderUpdate.px);
+        const size = parseFloat(orderUpdate.sz);
+        this.warn(`Amend of ${orderUpdate.ordId} failed on the exchange: ${orderUpdate.msg || 'no reason given'} (Code: ${orderUpdate.code || 'none'}), still ${size} @ ${price}`, { orderId: orderUpdate.ordId, amendResult: orderUpdate.amendResult });
+
+        if (price > 0) order.price = price;
+        if (size > 0) order.size = size;
+        if (order.trailing?.isExiting) {
+            order.trailing.isExiting = false;
+        }
+        if (this.pendingOrderOperations.has(orderUpdate.ordId)) {
+            this.failedAmendOrderIds.add(orderUpdate.ordId);
+        }
+        this.persistState();
+    }
+
+    // Trailing stop that activates at `activePrice` and sells at market once the price falls
+    // `callbackPercent` from its high after that
+    async placeAlgoSell(activePrice, size, callbackPercent) {
+        try {
+            const roundedPrice = this.roundPrice(activePrice);
+            const roundedSize = this.roundSize(size);
+
+            const algoData = {
+                instId: this.config.SYMBOL,
+                tdMode: 'cash',
+                side: 'sell',
+                ordType: 'move_order_stop',
+                sz: roundedSize.toString(),
+                callbackRatio: (callbackPercent / 100).toString(),
+                activePx: roundedPrice.toString(),
+                algoClOrdId: this.generateClientOrderId()
+            };
+
+            this.log(`Placing trailing sell: ${roundedSize}, ${callbackPercent}% callback from ${roundedPrice}`);
+
+            const response = await this.api.apiRequest('POST', '/api/v5/trade/order-algo', algoData);
+            const result = response.data?.[0];
+
+            if (result?.sCode !== '0') {
+                const error = new Error(`Algo order placement failed: ${result?.sMsg || response.msg} (Code: ${result?.sCode || response.code})`);
+                error.sCode = result?.sCode;
+                throw error;
+            }
+
+            this.log(`Trailing sell placed successfully: algoId=${result.algoId}`);
+            this.balances?.reserve(this.config.SYMBOL.split('-')[0], roundedSize);
+            this.metrics?.recordOrder(this.config.SYMBOL, 'sell', 'profit', 'placed');
+
+            return {
+                orderId: result.algoId,
+                algoId: result.algoId,
+                clientOrderId: algoData.algoClOrdId,
+                side: 'sell',
+                price: roundedPrice,
+                size: roundedSize,
+                role: 'profit'
+            };
+        } catch (error) {
+            this.error('Failed to place trailing sell:', error.message);
+            throw error;
+        }
+    }
+
+    // Returns the IDs that were cancelled
+    async cancelAlgoOrders(algoIds) {
+        if (algoIds.length === 0) return [];
+
+        const cancelledIds = [];
+        try {
+            algoIds.forEach(algoId => this.pendingOrderOperations.add(algoId));
+
+            const response = await this.api.apiRequest('POST', '/api/v5/trade/cancel-algos',
+                algoIds.map(algoId => ({ instId: this.config.SYMBOL, algoId })));
+
+            for (const result of response.data || []) {
+                if (result.sCode === '0') {
+                    this.log(`Trailing sell cancelled successfully: ${result.algoId}`);
+                    cancelledIds.push(result.algoId);
+                } else {
+                    this.log(`Cancel failed for trailing sell ${result.algoId}: ${result.sMsg}`);
+                }
+            }
+        } catch (error) {
+            this.error('Failed to cancel trailing sells:', error.message);
+        } finally {
+            algoIds.forEach(algoId => this.pendingOrderOperations.delete(algoId));
+        }
+        return cancelledIds;
+    }
+
+    // API helpers
+    async fetchInstrumentDetails() {
+        try {
+            this.log('Fetching instrument details...');
+            const response = await this.api.apiRequest('GET', `/api/v5/public/instruments?instType=SPOT&instId=${this.config.SYMBOL}`, null, false);
+
+            if (!response.data?.length) {
+                throw new Error(`Instrument ${this.config.SYMBOL} not found`);
+            }
+
+            this.instrumentDetails = response.data[0];
+            this.log(`Instrument details loaded: tickSz=${this.instrumentDetails.tickSz}, lotSz=${this.instrumentDetails.lotSz}`);
+        } catch (error) {
+            this.error('Failed to fetch instrument details:', error.message);
+            throw error;
+        }
+    }
+
+    // Our fee tier for this instrument; keeps the configured fallback if it can't be read
+    async fetchFeeRates() {
+        try {
+            const response = await this.api.apiRequest('GET', `/api/v5/account/trade-fee?instType=SPOT&instId=${this.config.SYMBOL}`);
+            const feeTier = response.data?.[0];
+
+            if (!feeTier) {
+                throw new Error('No fee data received');
+            }
+
+            // OKX reports charged fees as negative rates and rebates as positive ones
+            this.feeRates = {
+                maker: -parseFloat(feeTier.maker),
+                taker: -parseFloat(feeTier.taker)
+            };
+            this.log(`Fee tier ${feeTier.level || ''} loaded: maker=${(this.feeRates.maker * 100).toFixed(4)}%, taker=${(this.feeRates.taker * 100).toFixed(4)}%`);
+        } catch (error) {
+            this.error(`Failed to fetch fee rates, using maker=${this.feeRates.maker * 100}% taker=${this.feeRates.taker * 100}%:`, error.message);
+        }
+    }
+
+    // Seed adaptive spacing and the regime filter with recent 1m candles so they don't start cold
+    async loadCandleHistory() {
+        if (!this.volatility && !this.regime) return;
+
+        try {
+            const limit = Math.min(300, Math.max(this.config.VOLATILITY_PERIOD + 2, this.regime ? 100 : 0));
+            const response = await this.api.apiRequest('GET', `/api/v5/market/candles?instId=${this.config.SYMBOL}&bar=1m&limit=${limit}`, null, false);
+
+            // Newest first
+            for (const row of (response.data || []).slice().reverse()) {
+                this.volatility?.addCandle(row);
+                this.regime?.update(parseFloat(row[4]), parseInt(row[0]));
+            }
+
+            const volatilityPercent = this.volatility?.getVolatilityPercent() ?? null;
+            this.log(`Loaded ${response.data?.length || 0} candles${this.volatility ? `, ${this.config.ADAPTIVE_SPACING_MODE} volatility: ${volatilityPercent === null ? 'n/a' : `${volatilityPercent.toFixed(3)}%`}` : ''}${this.regime ? `, regime: ${this.regime.isRiskOff() ? 'risk-off' : 'normal'}` : ''}`);
+        } catch (error) {
+            this.error('Failed to load candle history, indicators warm up from live prices:', error.message);
+        }
+    }
+
+    async getCurrentPrice() {
+        try {
+            const response = await this.api.apiRequest('GET', `/api/v5/market/ticker?instId=${this.config.SYMBOL}`, null, false);
+            if (response.data?.[0]?.last) {
+                return parseFloat(response.data[0].last);
+            }
+            throw new Error('No ticker data received');
+        } catch (error) {
+            this.error('Failed to get current price:', error.message);
+            throw error;
+        }
+    }
+
+    async getOpenOrders() {
+        try {
+            const response = await this.api.apiRequest('GET', `/api/v5/trade/orders-pending?instId=${this.config.SYMBOL}`);
+            return response.data || [];
+        } catch (error) {
+            this.error('Failed to get open orders:', error.message);
+            throw error;
+        }
+    }
+
+    async fetchOrder(orderId) {
+        const response = await this.api.apiRequest('GET', `/api/v5/trade/order?instId=${this.config.SYMBOL}&ordId=${orderId}`);
+        return response.data?.[0] || null;
+    }
+
+    async getOpenAlgoOrders() {
+        const response = await this.api.apiRequest('GET', `/api/v5/trade/orders-algo-pending?ordType=move_order_stop&instId=${this.config.SYMBOL}`);
+        return response.data || [];
+    }
+
+    async fetchAlgoOrder(algoId) {
+        const response = await this.api.apiRequest('GET', `/api/v5/trade/order-algo?algoId=${algoId}`);
+        return response.data?.[0] || null;
+    }
+
+    // Enhanced order processing
+    async handleOrderUpdate(orderUpdate) {
+        try {
+            if (orderUpdate.instId !== this.config.SYMBOL) return;
+
+            // A triggered trailing algo sells through a new order tagged with the algo ID
+            if (orderUpdate.algoId && this.openSellOrders.has(orderUpdate.algoId)) {
+                orderUpdate = { ...orderUpdate, ordId: orderUpdate.algoId };
+            }
+
+            const orderId = orderUpdate.ordId;
+            const state = orderUpdate.state;
+            const side = orderUpdate.side;
+
+            // Its last fill was applied and the order is done: a late or repeated update
+            if (this.isOrderApplied(orderUpdate)) {
+                this.debug(`Order update ${orderId} (${side}) -> ${state} already applied`, { orderId, side, state, tradeId: orderUpdate.tradeId });
+                return;
+            }
+
+            this.debug(`Order update: ${orderId} (${side}) -> ${state}`, {
+                orderId,
+                clOrdId: orderUpdate.clOrdId,
+                side,
+                role: this.getOrderRole(orderId, side),
+                state,
+                price: parseFloat(orderUpdate.fillPx) || undefined,
+                size: parseFloat(orderUpdate.fillSz) || undefined
+            });
+            this.breaker?.recordOrderUpdate(orderUpdate);
+            // -1: the amend failed, 1: it failed and the exchange cancelled the order
+            if (orderUpdate.amendResult && orderUpdate.amendResult !== '0') {
+                this.handleAmendFailure(orderUpdate);
+            }
+            if (this.metrics && ['filled', 'canceled', 'cancelled'].includes(state)) {
+                this.metrics.recordOrder(this.config.SYMBOL, side, this.getOrderRole(orderId, side), state === 'filled' ? 'filled' : 'cancelled');
+            }
+
+            if (state === 'filled' || state === 'partially_filled') {
+                if (side === 'buy') {
+                    await this.processAfterBuyFill(orderUpdate);
+                } else if (side === 'sell') {
+                    await this.processAfterSellFill(orderUpdate);
+                }
+            } else if (state === 'canceled' || state === 'cancelled') {
+                await this.handleOrderCancellation(orderUpdate);
+            }
+
+            // Terminal states: fill progress is no longer needed
+            if (state === 'filled' || state === 'canceled' || state === 'cancelled') {
+                this.orderFills.delete(orderId);
+            }
+        } catch (error) {
+            this.error('Error handling order update:', error.message);
+        }
+    }
+
+    // `algo-advance` channel: trailing algo sells. Fills of the exit order they place arrive
+    // through handleOrderUpdate().
+    async handleAlgoUpdate(algoUpdate) {
+        try {
+            if (algoUpdate.instId !== this.config.SYMBOL) return;
+
+            const sellInfo = this.openSellOrders.get(algoUpdate.algoId);
+            if (!sellInfo || this.pendingOrderOperations.has(algoUpdate.algoId)) return;
+
+            if (algoUpdate.state === 'effective') {
+                this.log(`📉 Trailing sell ${algoUpdate.algoId} triggered: selling ${sellInfo.size} at market`);
+            } else if (algoUpdate.state === 'canceled') {
+                this.openSellOrders.delete(algoUpdate.algoId);
+                this.log(`Cancelled trailing sell removed from tracking: ${algoUpdate.algoId}`);
+                this.persistState();
+            } else if (algoUpdate.state === 'order_failed') {
+                // The exit order was rejected: the coins are free again, trail them here instead
+                this.warn(`⚠️ Trailing sell ${algoUpdate.algoId} failed to place its exit order, trailing client-side`);
+                this.openSellOrders.delete(algoUpdate.algoId);
+                const sellOrder = await this.placeOrder('sell', sellInfo.price, sellInfo.size);
+                this.openSellOrders.set(sellOrder.orderId, {
+                    ...sellInfo,
+                    ...sellOrder,
+                    algoId: undefined,
+                    trailing: { ...sellInfo.trailing, mode: 'client', peak: null }
+                });
+                this.persistState();
+            }
+        } catch (error) {
+            this.error('Error handling trailing sell update:', error.message);
+        }
+    }
+
+    // Work out the newly filled amount since the last update for this order.
+    // OKX `fillSz` is only the latest fill; `accFillSz`/`avgPx`/`fee` are the running totals.
+    applyFillUpdate(orderUpdate) {
+        const progress = this.orderFills.get(orderUpdate.ordId) || { filledSize: 0, filledCost: 0, fee: 0 };
+        // `fee` is negative when charged, positive for rebates
+        const reportedFee = -(parseFloat(orderUpdate.fee) || 0);
+        let size;
+        let cost;
+        let fee;
+
+        if (orderUpdate.accFillSz !== undefined && orderUpdate.accFillSz !== '') {
+            const accFillSize = parseFloat(orderUpdate.accFillSz);
+            const avgPrice = parseFloat(orderUpdate.avgPx || orderUpdate.fillPx);
+            size = accFillSize - progress.filledSize;
+            cost = accFillSize * avgPrice - progress.filledCost;
+            fee = reportedFee - (progress.fee || 0);
+        } else {
+            // Updates without running totals only carry the fill itself
+            size = parseFloat(orderUpdate.fillSz) || 0;
+            cost = size * parseFloat(orderUpdate.fillPx);
+            fee = reportedFee;
+        }
+
+        if (!(size > 1e-12)) return null;
+
+        progress.filledSize += size;
+        progress.filledCost += cost;
+        progress.fee = (progress.fee || 0) + fee;
+        this.orderFills.set(orderUpdate.ordId, progress);
+        this.markTradeProcessed(orderUpdate.tradeId);
+
+        const price = cost / size;
+        const feeCcy = orderUpdate.feeCcy || orderUpdate.fillFeeCcy;
+        this.totalFeesPaid += this.feeInQuote(fee, feeCcy, price);
+
+        const fill = {
+            size,
+            price,
+            fee,
+            feeCcy,
+            totalSize: progress.filledSize,
+            avgPrice: progress.filledCost / progress.filledSize,
+            ts: parseInt(orderUpdate.fillTime || orderUpdate.ts || orderUpdate.uTime) || this.clock.now(),
+            tradeId: orderUpdate.tradeId
+        };
+        // Sells are journaled with their profit in realizeSellProfit()
+        if (orderUpdate.side === 'buy') {
+            this.journalFill(fill, { side: 'buy', orderId: orderUpdate.ordId, clOrdId: orderUpdate.clOrdId });
+        }
+        return fill;
+    }
+
+    journalFill(fill, order) {
+        this.journal?.record({
+            ts: fill.ts,
+            symbol: this.config.SYMBOL,
+            role: this.getOrderRole(order.orderId, order.side),
+            tradeId: fill.tradeId,
+            price: fill.price,
+            size: fill.size,
+            fee: -fill.fee,
+            feeCcy: fill.feeCcy,
+            feeQuote: this.feeInQuote(fill.fee, fill.feeCcy, fill.price),
+            ...order
+        });
+    }
+
+    // Spot buys are charged in the base currency, sells in the quote currency
+    isBaseCurrency(ccy) {
+        return ccy === this.config.SYMBOL.split('-')[0];
+    }
+
+    feeInQuote(fee, feeCcy, price) {
+        return this.isBaseCurrency(feeCcy) ? fee * price : fee;
+    }
+
+    // Place a profit sell for newly bought base, including leftovers carried from earlier fills.
+    // Only the base actually received (after a base-currency fee) is sold, and the price is set
+    // so the profit target holds after the buy fee and the expected maker fee on the sell.
+    // A static grid passes `gridLevel` ({ level, price }) to sell at that level instead.
+    // With the average-cost exit policy the open sells are folded into this one once there are enough.
+    async placeProfitSell(fill, buyOrderId, gridLevel = null) {
+        const feeInBase = this.isBaseCurrency(fill.feeCcy) ? fill.fee : 0;
+        const feeInQuote = this.isBaseCurrency(fill.feeCcy) ? 0 : fill.fee;
+        const receivedSize = fill.size - feeInBase;
+
+        const mergedLots = !gridLevel && this.shouldMergeSells(buyOrderId) ? await this.mergeOpenSells() : [];
+        const merged = mergedLots.reduce((sum, lot) => ({
+            size: sum.size + lot.size,
+            cost: sum.cost + lot.size * (lot.costPrice ?? lot.buyPrice),
+            grossCost: sum.grossCost + lot.size * lot.buyPrice,
+            lowestBuyPrice: Math.min(sum.lowestBuyPrice, lot.lowestBuyPrice ?? lot.buyPrice)
+        }), { size: 0, cost: 0, grossCost: 0, lowestBuyPrice: fill.price });
+        merged.levels = this.getDcaLevels([...mergedLots, { buyOrderId }]);
+        merged.buyOrderIds = Array.from(new Set([...mergedLots.flatMap(lot => lot.buyOrderIds || [lot.buyOrderId]), buyOrderId].filter(Boolean)));
+
+        const totalSize = receivedSize + this.carriedBase.size + merged.size;
+        const cost = fill.size * fill.price + feeInQuote + this.carriedBase.cost + merged.cost;
+        const grossCost = receivedSize * fill.price + this.carriedBase.grossCost + merged.grossCost;
+        const carryAll = () => {
+            this.carriedBase = { size: totalSize, cost, grossCost };
+            this.persistState();
+        };
+
+        // Price paid per coin before fees, and cost per coin actually held after fees
+        const buyPrice = grossCost / totalSize;
+        const costPrice = cost / totalSize;
+        const sellSize = this.floorSize(totalSize);
+        const minSize = this.getMinOrderSize();
+
+        if (sellSize <= 0 || sellSize < minSize) {
+            carryAll();
+            this.log(`Carrying ${totalSize} forward until it reaches the minimum order size (${minSize})`);
+            return null;
+        }
+
+        const spacing = gridLevel ? null : this.getGridSpacing();
+        const profitPrice = gridLevel
+            ? gridLevel.price
+            : this.applyGridPriceMode('sell', costPrice * (1 + spacing.profitPercent / 100) / (1 - this.feeRates.maker));
+
+        try {
+            const sellOrder = !gridLevel && this.trailingMode !== 'off'
+                ? await this.placeTrailingSell(profitPrice, sellSize)
+                : await this.placeOrder('sell', profitPrice, sellSize);
+
+            const leftoverShare = Math.max(0, totalSize - sellSize) / totalSize;
+            this.carriedBase = {
+                size: totalSize * leftoverShare,
+                cost: cost * leftoverShare,
+                grossCost: grossCost * leftoverShare
+            };
+            this.openSellOrders.set(sellOrder.orderId, {
+                ...sellOrder,
+                buyPrice,
+                costPrice,
+                buyOrderId,
+                ...(gridLevel ? { gridLevel: gridLevel.level } : { spacing }),
+                ...(mergedLots.length > 0 ? { levels: merged.levels, buyOrderIds: merged.buyOrderIds, lowestBuyPrice: merged.lowestBuyPrice } : {})
+            });
+            this.persistState();
+
+            const trailing = sellOrder.trailing ? `, trailing ${sellOrder.trailing.callbackPercent}% ${sellOrder.trailing.mode === 'algo' ? 'via move_order_stop' : 'client-side'}` : '';
+            if (gridLevel) {
+                this.log(`Grid sell order placed: ${sellOrder.size} @ ${sellOrder.price} (level ${gridLevel.level}, cost ${costPrice})`);
+            } else if (mergedLots.length > 0) {
+                this.log(`Average-cost sell order placed: ${sellOrder.size} @ ${profitPrice} (${merged.levels} levels at average cost ${costPrice}, ${Number(spacing.profitPercent.toFixed(3))}% profit net of fees${this.describeSpacing(spacing)}${trailing})`);
+            } else {
+                this.log(`Profit sell order placed: ${sellOrder.size} @ ${profitPrice} (${Number(spacing.profitPercent.toFixed(3))}% profit net of fees, cost ${costPrice}${this.describeSpacing(spacing)}${trailing})`);
+            }
+            return sellOrder;
+        } catch (error) {
+            // Keep the coins in the carry so the next profit sell includes them
+            carryAll();
+            throw error;
+        }
+    }
+
+    // Average-cost exit from AVERAGE_COST_EXIT_LEVELS open levels on (counting the buy that
+    // filled, unless an earlier part of it is already for sale), and for every fill after that
+    // while the position is open
+    shouldMergeSells(buyOrderId) {
+        return this.config.EXIT_POLICY === 'average_cost'
+            && this.openSellOrders.size > 0
+            && this.getDcaLevels([...this.openSellOrders.values(), { buyOrderId }]) >= this.config.AVERAGE_COST_EXIT_LEVELS;
+    }
+
+    async mergeOpenSells() {
+        this.log(`🧮 Consolidating ${this.openSellOrders.size} sell orders (${this.getDcaLevels()} levels) into one average-cost sell`);
+        return this.cancelOpenSells();
+    }
+
+    // Cancel the open sells and return their lots (unfilled size) for the caller to re-sell.
+    // A sell whose cancel fails is already filling and is left to its own order updates.
+    async cancelOpenSells() {
+        const lots = Array.from(this.openSellOrders.values());
+        const cancelledAlgoIds = new Set(await this.cancelAlgoOrders(lots.filter(lot => lot.algoId).map(lot => lot.algoId)));
+        const cancelledLots = [];
+
+        for (const lot of lots) {
+            const isCancelled = lot.algoId
+                ? cancelledAlgoIds.has(lot.algoId)
+                : await this.cancelOrder(lot.orderId, lot.clientOrderId);
+            if (!isCancelled) continue;
+
+            this.openSellOrders.delete(lot.orderId);
+            cancelledLots.push({ ...lot, size: lot.size - (lot.filledSize || 0), filledSize: 0 });
+        }
+
+        return cancelledLots;
+    }
+
+    // Trailing take-profit: a move_order_stop algo that starts trailing at the profit price, or
+    // a limit sell there that trailClientSells() moves (client mode, or when the algo is refused)
+    async placeTrailingSell(price, size) {
+        const callbackPercent = this.config.TRAILING_CALLBACK_PERCENT;
+
+        if (this.trailingMode === 'algo') {
+            try {
+                const algoOrder = await this.placeAlgoSell(price, size, callbackPercent);
+                return { ...algoOrder, trailing: { mode: 'algo', activePrice: algoOrder.price, callbackPercent } };
+            } catch (error) {
+                if (error.sCode === '51008') throw error;
+                this.warn('⚠️ Trailing sell algo unavailable, trailing client-side instead');
+            }
+        }
+
+        const sellOrder = await this.placeOrder('sell', price, size);
+        return { ...sellOrder, trailing: { mode: 'client', activePrice: sellOrder.price, callbackPercent, peak: null } };
+    }
+
+    // Client-side trailing on each price. Near the profit price the resting sell is kept a
+    // callback above the price so it doesn't fill at the target. Past the target the peak is
+    // tracked, and a pullback of the callback from it moves the sell to the bid to exit.
+    trailClientSells(price) {
+        for (const sellInfo of this.openSellOrders.values()) {
+            const trailing = sellInfo.trailing;
+            if (trailing?.mode !== 'client' || trailing.isExiting || this.pendingOrderOperations.has(sellInfo.orderId)) continue;
+
+            const callback = trailing.callbackPercent / 100;
+
+            if (price >= trailing.activePrice) {
+                if (!trailing.peak) {
+                    this.log(`📈 Trailing sell ${sellInfo.orderId} active: ${price} reached ${trailing.activePrice}`);
+                }
+                trailing.peak = Math.max(trailing.peak || 0, price);
+            }
+
+            if (trailing.peak && price <= trailing.peak * (1 - callback)) {
+                this.exitClientTrailingSell(sellInfo, price);
+            } else if (price >= trailing.activePrice * (1 - callback)) {
+                const guardPrice = this.roundPrice(Math.max(trailing.peak || 0, price) * (1 + callback));
+                if (guardPrice >= sellInfo.price * (1 + callback / 2)) {
+                    this.moveClientTrailingSell(sellInfo, guardPrice);
+                }
+            }
+        }
+    }
+
+    async moveClientTrailingSell(sellInfo, newPrice) {
+        const result = await this.amendOrder(sellInfo, newPrice);
+
+        if (result === 'amended') {
+            sellInfo.price = newPrice;
+            this.persistStateSoon();
+        }
+    }
+
+    async exitClientTrailingSell(sellInfo, price) {
+        const trailing = sellInfo.trailing;
+        const exitPrice = this.bestBid || price;
+        trailing.isExiting = true;
+
+        this.log(`📉 Trailing sell ${sellInfo.orderId}: ${price} is ${trailing.callbackPercent}% below the ${trailing.peak} peak, selling @ ${exitPrice}`);
+        const result = await this.amendOrder(sellInfo, exitPrice);
+
+        if (result === 'amended') {
+            sellInfo.price = this.roundPrice(exitPrice);
+            this.persistStateSoon();
+        } else if (result === 'failed') {
+            trailing.isExiting = false;
+        }
+    }
+
+    async processAfterBuyFill(orderUpdate) {
+        const fill = this.applyFillUpdate(orderUpdate);
+        const isComplete = orderUpdate.state === 'filled';
+
+        if (fill) {
+            this.logFill(orderUpdate, fill, isComplete);
+        }
+
+        // ✅ Clear aggressive buy state
+        if (isComplete && this.currentAggressiveBuyOrder?.orderId === orderUpdate.ordId) {
+            this.currentAggressiveBuyOrder = null;
+            this.isInAggressiveBuyMode = false;
+
+            // Clear retry timeout
+            if (this.aggressiveBuyRetryTimeout) {
+                this.clock.clearTimeout(this.aggressiveBuyRetryTimeout);
+                this.aggressiveBuyRetryTimeout = null;
+            }
+
+            this.log('Aggressive buy cycle completed - order filled');
+        }
+
+        // The DCA buy that filled is done: there's nothing to cancel when it's replaced
+        if (isComplete) {
+            this.forgetBuyOrder(orderUpdate.ordId);
+        }
+
+        try {
+            // 1. Place profit sell order for the newly filled amount
+            if (fill) {
+                await this.placeProfitSell(fill, orderUpdate.ordId);
+            }
+
+            // Partial fill: the rest of the order is still working
+            if (!isComplete) return;
+
+            // DCA is based on the whole order
+            const progress = this.orderFills.get(orderUpdate.ordId);
+            const fillSize = progress ? progress.filledSize : parseFloat(orderUpdate.fillSz);
+            const fillPrice = progress ? progress.filledCost / progress.filledSize : parseFloat(orderUpdate.fillPx);
+
+            const levels = this.getDcaLevels();
+            if (this.notifier && levels >= this.config.NOTIFY_DCA_MIN_LEVEL) {
+                const position = this.getPositionPnl(fillPrice);
+                this.notifier.notify('dca_level', `📉 DCA level ${levels}: bought ${Number(fillSize.toFixed(8))} @ ${Number(fillPrice.toFixed(8))}, holding ${Number(position.size.toFixed(8))} at an average cost of ${(position.cost / position.size).toFixed(8)}`, {
+                    symbol: this.config.SYMBOL,
+                    key: `level ${levels}`
+                });
+            }
+
+            // 2-3. Replace the DCA buy order
+            await this.placeNextDcaBuy(fillPrice, fillSize);
+        } catch (error) {
+            this.error('Failed to process after buy fill:', error.message);
+            this.persistState();
+        }
+    }
+
+    async placeNextDcaBuy(fillPrice, size) {
+        // Cancel previous DCA buy order if exists
+        if (this.pendingDcaBuyOrder) {
+            await this.cancelOrder(this.pendingDcaBuyOrder.orderId, this.pendingDcaBuyOrder.clientOrderId);
+            this.pendingDcaBuyOrder = null;
+        }
+
+        // Place new DCA buy order
+        const spacing = this.getGridSpacing();
+        const dcaPrice = this.applyGridPriceMode('buy', fillPrice * (1 - spacing.dcaPercent / 100));
+        if (!this.canPlaceBuy(dcaPrice, size)) {
+            this.persistState();
+            return;
+        }
+
+        let dcaBuyOrder;
+        try {
+            dcaBuyOrder = await this.placeOrder('buy', dcaPrice, size);
+        } catch (error) {
+            if (this.pauseIfInsufficientFunds(error)) return;
+            throw error;
+        }
+        this.pendingDcaBuyOrder = { ...dcaBuyOrder, spacing };
+        this.persistState();
+
+        this.log(`DCA buy order placed: ${size} @ ${dcaPrice} (${Number(spacing.dcaPercent.toFixed(3))}% below${this.describeSpacing(spacing)})`);
+    }
+
+    async processAfterSellFill(orderUpdate) {
+        const fill = this.applyFillUpdate(orderUpdate);
+        const isComplete = orderUpdate.state === 'filled';
+        const orderId = orderUpdate.ordId;
+        const fillPrice = fill ? fill.price : parseFloat(orderUpdate.fillPx);
+
+        if (fill) {
+            this.logFill(orderUpdate, fill, isComplete);
+        }
+
+        // Calculate and track profit on the newly filled amount only
+        const sellOrderInfo = this.openSellOrders.get(orderId);
+        if (sellOrderInfo && fill) {
+            this.realizeSellProfit(sellOrderInfo, fill);
+        }
+
+        if (!isComplete) return;
+
+        if (sellOrderInfo) {
+            this.openSellOrders.delete(orderId); // Remove filled order first
+            this.persistState();
+
+            if (sellOrderInfo.levels) {
+                this.log(`🧮 Average-cost sell for ${sellOrderInfo.levels} levels filled, back to per-lot sells`);
+            }
+            if (sellOrderInfo.flatten) {
+                this.alert('limit', `🔥 Position flattened at ${fillPrice}, trading stays halted until re-armed`);
+                return;
+            }
+        }
+
+        try {
+            // ✅ Check if all sell orders are filled
+            if (this.openSellOrders.size === 0) {
+                this.completedCycles++;
+                this.log('🎯 All sell orders filled! Returning to aggressive buy cycle...');
+                this.notifyCycleCompleted();
+
+                // ✅ Start aggressive buy immediately
+                this.startAggressiveBuyCycle();
+
+            } else {
+                // Still have sell orders - just log status
+                const remainingSells = Array.from(this.openSellOrders.values())
+                    .map(order => order.price)
+                    .sort((a, b) => b - a);
+
+                this.log(`💰 Sell order filled at ${fillPrice}, but ${this.openSellOrders.size} higher sell orders remain`);
+                this.log(`📊 Remaining sell orders: [${remainingSells.join(', ')}]`);
+                this.log(`⏳ Waiting for higher sells to fill before returning to aggressive buying...`);
+            }
+
+            // Exposure went down: buys paused by a limit (here or on other symbols) can resume
+            await this.resumeBuying();
+            await this.budget?.release(this);
+
+        } catch (error) {
+            this.error('Failed to process sell fill logic:', error.message);
+        }
+    }
+
+    notifyCycleCompleted() {
+        this.notifier?.notify('cycle', `🎯 Cycle ${this.completedCycles} completed: ${this.cycleProfit.toFixed(8)} net (total ${this.totalRealizedProfit.toFixed(8)} net)`, {
+            symbol: this.config.SYMBOL,
+            key: `cycle ${this.completedCycles}`
+        });
+        this.cycleProfit = 0;
+        this.persistState();
+    }
+
+    // Gross: price difference only. Net: after the buy fees in the lot's cost price and this sell's fee.
+    realizeSellProfit(sellOrderInfo, fill) {
+        const grossProfit = (fill.price - sellOrderInfo.buyPrice) * fill.size;
+        const netProfit = fill.size * fill.price
+            - this.feeInQuote(fill.fee, fill.feeCcy, fill.price)
+            - fill.size * (sellOrderInfo.costPrice ?? sellOrderInfo.buyPrice);
+
+        this.totalGrossProfit += grossProfit;
+        this.totalRealizedProfit += netProfit;
+        this.cycleProfit += netProfit;
+        sellOrderInfo.filledSize = (sellOrderInfo.filledSize || 0) + fill.size;
+        this.persistState();
+        this.journalFill(fill, {
+            side: 'sell',
+            orderId: sellOrderInfo.orderId,
+            clOrdId: sellOrderInfo.clientOrderId,
+            buyOrderId: sellOrderInfo.buyOrderId,
+            costPrice: sellOrderInfo.costPrice ?? sellOrderInfo.buyPrice,
+            pnl: netProfit,
+            grossPnl: grossProfit
+        });
+        this.log(`Profit realized: ${netProfit.toFixed(8)} net / ${grossProfit.toFixed(8)} gross (Total: ${this.totalRealizedProfit.toFixed(8)} net / ${this.totalGrossProfit.toFixed(8)} gross)`, {
+            orderId: sellOrderInfo.orderId,
+            buyOrderId: sellOrderInfo.buyOrderId,
+            side: 'sell',
+            price: fill.price,
+            size: fill.size,
+            pnl: netProfit,
+            grossPnl: grossProfit
+        });
+        this.breaker?.recordPnl(netProfit);
+    }
+
+    async handleOrderCancellation(orderUpdate) {
+        const orderId = orderUpdate.ordId;
+
+        // Fills that happened before the cancel still need accounting
+        const fill = this.applyFillUpdate(orderUpdate);
+        if (fill && orderUpdate.side === 'buy') {
+            this.log(`Cancelled buy ${orderId} was partially filled: ${fill.totalSize} @ ${fill.avgPrice}`);
+            try {
+                await this.placeProfitSell(fill, orderId);
+            } catch (error) {
+                this.error(`Failed to place profit sell for partially filled buy ${orderId}:`, error.message);
+            }
+        } else if (fill && this.openSellOrders.has(orderId)) {
+            this.realizeSellProfit(this.openSellOrders.get(orderId), fill);
+        }
+
+        // Remove from tracking
+        if (this.openSellOrders.has(orderId)) {
+            this.openSellOrders.delete(orderId);
+            this.log(`Cancelled sell order removed from tracking: ${orderId}`);
+        }
+
+        if (this.pendingDcaBuyOrder?.orderId === orderId) {
+            this.pendingDcaBuyOrder = null;
+            this.log(`Cancelled DCA buy order cleared: ${orderId}`);
+        }
+
+        if (this.currentAggressiveBuyOrder?.orderId === orderId) {
+            const aggressiveBuy = this.currentAggressiveBuyOrder;
+            this.currentAggressiveBuyOrder = null;
+            this.log(`Cancelled aggressive buy order cleared: ${orderId}${orderUpdate.cancelSource === '31' ? ' (post-only would have taken liquidity)' : ''}`);
+            this.persistState();
+            await this.handleAggressiveBuyCancelled(aggressiveBuy);
+            return;
+        }
+
+        this.persistState();
+    }
+
+    // Fresh start with no orders or inventory
+    async startTrading() {
+        await this.startAggressiveBuyCycle();
+    }
+
+    // ✅ Event-driven aggressive buy cycle
+    async startAggressiveBuyCycle() {
+        if (this.isShuttingDown || this.isInAggressiveBuyMode || this.isRestoringState) return;
+        if (this.halt) {
+            this.log('🛑 Trading is halted, not starting a buy cycle until re-armed');
+            return;
+        }
+
+        this.log('Starting aggressive buy cycle...');
+        this.isInAggressiveBuyMode = true;
+
+        await this.attemptAggressiveBuy();
+    }
+
+    async attemptAggressiveBuy() {
+        if (this.isShuttingDown || !this.isInAggressiveBuyMode || this.halt) return;
+
+        // Don't buy back in while the market is crashing
+        if (this.isRegimeActionActive('delay_reentry')) {
+            if (!this.isReentryDelayed) {
+                this.isReentryDelayed = true;
+                this.log('⏸️ Aggressive re-entry delayed until the regime is back to normal');
+            }
+            this.scheduleAggressiveBuyRetry(5000);
+            return;
+        }
+        if (this.isReentryDelayed) {
+            this.isReentryDelayed = false;
+            this.log('▶️ Aggressive re-entry resumed');
+        }
+
+        try {
+            // ✅ Get current price với immediate fallback
+            let currentPrice = this.lastKnownPrice;
+
+            if (!currentPrice) {
+                this.log('No WebSocket price available, fetching from API...');
+                try {
+                    currentPrice = await this.getCurrentPrice();
+                    this.updatePrice(currentPrice);
+                } catch (error) {
+                    this.error('Failed to get current price:', error.message);
+                    this.scheduleAggressiveBuyRetry(1000);
+                    return;
+                }
+            }
+
+            const buyPrice = this.getAggressiveBuyPrice();
+            const tradeSize = this.calculateTradeSize(buyPrice);
+            if (!this.canPlaceBuy(buyPrice, tradeSize)) {
+                this.scheduleAggressiveBuyRetry(5000);
+                return;
+            }
+
+            const buyOrder = await this.placeOrder('buy', buyPrice, tradeSize, this.config.AGGRESSIVE_BUY_POST_ONLY ? 'post_only' : 'limit', null, 'aggressive');
+            this.currentAggressiveBuyOrder = buyOrder;
+            this.persistState();
+
+            this.log(`Aggressive buy order placed: ${tradeSize} @ ${buyOrder.price}`);
+            this.scheduleAggressiveBuyChase();
+
+        } catch (error) {
+            if (this.pauseIfInsufficientFunds(error)) {
+                this.scheduleAggressiveBuyRetry(5000);
+                return;
+            }
+            this.error('Error in aggressive buy attempt:', error.message);
+            this.scheduleAggressiveBuyRetry(1000);
+        }
+    }
+
+    // Priced by AGGRESSIVE_BUY_PRICE_MODE. A post-only buy must stay below the ask
+    // (or one tick under the last price while the book is unknown) or it would be cancelled.
+    getAggressiveBuyPrice() {
+        let price = this.getBookPrice(this.config.AGGRESSIVE_BUY_PRICE_MODE);
+
+        if (this.config.AGGRESSIVE_BUY_POST_ONLY) {
+            const tickSize = parseFloat(this.instrumentDetails?.tickSz) || 0;
+            const askSide = this.bestBid && this.bestAsk ? this.bestAsk : this.lastKnownPrice;
+            price = Math.min(price, askSide - tickSize);
+        }
+
+        return this.roundPrice(price);
+    }
+
+    scheduleAggressiveBuyChase() {
+        if (this.isShuttingDown || !this.isInAggressiveBuyMode) return;
+
+        this.aggressiveBuyRetryTimeout = this.clock.setTimeout(() => {
+            this.chaseAggressiveBuy();
+        }, this.config.IMMEDIATE_BUY_WAIT_MS);
+    }
+
+    // Keep the resting buy at the target price by amending it in place; partial fills stay on the same order
+    async chaseAggressiveBuy() {
+        if (this.isShuttingDown || !this.isInAggressiveBuyMode) return;
+
+        const aggressiveBuy = this.currentAggressiveBuyOrder;
+        if (!aggressiveBuy) {
+            // Filled or cancelled via WebSocket in the meantime; those handlers take it from here
+            return;
+        }
+
+        const targetPrice = this.roundPrice(this.getAggressiveBuyPrice());
+        const tickSize = parseFloat(this.instrumentDetails?.tickSz) || 0;
+        if (!targetPrice || Math.abs(targetPrice - aggressiveBuy.price) < tickSize / 2 + 1e-12) {
+            this.scheduleAggressiveBuyChase();
+            return;
+        }
+
+        const result = await this.amendOrder(aggressiveBuy, targetPrice);
+        if (this.currentAggressiveBuyOrder !== aggressiveBuy) {
+            return;
+        }
+
+        if (result === 'amended') {
+            this.log(`Aggressive buy ${aggressiveBuy.orderId} moved: ${aggressiveBuy.price} -> ${targetPrice}`);
+            aggressiveBuy.price = targetPrice;
+            this.persistStateSoon();
+            this.scheduleAggressiveBuyChase();
+        } else if (result === 'closed') {
+            await this.resolveClosedAggressiveBuy(aggressiveBuy);
+        } else {
+            // Can't amend: fall back to cancel-and-replace (the cancel update places the next order)
+            this.log('Aggressive buy amend failed, cancelling and retrying...');
+            if (!await this.cancelOrder(aggressiveBuy.orderId, aggressiveBuy.clientOrderId)) {
+                this.scheduleAggressiveBuyChase();
+            }
+        }
+    }
+
+    // The order filled or was cancelled before the amend reached it. Its `orders` update has
+    // usually arrived by now; if not, look the order up rather than placing a duplicate buy.
+    async resolveClosedAggressiveBuy(aggressiveBuy) {
+        await this.clock.sleep(1000);
+        if (this.isShuttingDown || this.currentAggressiveBuyOrder !== aggressiveBuy) return;
+
+        try {
+            const order = await this.fetchOrder(aggressiveBuy.orderId);
+            if (this.currentAggressiveBuyOrder !== aggressiveBuy) return;
+
+            if (order && ['filled', 'canceled', 'cancelled'].includes(order.state)) {
+                this.alert('anomaly', `🚨 MISSED UPDATE: Aggressive ${aggressiveBuy.orderId} is ${order.state}`);
+                await this.handleOrderUpdate(order);
+            } else {
+                this.scheduleAggressiveBuyChase();
+            }
+        } catch (error) {
+            this.error(`Failed to look up aggressive buy ${aggressiveBuy.orderId}:`, error.message);
+            this.scheduleAggressiveBuyChase();
+        }
+    }
+
+    // Partially filled: once the filled part has a profit sell, finish the cycle with it
+    // (amounts below the minimum order size keep chasing and are carried into the next fill)
+    async handleAggressiveBuyCancelled(aggressiveBuy) {
+        if (this.isShuttingDown || !this.isInAggressiveBuyMode) return;
+
+        if (this.aggressiveBuyRetryTimeout) {
+            this.clock.clearTimeout(this.aggressiveBuyRetryTimeout);
+            this.aggressiveBuyRetryTimeout = null;
+        }
+
+        const progress = this.orderFills.get(aggressiveBuy.orderId);
+        if (progress?.filledSize > 0 && this.openSellOrders.size > 0) {
+            this.isInAggressiveBuyMode = false;
+            this.log(`Aggressive buy cycle completed - partially filled ${progress.filledSize}/${aggressiveBuy.size}`);
+            await this.placeNextDcaBuy(progress.filledCost / progress.filledSize, aggressiveBuy.size);
+            return;
+        }
+
+        // ✅ Quick retry
+        this.scheduleAggressiveBuyRetry(50);
+    }
+
+    scheduleAggressiveBuyRetry(delayMs) {
+        if (this.isShuttingDown || !this.isInAggressiveBuyMode) return;
+
+        this.aggressiveBuyRetryTimeout = this.clock.setTimeout(() => {
+            this.attemptAggressiveBuy();
+        }, delayMs);
+    }
+
+    // Unrealized PnL of everything held (open and held sells, carried base) at the bid
+    getPositionPnl(price) {
+        const markPrice = this.bestBid || price;
+        let size = this.carriedBase.size;
+        let cost = this.carriedBase.cost;
+
+        for (const lot of [...this.openSellOrders.values(), ...this.heldSells]) {
+            const remaining = lot.size - (lot.filledSize || 0);
+            size += remaining;
+            cost += remaining * (lot.costPrice ?? lot.buyPrice);
+        }
+
+        return { size, cost, pnl: size * markPrice - cost };
+    }
+
+    checkStopLoss(price) {
+        const { STOP_LOSS_QUOTE, STOP_LOSS_PERCENT, STOP_LOSS_ACTION } = this.config;
+        if (this.halt || this.isRestoringState || !(STOP_LOSS_QUOTE > 0 || STOP_LOSS_PERCENT > 0)) return;
+
+        const { cost, pnl } = this.getPositionPnl(price);
+        const lossPercent = cost > 0 ? (-pnl / cost) * 100 : 0;
+
+        if ((STOP_LOSS_QUOTE > 0 && -pnl >= STOP_LOSS_QUOTE) || (STOP_LOSS_PERCENT > 0 && lossPercent >= STOP_LOSS_PERCENT)) {
+            const reason = `stop-loss: unrealized ${pnl.toFixed(8)} ${this.config.SYMBOL.split('-')[1]} (-${lossPercent.toFixed(2)}% of ${cost.toFixed(2)} deployed) at ${price}`;
+            this.killSwitch?.engage(this.config.SYMBOL, reason, STOP_LOSS_ACTION);
+            this.haltTrading(reason, STOP_LOSS_ACTION);
+        }
+    }
+
+    // Emergency stop from a stop-loss or the kill switch; nothing is bought again until rearm().
+    // freeze: cancel the buys, profit sells stay. cancel_all: also cancel the sells and hold the
+    // coins (the sells go back on the book when re-armed). flatten: cancel every order and
+    // market-sell the position. A more drastic action can follow a milder one.
+    async haltTrading(reason, action) {
+        if (this.halt && KillSwitch.HALT_ACTIONS.indexOf(action) <= KillSwitch.HALT_ACTIONS.indexOf(this.halt.action)) return;
+
+        this.halt = { reason, action, since: this.clock.now() };
+        this.alert('limit', `🛑 TRADING HALTED (${action}): ${reason}`);
+
+        this.isInAggressiveBuyMode = false;
+        if (this.aggressiveBuyRetryTimeout) {
+            this.clock.clearTimeout(this.aggressiveBuyRetryTimeout);
+            this.aggressiveBuyRetryTimeout = null;
+        }
+
+        try {
+            await this.cancelOrdersForShutdown(false);
+
+            if (action !== 'freeze') {
+                this.heldSells.push(...await this.cancelOpenSells());
+            }
+            if (action === 'flatten') {
+                await this.flattenPosition();
+            }
+        } catch (error) {
+            this.error('Failed to complete the trading halt:', error.message);
+        }
+        this.persistState();
+    }
+
+    // Pause like a `freeze` halt: buys cancelled, profit sells stay. The kill switch file keeps
+    // it paused (across restarts too) until someone re-arms it.
+    tripCircuitBreaker({ breaker, detail, counters }) {
+        this.alert('limit', `🚨 CIRCUIT BREAKER ${breaker} tripped: ${detail} [${this.breaker.describeCounters(counters)}]`);
+        if (this.halt) return;
+
+        const reason = `circuit breaker ${breaker}: ${detail}`;
+        this.killSwitch?.engage(this.config.SYMBOL, reason, 'freeze');
+        // While restoring, the halt is picked up from the kill switch file at the end
+        if (this.isRestoringState && this.killSwitch) return;
+
+        this.haltTrading(reason, 'freeze');
+    }
+
+    // Startup: stay halted while the kill switch is engaged
+    async haltIfKillSwitchEngaged() {
+        const halt = this.killSwitch?.read(this.config.SYMBOL);
+        if (!halt) return false;
+
+        await this.haltTrading(halt.reason, halt.action);
+        return true;
+    }
+
+    // Market-sell the held lots and the carried base
+    async flattenPosition() {
+        const lots = this.heldSells.splice(0);
+        const position = lots.reduce((sum, lot) => ({
+            size: sum.size + lot.size,
+            cost: sum.cost + lot.size * (lot.costPrice ?? lot.buyPrice),
+            grossCost: sum.grossCost + lot.size * lot.buyPrice
+        }), { ...this.carriedBase });
+
+        const sellSize = this.floorSize(position.size);
+        if (sellSize <= 0 || sellSize < this.getMinOrderSize()) {
+            this.heldSells = lots;
+            this.log(`Nothing to flatten (${position.size} held)`);
+            return;
+        }
+
+        try {
+            const sellOrder = await this.placeOrder('sell', this.bestBid || this.lastKnownPrice, sellSize, 'market', null, 'flatten');
+            const leftoverShare = (position.size - sellSize) / position.size;
+
+            this.carriedBase = {
+                size: position.size * leftoverShare,
+                cost: position.cost * leftoverShare,
+                grossCost: position.grossCost * leftoverShare
+            };
+            this.openSellOrders.set(sellOrder.orderId, {
+                ...sellOrder,
+                buyPrice: position.grossCost / position.size,
+                costPrice: position.cost / position.size,
+                flatten: true
+            });
+            this.persistState();
+            this.log(`🔥 Flattening: market sell ${sellSize} (average cost ${position.cost / position.size})`);
+        } catch (error) {
+            this.heldSells = lots;
+            this.error('Failed to flatten the position, the coins are still held:', error.message);
+        }
+    }
+
+    async rearm() {
+        if (!this.halt) return;
+
+        this.log(`✅ Trading re-armed (was halted: ${this.halt.reason})`);
+        this.halt = null;
+        this.breaker?.reset();
+        this.persistState();
+
+        await this.restoreHeldSells();
+        await this.resumeTrading();
+    }
+
+    // Put the sells cancelled by a halt back on the book at their prices
+    async restoreHeldSells() {
+        for (const lot of this.heldSells.splice(0)) {
+            try {
+                const sellOrder = lot.trailing && this.trailingMode !== 'off'
+                    ? await this.placeTrailingSell(lot.trailing.activePrice, lot.size)
+                    : await this.placeOrder('sell', lot.price, lot.size);
+                const { algoId, ...lotInfo } = lot;
+                this.openSellOrders.set(sellOrder.orderId, { ...lotInfo, ...sellOrder });
+                this.log(`Held sell restored: ${sellOrder.size} @ ${sellOrder.price} (cost ${lot.costPrice})`);
+            } catch (error) {
+                this.heldSells.push(lot);
+                this.error(`Failed to restore held sell for buy ${lot.buyOrderId}:`, error.message);
+            }
+        }
+        this.persistState();
+    }
+
+    getTradingMode() {
+        if (this.halt) return 'halted';
+        if (this.isInAggressiveBuyMode) return 'aggressive_buy';
+        if (this.buyPause) return 'buys_paused';
+        return this.openSellOrders.size > 0 ? 'dca' : 'idle';
+    }
+
+    // Snapshot for the control API
+    getStatus() {
+        const position = this.getPositionPnl(this.lastKnownPrice || 0);
+        const describeOrder = order => order && { orderId: order.orderId, price: order.price, size: order.size };
+        const describeLot = lot => ({
+            ...describeOrder(lot),
+            filledSize: lot.filledSize || 0,
+            buyPrice: lot.buyPrice,
+            costPrice: lot.costPrice,
+            buyOrderId: lot.buyOrderId,
+            ...(lot.levels ? { levels: lot.levels } : {}),
+            ...(lot.trailing ? { trailing: lot.algoId ? 'algo' : 'client' } : {})
+        });
+
+        return {
+            symbol: this.config.SYMBOL,
+            strategyMode: this.config.STRATEGY_MODE,
+            mode: this.getTradingMode(),
+            halt: this.halt,
+            buyPause: this.buyPause,
+            lastPrice: this.lastKnownPrice,
+            bestBid: this.bestBid,
+            bestAsk: this.bestAsk,
+            openSells: Array.from(this.openSellOrders.values()).map(describeLot),
+            heldSells: this.heldSells.map(describeLot),
+            pendingDcaBuy: describeOrder(this.pendingDcaBuyOrder),
+            aggressiveBuy: describeOrder(this.currentAggressiveBuyOrder),
+            inventory: {
+                size: position.size,
+                cost: position.cost,
+                averageCost: position.size > 0 ? position.cost / position.size : null
+            },
+            pnl: {
+                realized: this.totalRealizedProfit,
+                realizedGross: this.totalGrossProfit,
+                feesPaid: this.totalFeesPaid,
+                unrealized: this.lastKnownPrice ? position.pnl : null
+            },
+            completedCycles: this.completedCycles,
+            settings: Object.fromEntries(HOT_SETTINGS.map(key => [key, this.config[key]])),
+            regime: this.regime ? { riskOff: this.regime.isRiskOff(), reasons: this.regime.reasons } : null,
+            circuitBreaker: this.breaker?.getCounters() || null
+        };
+    }
+
+    // Control API: the HOT_SETTINGS values as numbers, or an error saying what's wrong
+    validateSettings(changes) {
+        const updates = {};
+        for (const [key, value] of Object.entries(changes)) {
+            if (!HOT_SETTINGS.includes(key)) {
+                throw new Error(`${key} can't be changed while running: use ${HOT_SETTINGS.join(', ')}`);
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number) || number <= 0) {
+                throw new Error(`${key} must be a positive number (got ${value})`);
+            }
+            updates[key] = number;
+        }
+
+        const tradeSize = updates.BASE_CURRENCY_TRADE_AMOUNT;
+        if (tradeSize !== undefined && this.roundSize(tradeSize) < this.getMinOrderSize()) {
+            throw new Error(`BASE_CURRENCY_TRADE_AMOUNT ${tradeSize} is below the minimum order size ${this.getMinOrderSize()}`);
+        }
+        return updates;
+    }
+
+    // New values apply to the next orders; resting orders keep their prices and sizes.
+    // Not saved, the environment sets them again on restart.
+    updateSettings(changes) {
+        const updates = this.validateSettings(changes);
+        for (const [key, value] of Object.entries(updates)) {
+            this.log(`⚙️ ${key}: ${this.config[key]} -> ${value}`);
+            this.config[key] = value;
+        }
+        return Object.fromEntries(HOT_SETTINGS.map(key => [key, this.config[key]]));
+    }
+
+    // Enhanced cancel all orders
+    async cancelAllOrdersAndStartFresh() {
+        try {
+            this.log('Cancelling all open bot orders and starting fresh...');
+            const openOrders = this.filterBotOrders(await this.getOpenOrders());
+
+            if (openOrders.length > 0) {
+                this.log(`Found ${openOrders.length} open bot orders, cancelling all...`);
+
+                const cancelPromises = openOrders.map(order =>
+                    this.cancelOrder(order.ordId).catch(err =>
+                        this.error(`Failed to cancel order ${order.ordId}:`, err.message)
+                    )
+                );
+
+                await Promise.all(cancelPromises);
+
+                // Wait for cancellations to be processed
+                await this.clock.sleep(1000);
+            }
+
+            // Trailing sells left by an earlier run
+            const openAlgoOrders = this.filterBotOrders(await this.getOpenAlgoOrders());
+            await this.cancelAlgoOrders(openAlgoOrders.map(algo => algo.algoId));
+
+            // Clear internal state
+            this.openSellOrders.clear();
+            this.pendingDcaBuyOrder = null;
+            this.currentAggressiveBuyOrder = null;
+            this.totalRealizedProfit = 0;
+            this.totalGrossProfit = 0;
+            this.totalFeesPaid = 0;
+            this.cycleProfit = 0;
+            this.heldSells = [];
+            this.pendingOrderOperations.clear();
+            this.isInAggressiveBuyMode = false;
+            this.persistState();
+
+            // Clear any pending timeouts
+            if (this.aggressiveBuyRetryTimeout) {
+                this.clock.clearTimeout(this.aggressiveBuyRetryTimeout);
+                this.aggressiveBuyRetryTimeout = null;
+            }
+
+            this.log('All orders cancelled, starting fresh...');
+            if (await this.haltIfKillSwitchEngaged()) return;
+            this.startTrading();
+        } catch (error) {
+            this.error('Failed to cancel orders and start fresh:', error.message);
+        }
+    }
+
+    // Cancel the bot's buy orders on shutdown; profit sells stay on the book unless cancelAll is set
+    async cancelOrdersForShutdown(cancelAll) {
+        const openOrders = this.filterBotOrders(await this.getOpenOrders());
+        const ordersToCancel = cancelAll
+            ? openOrders
+            : openOrders.filter(order => order.side === 'buy');
+
+        if (ordersToCancel.length > 0) {
+            this.log(`Cancelling ${ordersToCancel.length} open orders...`);
+            for (const order of ordersToCancel) {
+                await this.cancelOrder(order.ordId);
+            }
+        }
+
+        this.currentAggressiveBuyOrder = null;
+        this.pendingDcaBuyOrder = null;
+        if (cancelAll) {
+            await this.cancelAlgoOrders(Array.from(this.openSellOrders.values(), sellInfo => sellInfo.algoId).filter(Boolean));
+            this.openSellOrders.clear();
+        }
+        this.persistState();
+    }
+}
+
+module.exports = GridStrategy;
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const HALT_ACTIONS = ['freeze', 'cancel_all', 'flatten'];
+
+// File-based kill switch. While KILL_SWITCH_FILE exists every symbol is halted, while
+// KILL_SWITCH_FILE.<SYMBOL> exists only that one. A file may start with the action
+// (freeze, cancel_all or flatten); the rest is the reason. Stop-losses write the symbol
+// file, so deleting the file is how a human re-arms trading in every case.
+// Emits 'engage' (symbol, { reason, action }) and 'rearm' (symbol) from check().
+class KillSwitch extends EventEmitter {
+    constructor({ filePath, symbols, defaultAction = 'cancel_all' }) {
+        super();
+        this.filePath = path.resolve(filePath);
+        this.symbols = symbols;
+        this.defaultAction = defaultAction;
+        this.engaged = new Map();
+    }
+
+    symbolFilePath(symbol) {
+        return `${this.filePath}.${symbol}`;
+    }
+
+    // The halt a symbol's files ask for, or null
+    read(symbol) {
+        for (const filePath of [this.filePath, this.symbolFilePath(symbol)]) {
+            if (!fs.existsSync(filePath)) continue;
+
+            const content = fs.readFileSync(filePath, 'utf8').trim();
+            const [firstWord, ...rest] = content.split(/\s+/);
+            const hasAction = HALT_ACTIONS.includes(firstWord);
+            const note = hasAction ? rest.join(' ') : content;
+
+            return {
+                action: hasAction ? firstWord : this.defaultAction,
+                reason: `kill switch ${path.basename(filePath)}${note ? `: ${note}` : ''}`
+            };
+        }
+        return null;
+    }
+
+    // Polled by the bot: report files that appeared or were deleted since the last check
+    check() {
+        for (const symbol of this.symbols) {
+            const halt = this.read(symbol);
+
+            if (halt && !this.engaged.has(symbol)) {
+                this.engaged.set(symbol, halt);
+                this.emit('engage', symbol, halt);
+            } else if (!halt && this.engaged.has(symbol)) {
+                this.engaged.delete(symbol);
+                this.emit('rearm', symbol);
+            }
+        }
+    }
+
+    // A stop-loss tripped: leave a file so the symbol stays halted until someone deletes it
+    engage(symbol, reason, action) {
+        fs.writeFileSync(this.symbolFilePath(symbol), `${action} ${reason}\n`);
+        this.engaged.set(symbol, { reason, action });
+    }
+
+    // One symbol's file, or every file
+    rearm(symbol = null) {
+        const filePaths = symbol
+            ? [this.symbolFilePath(symbol)]
+            : [this.filePath, ...this.symbols.map(s => this.symbolFilePath(s))];
+
+        for (const filePath of filePaths) {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        }
+    }
+}
+
+KillSwitch.HALT_ACTIONS = HALT_ACTIONS;
+
+module.exports = KillSwitch;
+
+// CLI: npm run kill -- [SYMBOL] [freeze|cancel_all|flatten] [reason...] / npm run rearm -- [SYMBOL] / status
+if (require.main === module) {
+    const { CONFIG } = require('./config');
+    const [command, ...args] = process.argv.slice(2);
+    const killSwitch = new KillSwitch({ filePath: CONFIG.KILL_SWITCH_FILE, symbols: CONFIG.SYMBOLS });
+    const symbol = CONFIG.SYMBOLS.includes(args[0]) ? args.shift() : null;
+    const filePath = symbol ? killSwitch.symbolFilePath(symbol) : killSwitch.filePath;
+
+    if (command === 'kill') {
+        const action = HALT_ACTIONS.includes(args[0]) ? args.shift() : CONFIG.KILL_SWITCH_ACTION;
+        fs.writeFileSync(filePath, `${action} ${args.join(' ') || 'manual kill'}\n`);
+        console.log(`🛑 Kill switch engaged for ${symbol || 'all symbols'} (${action}): ${filePath}`);
+    } else if (command === 'rearm') {
+        killSwitch.rearm(symbol);
+        console.log(`✅ Kill switch re-armed for ${symbol || 'all symbols'}`);
+    } else if (command === 'status') {
+        for (const s of CONFIG.SYMBOLS) {
+            const halt = killSwitch.read(s);
+            console.log(`${s}: ${halt ? `halted (${halt.action}) - ${halt.reason}` : 'armed'}`);
+        }
+    } else {
+        console.log('Usage: node src/killSwitch.js kill [SYMBOL] [freeze|cancel_all|flatten] [reason] | rearm [SYMBOL] | status');
+        process.exit(1);
+    }
+}
@@ -0,0 +1,49 @@
+// Round-trip latency of order requests, per transport (ws/rest) and operation
+class LatencyStats {
+    constructor(maxSamples = 200) {
+        this.maxSamples = maxSamples;
+        this.samples = [];
+        this.totals = new Map();
+    }
+
+    record(transport, op, latencyMs, order = {}) {
+        this.samples.push({
+            transport,
+            op,
+            latencyMs,
+            ordId: order.ordId || '',
+            clOrdId: order.clOrdId || '',
+            ts: Date.now()
+        });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        const key = `${transport} ${op}`;
+        const total = this.totals.get(key) || { transport, op, count: 0, totalMs: 0, minMs: Infinity, maxMs: 0 };
+        total.count++;
+        total.totalMs += latencyMs;
+        total.minMs = Math.min(total.minMs, latencyMs);
+        total.maxMs = Math.max(total.maxMs, latencyMs);
+        this.totals.set(key, total);
+    }
+
+    summary() {
+        return Array.from(this.totals.values()).map(total => ({
+            transport: total.transport,
+            op: total.op,
+            count: total.count,
+            avgMs: total.totalMs / total.count,
+            minMs: total.minMs,
+            maxMs: total.maxMs
+        }));
+    }
+
+    describe() {
+        return this.summary()
+            .map(s => `${s.transport} ${s.op}: n=${s.count} avg=${s.avgMs.toFixed(1)}ms min=${s.minMs}ms max=${s.maxMs}ms`)
+            .join('; ');
+    }
+}
+
+module.exports = LatencyStats;
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SUBSYSTEMS = ['bot', 'api', 'ws', 'strategy', 'reconciliation'];
+
+function checkLevel(level, name) {
+    if (LEVELS[level] === undefined) {
+        throw new Error(`Invalid ${name} "${level}": use ${Object.keys(LEVELS).join(', ')}`);
+    }
+    return level;
+}
+
+// LOG_LEVELS=ws=debug,api=warn
+function parseLevels(value) {
+    const levels = {};
+    for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [subsystem, level] = entry.split('=').map(part => part.trim());
+        if (!SUBSYSTEMS.includes(subsystem)) {
+            throw new Error(`Unknown log subsystem "${subsystem}" in LOG_LEVELS: use ${SUBSYSTEMS.join(', ')}`);
+        }
+        levels[subsystem] = checkLevel(level, `LOG_LEVELS level for ${subsystem}`);
+    }
+    return levels;
+}
+
+// Appends lines to `filePath`; past `maxBytes` it becomes <file>.1, <file>.1 becomes <file>.2 and
+// so on, keeping `maxFiles` old files. Writes are synchronous so nothing is lost on process.exit().
+class RotatingFile {
+    constructor(filePath, maxBytes, maxFiles) {
+        this.filePath = filePath;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+
+        fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+        this.open();
+    }
+
+    open() {
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    write(line) {
+        const data = `${line}\n`;
+        if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxBytes) {
+            this.rotate();
+        }
+        fs.writeSync(this.fd, data);
+        this.size += Buffer.byteLength(data);
+    }
+
+    rotate() {
+        fs.closeSync(this.fd);
+        fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${this.filePath}.${i}`)) {
+                fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        } else {
+            fs.rmSync(this.filePath, { force: true });
+        }
+        this.open();
+    }
+}
+
+// Leveled logger. Entries have a message and structured fields (symbol, orderId, clOrdId,
+// side, role, price, size, latency, ...). The console gets text as before, or one JSON
+// object per line with LOG_FORMAT=json; the log file always gets JSON. child() makes a
+// logger for a subsystem, with its own level from LOG_LEVELS, and/or with bound fields.
+// Emits 'entry' for everything it writes.
+class Logger extends EventEmitter {
+    constructor({ level = 'info', levels = {}, format = 'text', file = null, now = Date.now } = {}) {
+        super();
+        this.level = checkLevel(level, 'LOG_LEVEL');
+        this.levels = levels;
+        if (!['text', 'json'].includes(format)) {
+            throw new Error(`Invalid LOG_FORMAT "${format}": use text or json`);
+        }
+        this.format = format;
+        this.file = file;
+        this.now = now;
+    }
+
+    static fromConfig(config) {
+        return new Logger({
+            level: config.LOG_LEVEL,
+            levels: parseLevels(config.LOG_LEVELS),
+            format: config.LOG_FORMAT,
+            file: config.LOG_FILE
+                ? new RotatingFile(config.LOG_FILE, config.LOG_MAX_FILE_MB * 1024 * 1024, config.LOG_MAX_FILES)
+                : null
+        });
+    }
+
+    child(subsystem, fields = {}) {
+        return new ChildLogger(this, subsystem, fields);
+    }
+
+    isEnabled(level, subsystem = 'bot') {
+        return LEVELS[level] >= LEVELS[this.levels[subsystem] || this.level];
+    }
+
+    write(level, subsystem, message, fields = {}) {
+        if (!this.isEnabled(level, subsystem)) return;
+
+        const entry = { ts: new Date(this.now()).toISOString(), level, subsystem, msg: message, ...fields };
+        const json = JSON.stringify(entry);
+        const stream = level === 'error' ? process.stderr : process.stdout;
+        stream.write(`${this.format === 'json' ? json : this.formatText(entry)}\n`);
+        this.file?.write(json);
+        this.emit('entry', entry);
+    }
+
+    // [ts] LEVEL: [SYMBOL] message (error); info has no level, like the plain console logs
+    formatText({ ts, level, msg, symbol, error }) {
+        const prefix = level === 'info' ? '' : `${level.toUpperCase()}: `;
+        return `[${ts}] ${prefix}${symbol ? `[${symbol}] ` : ''}${msg}${error ? ` ${error}` : ''}`;
+    }
+
+    debug(message, fields) {
+        this.write('debug', 'bot', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', 'bot', message, fields);
+    }
+
+    // Same as info(), for code that takes a console-like logger
+    log(message, fields) {
+        this.write('info', 'bot', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', 'bot', message, fields);
+    }
+
+    // `error` is an Error or its message
+    error(message, error = null, fields = {}) {
+        this.write('error', 'bot', message, { ...fields, ...describeError(error) });
+    }
+}
+
+function describeError(error) {
+    if (!error) return {};
+    return { error: error instanceof Error ? error.message : String(error) };
+}
+
+class ChildLogger {
+    constructor(root, subsystem, fields) {
+        this.root = root;
+        this.subsystem = subsystem;
+        this.fields = fields;
+    }
+
+    child(subsystem = this.subsystem, fields = {}) {
+        return new ChildLogger(this.root, subsystem, { ...this.fields, ...fields });
+    }
+
+    isEnabled(level) {
+        return this.root.isEnabled(level, this.subsystem);
+    }
+
+    debug(message, fields) {
+        this.root.write('debug', this.subsystem, message, { ...this.fields, ...fields });
+    }
+
+    info(message, fields) {
+        this.root.write('info', this.subsystem, message, { ...this.fields, ...fields });
+    }
+
+    log(message, fields) {
+        this.info(message, fields);
+    }
+
+    warn(message, fields) {
+        this.root.write('warn', this.subsystem, message, { ...this.fields, ...fields });
+    }
+
+    error(message, error = null, fields = {}) {
+        this.root.write('error', this.subsystem, message, { ...this.fields, ...fields, ...describeError(error) });
+    }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.SUBSYSTEMS = SUBSYSTEMS;
+Logger.RotatingFile = RotatingFile;
+
+module.exports = Logger;
@@ -0,0 +1,225 @@
+const http = require('http');
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const LAG_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 15, 60];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family in Prometheus text format: samples keyed by their label values
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.samples = new Map();
+    }
+
+    labelsOf(labels) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    sample(labels, create) {
+        const key = JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+        if (!this.samples.has(key)) {
+            this.samples.set(key, { labels: this.labelsOf(labels), ...create() });
+        }
+        return this.samples.get(key);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const sample of this.samples.values()) {
+            lines.push(...this.renderSample(sample));
+        }
+        return lines.join('\n');
+    }
+
+    renderSample({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.sample(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.sample(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const sample = this.sample(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((le, i) => {
+            if (value <= le) sample.counts[i]++;
+        });
+        sample.sum += value;
+        sample.count++;
+    }
+
+    renderSample({ labels, counts, sum, count }) {
+        return [
+            ...this.buckets.map((le, i) => `${this.name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ];
+    }
+}
+
+// Bot metrics served as Prometheus text on GET /metrics. Counters and histograms are fed
+// as things happen; the per-symbol gauges are read from the strategies at scrape time.
+class BotMetrics {
+    constructor({ strategies, getConnections = () => ({}) }) {
+        this.strategies = strategies;
+        this.getConnections = getConnections;
+        this.server = null;
+
+        this.orders = new Counter('okx_bot_orders_total', 'Orders by event (placed, cancelled, filled), side and role (aggressive, dca, profit, grid, flatten)', ['symbol', 'side', 'role', 'event']);
+        this.apiLatency = new Histogram('okx_bot_api_request_duration_seconds', 'API request round trip, including retries', ['method', 'endpoint'], LATENCY_BUCKETS);
+        this.apiErrors = new Counter('okx_bot_api_errors_total', 'Failed API requests and rejected orders by OKX code', ['endpoint', 'code']);
+        this.wsReconnects = new Counter('okx_bot_ws_reconnects_total', 'WebSocket reconnects', ['connection']);
+        this.wsLag = new Histogram('okx_bot_ws_message_lag_seconds', 'Time from the exchange timestamp of a WebSocket push until it was handled', ['channel'], LAG_BUCKETS);
+
+        this.gauges = {
+            connected: new Gauge('okx_bot_ws_connected', 'WebSocket connection is open', ['connection']),
+            lastPrice: new Gauge('okx_bot_last_price', 'Last traded price', ['symbol']),
+            inventory: new Gauge('okx_bot_inventory_base', 'Base currency held by the strategy (open and held sells, carried base)', ['symbol']),
+            positionCost: new Gauge('okx_bot_position_cost_quote', 'Cost of the inventory in quote currency', ['symbol']),
+            openSells: new Gauge('okx_bot_open_sell_orders', 'Open profit sells', ['symbol']),
+            dcaLevels: new Gauge('okx_bot_dca_levels', 'Ladder depth: open DCA levels', ['symbol']),
+            realizedPnl: new Gauge('okx_bot_realized_pnl_quote', 'Realized PnL since the state file was created', ['symbol', 'type']),
+            unrealizedPnl: new Gauge('okx_bot_unrealized_pnl_quote', 'Unrealized PnL of the inventory at the bid', ['symbol']),
+            feesPaid: new Gauge('okx_bot_fees_paid_quote', 'Trading fees paid', ['symbol']),
+            cycles: new Gauge('okx_bot_completed_cycles', 'Completed cycles since start', ['symbol']),
+            halted: new Gauge('okx_bot_halted', 'Trading is halted (stop-loss, kill switch, circuit breaker, control API)', ['symbol']),
+            buysPaused: new Gauge('okx_bot_buys_paused', 'New buys are paused by a limit', ['symbol'])
+        };
+    }
+
+    recordOrder(symbol, side, role, event) {
+        this.orders.inc({ symbol, side, role, event });
+    }
+
+    // `response` is the OKX reply; rejected orders come back with a per-order sCode
+    recordApiRequest(method, endpoint, durationMs, response = null, error = null) {
+        const path = endpoint.split('?')[0];
+        this.apiLatency.observe({ method, endpoint: path }, durationMs / 1000);
+
+        if (error) {
+            this.apiErrors.inc({ endpoint: path, code: error.code || (error.status ? `http_${error.status}` : 'error') });
+            return;
+        }
+        if (response?.code && response.code !== '0' && !response.data?.[0]?.sCode) {
+            this.apiErrors.inc({ endpoint: path, code: response.code });
+        }
+        for (const result of response?.data || []) {
+            if (result?.sCode && result.sCode !== '0') {
+                this.apiErrors.inc({ endpoint: path, code: result.sCode });
+            }
+        }
+    }
+
+    recordWsReconnect(connection) {
+        this.wsReconnects.inc({ connection });
+    }
+
+    // `ts` is the exchange's millisecond timestamp of the pushed data
+    recordWsLag(channel, ts) {
+        const lagMs = Date.now() - parseInt(ts);
+        if (lagMs >= 0) {
+            this.wsLag.observe({ channel }, lagMs / 1000);
+        }
+    }
+
+    collect() {
+        const { gauges } = this;
+
+        for (const [connection, connected] of Object.entries(this.getConnections())) {
+            gauges.connected.set({ connection }, connected ? 1 : 0);
+        }
+
+        for (const strategy of this.strategies.values()) {
+            const symbol = strategy.config.SYMBOL;
+            const price = strategy.lastKnownPrice;
+            const position = strategy.getPositionPnl(price || 0);
+
+            gauges.lastPrice.set({ symbol }, price || 0);
+            gauges.inventory.set({ symbol }, position.size);
+            gauges.positionCost.set({ symbol }, position.cost);
+            gauges.openSells.set({ symbol }, strategy.openSellOrders.size);
+            gauges.dcaLevels.set({ symbol }, strategy.getDcaLevels());
+            gauges.realizedPnl.set({ symbol, type: 'net' }, strategy.totalRealizedProfit);
+            gauges.realizedPnl.set({ symbol, type: 'gross' }, strategy.totalGrossProfit);
+            gauges.unrealizedPnl.set({ symbol }, price ? position.pnl : 0);
+            gauges.feesPaid.set({ symbol }, strategy.totalFeesPaid);
+            gauges.cycles.set({ symbol }, strategy.completedCycles);
+            gauges.halted.set({ symbol }, strategy.halt ? 1 : 0);
+            gauges.buysPaused.set({ symbol }, strategy.buyPause ? 1 : 0);
+        }
+    }
+
+    render() {
+        this.collect();
+
+        const families = [this.orders, this.apiLatency, this.apiErrors, this.wsReconnects, this.wsLag, ...Object.values(this.gauges)];
+        return `${families.map(family => family.render()).join('\n')}\n`;
+    }
+
+    start(port, host, logger = console) {
+        this.server = http.createServer((req, res) => {
+            if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found: use GET /metrics\n');
+                return;
+            }
+
+            try {
+                const body = this.render();
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(body);
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end(`${error.message}\n`);
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                logger.log(`📈 Metrics on http://${host}:${this.server.address().port}/metrics`);
+                resolve();
+            });
+        });
+    }
+
+    close() {
+        this.server?.close();
+    }
+}
+
+module.exports = BotMetrics;
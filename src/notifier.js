@@ -0,0 +1,222 @@
+const axios = require('axios');
+
+// NOTIFY_EVENTS names
+const EVENTS = [
+    'cycle', // a cycle completed, with its profit
+    'dca_level', // a DCA buy filled at or below NOTIFY_DCA_MIN_LEVEL
+    'anomaly', // reconciliation found missed fills, cancellations or orphaned orders
+    'limit', // risk limit pauses, halts, circuit breaker trips
+    'lifecycle', // startup and shutdown
+    'errors' // the same error NOTIFY_ERROR_REPEAT times within the de-duplication window
+];
+
+// Rare and important: never dropped by the rate limit
+const UNTHROTTLED = new Set(['limit', 'lifecycle']);
+
+const MINUTE_MS = 60000;
+
+// Numbers (order ids, prices, sizes) don't make two messages different
+const normalize = text => text.replace(/\d+(\.\d+)?/g, '#');
+
+// POSTs { event, symbol, text, message, ts } as JSON; `message` has the symbol and repeat counts
+class WebhookSink {
+    constructor(url, timeoutMs) {
+        this.name = 'webhook';
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+    }
+
+    send({ event, symbol, text, message, ts }) {
+        return axios.post(this.url, { event, symbol, text, message, ts: new Date(ts).toISOString() }, { timeout: this.timeoutMs });
+    }
+}
+
+// Telegram Bot API sendMessage; `apiUrl` can point at a local stand-in
+class TelegramSink {
+    constructor(botToken, chatId, apiUrl, timeoutMs) {
+        this.name = 'telegram';
+        this.url = `${apiUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`;
+        this.chatId = chatId;
+        this.timeoutMs = timeoutMs;
+    }
+
+    send({ message }) {
+        return axios.post(this.url, {
+            chat_id: this.chatId,
+            text: message.slice(0, 4096),
+            disable_web_page_preview: true
+        }, { timeout: this.timeoutMs });
+    }
+}
+
+class DiscordSink {
+    constructor(webhookUrl, timeoutMs) {
+        this.name = 'discord';
+        this.url = webhookUrl;
+        this.timeoutMs = timeoutMs;
+    }
+
+    send({ message }) {
+        return axios.post(this.url, { content: message.slice(0, 2000) }, { timeout: this.timeoutMs });
+    }
+}
+
+// Sends bot events to every sink. The same message (numbers ignored) goes out once per
+// de-duplication window, with a count of the repeats the next time; at most `maxPerMinute`
+// notifications go out per minute (halts and startup/shutdown always do) and the dropped
+// ones are counted in the next one.
+// Sink failures are logged, never thrown: notifications can't break trading.
+class Notifier {
+    constructor({ sinks = [], events = EVENTS, dedupeMs = 10 * MINUTE_MS, maxPerMinute = 20, errorRepeat = 3, logger = console }) {
+        this.sinks = sinks;
+        this.events = new Set(events);
+        this.dedupeMs = dedupeMs;
+        this.maxPerMinute = maxPerMinute;
+        this.errorRepeat = errorRepeat;
+        this.logger = logger;
+
+        this.sent = new Map(); // key -> { at, repeats }
+        this.sendTimes = [];
+        this.dropped = 0;
+        this.errorTimes = new Map();
+        this.pending = new Set();
+    }
+
+    // null when no sink is configured
+    static fromConfig(config, logger = console) {
+        const timeoutMs = config.NOTIFY_TIMEOUT_MS;
+        const sinks = [];
+
+        if (config.NOTIFY_WEBHOOK_URL) {
+            sinks.push(new WebhookSink(config.NOTIFY_WEBHOOK_URL, timeoutMs));
+        }
+        if (config.TELEGRAM_BOT_TOKEN || config.TELEGRAM_CHAT_ID) {
+            if (!config.TELEGRAM_BOT_TOKEN || !config.TELEGRAM_CHAT_ID) {
+                throw new Error('Telegram notifications need both TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+            }
+            sinks.push(new TelegramSink(config.TELEGRAM_BOT_TOKEN, config.TELEGRAM_CHAT_ID, config.TELEGRAM_API_URL, timeoutMs));
+        }
+        if (config.DISCORD_WEBHOOK_URL) {
+            sinks.push(new DiscordSink(config.DISCORD_WEBHOOK_URL, timeoutMs));
+        }
+        if (sinks.length === 0) return null;
+
+        const events = config.NOTIFY_EVENTS.split(',').map(event => event.trim()).filter(Boolean);
+        for (const event of events) {
+            if (!EVENTS.includes(event)) {
+                throw new Error(`Unknown notification event "${event}": use ${EVENTS.join(', ')}`);
+            }
+        }
+
+        return new Notifier({
+            sinks,
+            events,
+            dedupeMs: config.NOTIFY_DEDUPE_MINUTES * MINUTE_MS,
+            maxPerMinute: config.NOTIFY_MAX_PER_MINUTE,
+            errorRepeat: config.NOTIFY_ERROR_REPEAT,
+            logger
+        });
+    }
+
+    describe() {
+        return `${this.sinks.map(sink => sink.name).join(', ')} (${Array.from(this.events).join(', ')})`;
+    }
+
+    // Resolves once every sink has answered; a suppressed notification resolves right away.
+    // `key` replaces the text as what makes a message a repeat of another.
+    notify(event, text, { symbol = null, key = normalize(text) } = {}) {
+        if (!this.events.has(event)) return Promise.resolve();
+
+        const now = Date.now();
+        key = `${event}|${symbol}|${key}`;
+        const previous = this.sent.get(key);
+        if (previous && now - previous.at < this.dedupeMs) {
+            previous.repeats++;
+            return Promise.resolve();
+        }
+
+        while (this.sendTimes.length > 0 && this.sendTimes[0] <= now - MINUTE_MS) {
+            this.sendTimes.shift();
+        }
+        if (this.maxPerMinute > 0 && this.sendTimes.length >= this.maxPerMinute && !UNTHROTTLED.has(event)) {
+            this.dropped++;
+            return Promise.resolve();
+        }
+        this.sendTimes.push(now);
+        this.forgetOld(this.sent, entry => now - entry.at >= this.dedupeMs);
+        this.sent.set(key, { at: now, repeats: 0 });
+
+        const notes = [];
+        if (previous?.repeats > 0) {
+            notes.push(`repeated ${previous.repeats} more times since ${new Date(previous.at).toISOString()}`);
+        }
+        if (this.dropped > 0) {
+            notes.push(`${this.dropped} notifications dropped by the rate limit`);
+            this.dropped = 0;
+        }
+
+        const message = `${symbol ? `[${symbol}] ` : ''}${text}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+        return this.send({ event, symbol, text, message, ts: now });
+    }
+
+    // Errors are only worth a notification when they keep coming
+    recordError(text) {
+        if (!this.events.has('errors')) return;
+
+        const now = Date.now();
+        const key = normalize(text);
+        const times = (this.errorTimes.get(key) || []).filter(ts => ts > now - this.dedupeMs);
+        times.push(now);
+        this.forgetOld(this.errorTimes, entries => entries[entries.length - 1] <= now - this.dedupeMs);
+        this.errorTimes.set(key, times);
+
+        if (times.length >= this.errorRepeat) {
+            this.notify('errors', `❗ Repeated error (${times.length}x in ${this.dedupeMs / MINUTE_MS} min): ${text}`);
+        }
+    }
+
+    forgetOld(map, isOld) {
+        for (const [key, value] of map) {
+            if (isOld(value)) map.delete(key);
+        }
+    }
+
+    // Straight to every sink, no filtering
+    send(notification) {
+        const sending = Promise.all(this.sinks.map(sink => sink.send(notification).catch(error => {
+            const status = error.response ? ` (HTTP ${error.response.status})` : '';
+            this.logger.warn(`⚠️ ${sink.name} notification failed${status}: ${error.message}`);
+        })));
+
+        this.pending.add(sending);
+        sending.then(() => this.pending.delete(sending));
+        return sending;
+    }
+
+    // Wait for the notifications still being sent, e.g. before exiting
+    async flush() {
+        await Promise.all(this.pending);
+    }
+}
+
+Notifier.EVENTS = EVENTS;
+Notifier.WebhookSink = WebhookSink;
+Notifier.TelegramSink = TelegramSink;
+Notifier.DiscordSink = DiscordSink;
+
+module.exports = Notifier;
+
+// Send a test message to the configured sinks
+if (require.main === module) {
+    const { CONFIG } = require('./config');
+    const notifier = Notifier.fromConfig(CONFIG);
+
+    if (!notifier) {
+        console.log('No notification sink configured: set NOTIFY_WEBHOOK_URL, TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID, or DISCORD_WEBHOOK_URL');
+        process.exit(1);
+    }
+
+    const text = process.argv.slice(2).join(' ') || '🔔 Test notification from the OKX grid bot';
+    console.log(`Sending to ${notifier.describe()}...`);
+    notifier.send({ event: 'test', symbol: null, text, message: text, ts: Date.now() }).then(() => console.log('Done'));
+}
@@ -0,0 +1,9 @@
+// OKX replies about the order itself rather than the request: a retry gets the same answer,
+// so they go straight back to the caller instead of being retried or logged as errors
+const ORDER_STATE_CODES = new Set([
+    '51400', // Cancellation failed as the order has been filled, canceled or does not exist
+    '51401', // Cancellation failed as the order has already been canceled
+    '51603' // Order does not exist
+]);
+
+module.exports = { ORDER_STATE_CODES };
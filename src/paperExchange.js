@@ -0,0 +1,630 @@
+const EventEmitter = require('events');
+const StateStore = require('./stateStore');
+
+// In-process simulated OKX spot exchange for paper trading.
+// Speaks the same REST response format as OKX and emits `orders`, `algo-advance` and `account` channel messages.
+class PaperExchange extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.instruments = new Map();
+        for (const instrument of options.instruments || []) {
+            this.instruments.set(instrument.instId, instrument);
+        }
+
+        this.makerFeeRate = (options.makerFeePercent || 0) / 100;
+        this.takerFeeRate = (options.takerFeePercent || 0) / 100;
+        // Largest share of an order's size that can fill on a single price update
+        this.partialFillRatio = Math.min(1, (options.partialFillPercent || 100) / 100);
+        this.stateStore = options.stateFile ? new StateStore(options.stateFile) : null;
+        this.now = options.now || (() => Date.now());
+        // Deliver asynchronously by default, like a socket push arriving after the REST reply
+        this.dispatch = options.dispatch || (message => setImmediate(() => this.emit('message', message)));
+
+        this.balances = new Map(Object.entries(options.balances || {}).map(([ccy, amount]) => [ccy, {
+            available: amount,
+            frozen: 0
+        }]));
+        this.orders = new Map();
+        // Recently closed orders, for single-order lookups
+        this.closedOrders = new Map();
+        // Trailing stop algo orders: live ones, and recently triggered or cancelled ones
+        this.algoOrders = new Map();
+        this.closedAlgoOrders = new Map();
+        this.fills = [];
+        this.lastPrices = new Map();
+        this.nextId = 1;
+
+        this.loadState();
+    }
+
+    // Persistence (so a restarted bot finds its paper orders again)
+    loadState() {
+        const saved = this.stateStore?.load();
+        if (!saved) return;
+
+        this.balances = new Map(saved.balances.map(b => [b.ccy, { available: b.available, frozen: b.frozen }]));
+        this.orders = new Map(saved.orders.map(o => [o.ordId, o]));
+        this.algoOrders = new Map((saved.algoOrders || []).map(a => [a.algoId, a]));
+        this.closedOrders = new Map((saved.closedOrders || []).map(o => [o.ordId, o]));
+        this.closedAlgoOrders = new Map((saved.closedAlgoOrders || []).map(a => [a.algoId, a]));
+        this.fills = saved.fills || [];
+        this.nextId = saved.nextId || 1;
+    }
+
+    saveState() {
+        if (!this.stateStore) return;
+
+        this.stateStore.save({
+            balances: Array.from(this.balances, ([ccy, b]) => ({ ccy, ...b })),
+            orders: Array.from(this.orders.values()),
+            algoOrders: Array.from(this.algoOrders.values()),
+            // Order lookups after a restart still find the recently filled and cancelled ones
+            closedOrders: Array.from(this.closedOrders.values()),
+            closedAlgoOrders: Array.from(this.closedAlgoOrders.values()),
+            fills: this.fills.slice(-500),
+            nextId: this.nextId
+        });
+    }
+
+    // REST emulation
+    async request(method, endpoint, body = null) {
+        const [path, queryString = ''] = endpoint.split('?');
+        const query = Object.fromEntries(new URLSearchParams(queryString));
+
+        try {
+            const route = `${method} ${path}`;
+            switch (route) {
+                case 'POST /api/v5/trade/order':
+                    return this.ok([this.placeOrder(body)]);
+                case 'POST /api/v5/trade/cancel-order':
+                    return this.ok([this.cancelOrder(body)]);
+                case 'POST /api/v5/trade/amend-order':
+                    return this.ok([this.amendOrder(body)]);
+                case 'POST /api/v5/trade/order-algo':
+                    return this.ok([this.placeAlgoOrder(body)]);
+                case 'POST /api/v5/trade/cancel-algos':
+                    return this.ok(body.map(cancelData => this.cancelAlgoOrder(cancelData)));
+                case 'GET /api/v5/trade/order':
+                    return this.getOrder(query.ordId, query.clOrdId);
+                case 'GET /api/v5/trade/order-algo':
+                    return this.getAlgoOrder(query.algoId);
+                case 'GET /api/v5/trade/orders-algo-pending':
+                    return this.ok(this.getOpenAlgoOrders(query.instId, query.ordType));
+                case 'GET /api/v5/trade/orders-pending':
+                    return this.ok(this.getOpenOrders(query.instId));
+                case 'GET /api/v5/trade/fills':
+                case 'GET /api/v5/trade/fills-history':
+                    return this.ok(this.getFills(query));
+                case 'GET /api/v5/account/balance':
+                    return this.ok([this.getBalance()]);
+                case 'GET /api/v5/account/trade-fee':
+                    return this.ok([this.getTradeFee(query.instType, query.instId)]);
+                case 'GET /api/v5/public/instruments':
+                    return this.ok(this.instruments.has(query.instId) ? [this.instruments.get(query.instId)] : []);
+                case 'GET /api/v5/market/ticker':
+                    return this.ok(this.lastPrices.has(query.instId)
+                        ? [{ instId: query.instId, last: this.lastPrices.get(query.instId).toString(), ts: this.now().toString() }]
+                        : []);
+                default:
+                    return { code: '50000', msg: `Paper exchange does not support ${route}`, data: [] };
+            }
+        } catch (error) {
+            return { code: '1', msg: error.message, data: [] };
+        }
+    }
+
+    ok(data) {
+        return { code: '0', msg: '', data };
+    }
+
+    // Order entry
+    placeOrder(orderData) {
+        const instId = orderData.instId;
+        const [baseCcy, quoteCcy] = instId.split('-');
+        // Market orders (sized in base) are priced at the last price
+        const px = orderData.ordType === 'market' ? this.lastPrices.get(instId) : parseFloat(orderData.px);
+        const sz = parseFloat(orderData.sz);
+
+        if (!(px > 0) || !(sz > 0)) {
+            return this.orderResult('', orderData.clOrdId, '51000', 'Parameter px or sz error');
+        }
+
+        // Freeze funds the same way OKX does for spot limit orders
+        const freezeCcy = orderData.side === 'buy' ? quoteCcy : baseCcy;
+        const freezeAmount = orderData.side === 'buy' ? px * sz : sz;
+        const balance = this.getCurrencyBalance(freezeCcy);
+
+        if (balance.available + 1e-12 < freezeAmount) {
+            return this.orderResult('', orderData.clOrdId, '51008', `Order failed. Insufficient ${freezeCcy} balance`);
+        }
+
+        balance.available -= freezeAmount;
+        balance.frozen += freezeAmount;
+
+        const now = this.now().toString();
+        const order = {
+            instId,
+            instType: 'SPOT',
+            ordId: `paper${this.nextId++}`,
+            clOrdId: orderData.clOrdId || '',
+            side: orderData.side,
+            ordType: orderData.ordType,
+            px: orderData.px || '',
+            sz: orderData.sz,
+            state: 'live',
+            accFillSz: '0',
+            avgPx: '',
+            fillPx: '',
+            fillSz: '0',
+            fee: '0',
+            feeCcy: orderData.side === 'buy' ? baseCcy : quoteCcy,
+            frozen: freezeAmount,
+            cTime: now,
+            uTime: now
+        };
+
+        this.orders.set(order.ordId, order);
+        this.saveState();
+        this.emitOrderUpdate(order);
+        this.emitAccountUpdate(freezeCcy);
+
+        // Marketable limit orders take liquidity right away; post-only ones are cancelled instead
+        const lastPrice = this.lastPrices.get(instId);
+        if (lastPrice !== undefined && this.isMarketable(order, lastPrice)) {
+            if (order.ordType === 'post_only') {
+                this.closeOrder(order, 'canceled', '31');
+            } else {
+                this.fillOrder(order, lastPrice, false);
+            }
+        }
+
+        return this.orderResult(order.ordId, order.clOrdId, '0', 'Order placed');
+    }
+
+    cancelOrder(cancelData) {
+        const order = this.orders.get(cancelData.ordId);
+
+        if (!order || !this.isOpen(order)) {
+            return this.orderResult(cancelData.ordId, cancelData.clOrdId || '', '51400', 'Order cancellation failed as the order has been filled, canceled or does not exist');
+        }
+
+        this.closeOrder(order, 'canceled');
+        return this.orderResult(order.ordId, order.clOrdId, '0', '');
+    }
+
+    // `cancelSource` 31: a post-only order that would have taken liquidity
+    closeOrder(order, state, cancelSource = '') {
+        this.releaseFrozen(order);
+        order.state = state;
+        order.cancelSource = cancelSource;
+        order.fillSz = '0';
+        order.fillPx = '';
+        order.uTime = this.now().toString();
+
+        this.orders.delete(order.ordId);
+        this.rememberClosed(order);
+        this.saveState();
+        this.emitOrderUpdate(order);
+        this.emitAccountUpdate(order.side === 'buy' ? order.instId.split('-')[1] : order.instId.split('-')[0]);
+    }
+
+    rememberClosed(order) {
+        this.closedOrders.set(order.ordId, order);
+        if (this.closedOrders.size > 500) {
+            this.closedOrders.delete(this.closedOrders.keys().next().value);
+        }
+    }
+
+    // Price amendments only; the order keeps its ID and fill progress
+    amendOrder(amendData) {
+        const order = this.orders.get(amendData.ordId);
+
+        if (!order || !this.isOpen(order)) {
+            const closed = this.closedOrders.get(amendData.ordId);
+            return closed?.state === 'filled'
+                ? this.orderResult(amendData.ordId, amendData.clOrdId, '51510', 'Modification failed as the order has been completed')
+                : this.orderResult(amendData.ordId, amendData.clOrdId, '51509', 'Modification failed as the order has been canceled');
+        }
+
+        const newPx = parseFloat(amendData.newPx);
+        if (!(newPx > 0)) {
+            return this.orderResult(order.ordId, order.clOrdId, '51000', 'Parameter newPx error');
+        }
+
+        const lastPrice = this.lastPrices.get(order.instId);
+        const wouldTake = lastPrice !== undefined && (order.side === 'buy' ? lastPrice <= newPx : lastPrice >= newPx);
+        if (order.ordType === 'post_only' && wouldTake) {
+            return this.orderResult(order.ordId, order.clOrdId, '51000', 'Post-only order would take liquidity');
+        }
+
+        // Re-freeze the remaining quote for buys at the new price
+        if (order.side === 'buy') {
+            const newFrozen = newPx * (parseFloat(order.sz) - parseFloat(order.accFillSz));
+            const balance = this.getCurrencyBalance(order.instId.split('-')[1]);
+            if (balance.available + order.frozen + 1e-12 < newFrozen) {
+                return this.orderResult(order.ordId, order.clOrdId, '51008', 'Order failed. Insufficient balance');
+            }
+            this.releaseFrozen(order);
+            balance.available -= newFrozen;
+            balance.frozen += newFrozen;
+            order.frozen = newFrozen;
+        }
+
+        order.px = amendData.newPx;
+        order.amendResult = '0';
+        order.fillSz = '0';
+        order.fillPx = '';
+        order.uTime = this.now().toString();
+        this.saveState();
+        this.emitOrderUpdate(order);
+
+        if (wouldTake) {
+            this.fillOrder(order, lastPrice, false);
+        }
+
+        return { ...this.orderResult(order.ordId, order.clOrdId, '0', ''), reqId: amendData.reqId || '' };
+    }
+
+    orderResult(ordId, clOrdId, sCode, sMsg) {
+        return { ordId, clOrdId: clOrdId || '', sCode, sMsg };
+    }
+
+    // Trailing stops (`move_order_stop`) only. Once the price reaches `activePx` (right away
+    // without one) the trigger follows the highest price and sells at market after a
+    // `callbackRatio` pullback. The base is frozen until then.
+    placeAlgoOrder(algoData) {
+        if (algoData.ordType !== 'move_order_stop' || algoData.side !== 'sell') {
+            return this.algoResult('', algoData.algoClOrdId, '51000', `Paper exchange does not support ${algoData.side} ${algoData.ordType} algo orders`);
+        }
+
+        const instId = algoData.instId;
+        const sz = parseFloat(algoData.sz);
+        if (!(sz > 0) || !(parseFloat(algoData.callbackRatio) > 0)) {
+            return this.algoResult('', algoData.algoClOrdId, '51000', 'Parameter sz or callbackRatio error');
+        }
+
+        const baseCcy = instId.split('-')[0];
+        const balance = this.getCurrencyBalance(baseCcy);
+        if (balance.available + 1e-12 < sz) {
+            return this.algoResult('', algoData.algoClOrdId, '51008', `Order failed. Insufficient ${baseCcy} balance`);
+        }
+
+        balance.available -= sz;
+        balance.frozen += sz;
+
+        const now = this.now().toString();
+        const algo = {
+            instId,
+            instType: 'SPOT',
+            algoId: `paperalgo${this.nextId++}`,
+            algoClOrdId: algoData.algoClOrdId || '',
+            side: 'sell',
+            ordType: 'move_order_stop',
+            sz: algoData.sz,
+            callbackRatio: algoData.callbackRatio,
+            activePx: algoData.activePx || '',
+            moveTriggerPx: '',
+            highPx: null,
+            state: 'live',
+            ordId: '',
+            frozen: sz,
+            cTime: now,
+            uTime: now
+        };
+
+        this.algoOrders.set(algo.algoId, algo);
+        this.saveState();
+        this.emitAlgoUpdate(algo);
+        this.emitAccountUpdate(baseCcy);
+
+        const lastPrice = this.lastPrices.get(instId);
+        if (lastPrice !== undefined) {
+            this.trackAlgoOrder(algo, lastPrice);
+        }
+
+        return this.algoResult(algo.algoId, algo.algoClOrdId, '0', '');
+    }
+
+    cancelAlgoOrder(cancelData) {
+        const algo = this.algoOrders.get(cancelData.algoId);
+
+        if (!algo) {
+            return this.algoResult(cancelData.algoId, '', '51000', 'Algo order does not exist or is no longer live');
+        }
+
+        this.releaseFrozen(algo);
+        algo.state = 'canceled';
+        algo.uTime = this.now().toString();
+        this.closeAlgoOrder(algo);
+        this.emitAccountUpdate(algo.instId.split('-')[0]);
+        return this.algoResult(algo.algoId, algo.algoClOrdId, '0', '');
+    }
+
+    trackAlgoOrder(algo, price) {
+        if (algo.highPx === null) {
+            if (parseFloat(algo.activePx) > price) return;
+            algo.highPx = price;
+        }
+
+        algo.highPx = Math.max(algo.highPx, price);
+        algo.moveTriggerPx = (algo.highPx * (1 - parseFloat(algo.callbackRatio))).toString();
+
+        if (price <= parseFloat(algo.moveTriggerPx)) {
+            this.triggerAlgoOrder(algo, price);
+        }
+    }
+
+    // The algo's frozen base moves to the market sell it places
+    triggerAlgoOrder(algo, price) {
+        const now = this.now().toString();
+        const order = {
+            instId: algo.instId,
+            instType: 'SPOT',
+            ordId: `paper${this.nextId++}`,
+            clOrdId: '',
+            algoId: algo.algoId,
+            algoClOrdId: algo.algoClOrdId,
+            side: 'sell',
+            ordType: 'market',
+            px: '',
+            sz: algo.sz,
+            state: 'live',
+            accFillSz: '0',
+            avgPx: '',
+            fillPx: '',
+            fillSz: '0',
+            fee: '0',
+            feeCcy: algo.instId.split('-')[1],
+            frozen: algo.frozen,
+            cTime: now,
+            uTime: now
+        };
+
+        algo.frozen = 0;
+        algo.state = 'effective';
+        algo.ordId = order.ordId;
+        algo.uTime = now;
+        this.orders.set(order.ordId, order);
+        this.closeAlgoOrder(algo);
+        this.emitOrderUpdate(order);
+        this.fillOrder(order, price, false);
+    }
+
+    closeAlgoOrder(algo) {
+        this.algoOrders.delete(algo.algoId);
+        this.closedAlgoOrders.set(algo.algoId, algo);
+        if (this.closedAlgoOrders.size > 500) {
+            this.closedAlgoOrders.delete(this.closedAlgoOrders.keys().next().value);
+        }
+        this.saveState();
+        this.emitAlgoUpdate(algo);
+    }
+
+    algoResult(algoId, algoClOrdId, sCode, sMsg) {
+        return { algoId, clOrdId: '', algoClOrdId: algoClOrdId || '', sCode, sMsg };
+    }
+
+    // Matching against the ticker stream
+    onTicker(instId, price) {
+        this.lastPrices.set(instId, price);
+
+        for (const order of Array.from(this.orders.values())) {
+            if (order.instId === instId && this.isOpen(order) && this.isMarketable(order, price)) {
+                // Resting orders fill at their own limit price as maker, market orders at the price as taker
+                if (order.ordType === 'market') {
+                    this.fillOrder(order, price, false);
+                } else {
+                    this.fillOrder(order, parseFloat(order.px), true);
+                }
+            }
+        }
+
+        for (const algo of Array.from(this.algoOrders.values())) {
+            if (algo.instId === instId) {
+                this.trackAlgoOrder(algo, price);
+            }
+        }
+    }
+
+    isMarketable(order, price) {
+        if (order.ordType === 'market') return true;
+
+        const px = parseFloat(order.px);
+        return order.side === 'buy' ? price <= px : price >= px;
+    }
+
+    isOpen(order) {
+        return order.state === 'live' || order.state === 'partially_filled';
+    }
+
+    fillOrder(order, fillPrice, isMaker) {
+        const [baseCcy, quoteCcy] = order.instId.split('-');
+        const orderSize = parseFloat(order.sz);
+        const accFillSize = parseFloat(order.accFillSz);
+        const remaining = orderSize - accFillSize;
+        const fillSize = Math.min(remaining, orderSize * this.partialFillRatio);
+        const isComplete = remaining - fillSize <= 1e-12;
+        const feeRate = isMaker ? this.makerFeeRate : this.takerFeeRate;
+        const base = this.getCurrencyBalance(baseCcy);
+        const quote = this.getCurrencyBalance(quoteCcy);
+        let fee;
+
+        // Release the part of the frozen funds this fill consumes
+        const released = isComplete
+            ? order.frozen
+            : (order.side === 'buy' ? parseFloat(order.px) * fillSize : fillSize);
+        this.releaseFrozen(order, released);
+
+        if (order.side === 'buy') {
+            // Spot buy fees are charged in the base currency
+            fee = fillSize * feeRate;
+            quote.available -= fillPrice * fillSize;
+            base.available += fillSize - fee;
+        } else {
+            fee = fillPrice * fillSize * feeRate;
+            base.available -= fillSize;
+            quote.available += fillPrice * fillSize - fee;
+        }
+
+        const now = this.now().toString();
+        const tradeId = `${this.nextId++}`;
+        const newAccFillSize = isComplete ? orderSize : accFillSize + fillSize;
+        const avgPrice = accFillSize > 0
+            ? (parseFloat(order.avgPx) * accFillSize + fillPrice * fillSize) / newAccFillSize
+            : fillPrice;
+
+        order.state = isComplete ? 'filled' : 'partially_filled';
+        order.fillPx = fillPrice.toString();
+        order.fillSz = fillSize.toString();
+        order.accFillSz = isComplete ? order.sz : newAccFillSize.toString();
+        order.avgPx = avgPrice.toString();
+        order.fillFee = (-fee).toString();
+        order.fee = (parseFloat(order.fee) - fee).toString();
+        order.tradeId = tradeId;
+        order.execType = isMaker ? 'M' : 'T';
+        order.fillTime = now;
+        order.uTime = now;
+
+        this.fills.push({
+            instType: 'SPOT',
+            instId: order.instId,
+            tradeId,
+            ordId: order.ordId,
+            clOrdId: order.clOrdId,
+            billId: tradeId,
+            side: order.side,
+            fillPx: order.fillPx,
+            fillSz: order.fillSz,
+            fee: (-fee).toString(),
+            feeCcy: order.feeCcy,
+            execType: order.execType,
+            ts: now
+        });
+
+        if (isComplete) {
+            this.orders.delete(order.ordId);
+            this.rememberClosed(order);
+        }
+        this.saveState();
+        this.emitOrderUpdate(order);
+        this.emitAccountUpdate(baseCcy, quoteCcy);
+    }
+
+    releaseFrozen(order, amount = order.frozen) {
+        const [baseCcy, quoteCcy] = order.instId.split('-');
+        const balance = this.getCurrencyBalance(order.side === 'buy' ? quoteCcy : baseCcy);
+
+        balance.available += amount;
+        balance.frozen -= amount;
+        order.frozen -= amount;
+    }
+
+    // Queries
+    getOrder(ordId, clOrdId) {
+        const known = [...this.orders.values(), ...this.closedOrders.values()];
+        const order = known.find(o => (ordId && o.ordId === ordId) || (!ordId && clOrdId && o.clOrdId === clOrdId));
+
+        return order
+            ? this.ok([this.toOrderMessage(order)])
+            : { code: '51603', msg: 'Order does not exist', data: [] };
+    }
+
+    getAlgoOrder(algoId) {
+        const algo = this.algoOrders.get(algoId) || this.closedAlgoOrders.get(algoId);
+
+        return algo
+            ? this.ok([this.toAlgoMessage(algo)])
+            : { code: '51603', msg: 'Order does not exist', data: [] };
+    }
+
+    getOpenAlgoOrders(instId, ordType) {
+        return Array.from(this.algoOrders.values())
+            .filter(algo => (!instId || algo.instId === instId) && (!ordType || algo.ordType === ordType))
+            .map(algo => this.toAlgoMessage(algo));
+    }
+
+    getOpenOrders(instId) {
+        return Array.from(this.orders.values())
+            .filter(order => this.isOpen(order) && (!instId || order.instId === instId))
+            .map(order => this.toOrderMessage(order));
+    }
+
+    // Newest first; `begin`/`end` filter on the fill time, `after` pages back from a bill ID
+    getFills({ instId, begin, end, after, limit }) {
+        return this.fills
+            .filter(fill => (!instId || fill.instId === instId)
+                && (!begin || parseInt(fill.ts) >= parseInt(begin))
+                && (!end || parseInt(fill.ts) <= parseInt(end))
+                && (!after || parseInt(fill.billId) < parseInt(after)))
+            .reverse()
+            .slice(0, Math.min(parseInt(limit) || 100, 100));
+    }
+
+    getCurrencyBalance(ccy) {
+        if (!this.balances.has(ccy)) {
+            this.balances.set(ccy, { available: 0, frozen: 0 });
+        }
+        return this.balances.get(ccy);
+    }
+
+    // Charged fees are negative rates, like OKX
+    getTradeFee(instType, instId) {
+        return {
+            instType: instType || 'SPOT',
+            instId: instId || '',
+            level: 'Lv1',
+            maker: (-this.makerFeeRate).toString(),
+            taker: (-this.takerFeeRate).toString(),
+            ts: this.now().toString()
+        };
+    }
+
+    getBalance(currencies = Array.from(this.balances.keys())) {
+        return {
+            uTime: this.now().toString(),
+            details: currencies.map(ccy => [ccy, this.getCurrencyBalance(ccy)]).map(([ccy, b]) => ({
+                ccy,
+                availBal: b.available.toString(),
+                frozenBal: b.frozen.toString(),
+                cashBal: (b.available + b.frozen).toString(),
+                eq: (b.available + b.frozen).toString()
+            }))
+        };
+    }
+
+    // Private channel emulation
+    toOrderMessage(order) {
+        const { frozen, ...message } = order;
+        return { ...message };
+    }
+
+    toAlgoMessage(algo) {
+        const { frozen, highPx, ...message } = algo;
+        return { ...message };
+    }
+
+    emitAlgoUpdate(algo) {
+        this.dispatch({
+            arg: { channel: 'algo-advance', instType: 'SPOT' },
+            data: [this.toAlgoMessage(algo)]
+        });
+    }
+
+    emitOrderUpdate(order) {
+        this.dispatch({
+            arg: { channel: 'orders', instType: 'SPOT' },
+            data: [this.toOrderMessage(order)]
+        });
+    }
+
+    // Like OKX's `account` channel, only the currencies that changed are pushed
+    emitAccountUpdate(...currencies) {
+        this.dispatch({
+            arg: { channel: 'account' },
+            data: [this.getBalance(currencies)]
+        });
+    }
+}
+
+module.exports = PaperExchange;
@@ -0,0 +1,39 @@
+// Shared cap on quote currency committed across all strategy instances
+// (inventory held at cost plus open buy orders)
+class QuoteBudget {
+    constructor(limit) {
+        this.limit = limit;
+        this.strategies = new Set();
+    }
+
+    register(strategy) {
+        this.strategies.add(strategy);
+    }
+
+    isLimited() {
+        return this.limit > 0;
+    }
+
+    getCommitted() {
+        let committed = 0;
+        for (const strategy of this.strategies) {
+            committed += strategy.getCommittedQuote();
+        }
+        return committed;
+    }
+
+    canAllocate(amount) {
+        return !this.isLimited() || this.getCommitted() + amount <= this.limit + 1e-9;
+    }
+
+    // A sell filled somewhere: give the other strategies that were held back a chance to buy again
+    async release(source = null) {
+        for (const strategy of this.strategies) {
+            if (strategy !== source) {
+                await strategy.resumeBuying();
+            }
+        }
+    }
+}
+
+module.exports = QuoteBudget;
@@ -0,0 +1,203 @@
+const { systemClock } = require('./clock');
+
+// OKX v5 REST limits (requests per 2 s window). Order endpoints are counted per instrument,
+// batch endpoints per order in the batch.
+const WINDOW_MS = 2000;
+const ENDPOINT_LIMITS = {
+    'POST /api/v5/trade/order': { limit: 60, perInstrument: true, priority: 'high' },
+    'POST /api/v5/trade/cancel-order': { limit: 60, perInstrument: true, priority: 'high' },
+    'POST /api/v5/trade/amend-order': { limit: 60, perInstrument: true, priority: 'high' },
+    'POST /api/v5/trade/batch-orders': { limit: 300, perInstrument: true, perOrder: true, priority: 'high' },
+    'POST /api/v5/trade/cancel-batch-orders': { limit: 300, perInstrument: true, perOrder: true, priority: 'high' },
+    'POST /api/v5/trade/amend-batch-orders': { limit: 300, perInstrument: true, perOrder: true, priority: 'high' },
+    'POST /api/v5/trade/order-algo': { limit: 20, priority: 'high' },
+    'POST /api/v5/trade/cancel-algos': { limit: 20, priority: 'high' },
+    'POST /api/v5/trade/amend-algos': { limit: 20, priority: 'high' },
+    'GET /api/v5/trade/order': { limit: 60, perInstrument: true, priority: 'normal' },
+    'GET /api/v5/trade/order-algo': { limit: 20, priority: 'normal' },
+    'GET /api/v5/trade/orders-algo-pending': { limit: 20, priority: 'normal' },
+    'GET /api/v5/trade/orders-pending': { limit: 60, priority: 'normal' },
+    'GET /api/v5/trade/fills': { limit: 60, priority: 'normal' },
+    'GET /api/v5/trade/fills-history': { limit: 10, priority: 'normal' },
+    'GET /api/v5/account/balance': { limit: 10, priority: 'normal' },
+    'GET /api/v5/account/trade-fee': { limit: 5, priority: 'low' },
+    'GET /api/v5/public/instruments': { limit: 20, priority: 'low' },
+    'GET /api/v5/market/ticker': { limit: 20, priority: 'low' },
+    'GET /api/v5/market/books': { limit: 40, priority: 'low' }
+};
+const DEFAULT_LIMIT = { limit: 10, priority: 'normal' };
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+// How long to stay off an endpoint after a limit error, doubled on each consecutive hit
+const BACKOFF_BY_CODE = {
+    '429': WINDOW_MS, // HTTP Too Many Requests
+    '50011': WINDOW_MS, // Rate limit reached
+    '50061': WINDOW_MS, // Sub-account order rate limit reached
+    '50013': 1000 // System busy
+};
+const MAX_BACKOFF_MS = 30000;
+
+class TokenBucket {
+    constructor(capacity, windowMs, now) {
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.refillPerMs = capacity / windowMs;
+        this.updatedAt = now;
+        this.blockedUntil = 0;
+        this.consecutiveLimitHits = 0;
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    take(now, cost = 1) {
+        this.refill(now);
+        if (now < this.blockedUntil || this.tokens < cost) return false;
+
+        this.tokens -= cost;
+        return true;
+    }
+
+    msUntilAvailable(now, cost = 1) {
+        this.refill(now);
+        const refillWait = this.tokens >= cost ? 0 : (cost - this.tokens) / this.refillPerMs;
+        return Math.max(refillWait, this.blockedUntil - now, 0);
+    }
+}
+
+// Token-bucket limiter in front of apiRequest(). Each request needs a token from its endpoint's
+// bucket and one of `maxInFlight` request slots shared by all endpoints, held until release().
+// Free slots go by priority: order entry first, then account/order queries, then market data
+// and reference lookups. The last slot is kept for order entry, so an order never waits behind
+// a full house of lower-value calls. Buckets that are out of tokens don't hold each other up.
+class RateLimiter {
+    constructor({ utilization = 1, maxInFlight = Infinity, clock = systemClock, logger = null } = {}) {
+        this.utilization = utilization;
+        this.maxInFlight = maxInFlight;
+        this.inFlight = 0;
+        this.clock = clock;
+        this.logger = logger;
+        this.buckets = new Map();
+        this.waiting = [];
+        this.nextSequence = 0;
+        this.timer = null;
+    }
+
+    getRule(method, path) {
+        return ENDPOINT_LIMITS[`${method} ${path}`] || DEFAULT_LIMIT;
+    }
+
+    getBucket(method, endpoint, body) {
+        const [path, queryString = ''] = endpoint.split('?');
+        const rule = this.getRule(method, path);
+        // Batch requests are for one instrument each
+        const request = Array.isArray(body) ? body[0] : body;
+        const instId = rule.perInstrument
+            ? request?.instId || new URLSearchParams(queryString).get('instId') || ''
+            : '';
+        const key = `${method} ${path}${instId ? ` ${instId}` : ''}`;
+
+        if (!this.buckets.has(key)) {
+            const capacity = Math.max(1, Math.floor(rule.limit * this.utilization));
+            this.buckets.set(key, new TokenBucket(capacity, WINDOW_MS, this.clock.now()));
+        }
+
+        return { key, rule, bucket: this.buckets.get(key) };
+    }
+
+    // Resolves with the release() to call once the request is done
+    acquire(method, endpoint, body = null) {
+        const { key, rule, bucket } = this.getBucket(method, endpoint, body);
+        const cost = rule.perOrder && Array.isArray(body) ? Math.min(Math.max(1, body.length), bucket.capacity) : 1;
+
+        return new Promise(resolve => {
+            this.waiting.push({
+                key,
+                bucket,
+                cost,
+                priority: PRIORITIES[rule.priority],
+                sequence: this.nextSequence++,
+                resolve
+            });
+            this.pump();
+        });
+    }
+
+    pump() {
+        if (this.timer) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = this.clock.now();
+        this.waiting.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+
+        let nextWakeMs = Infinity;
+        const blockedBuckets = new Set();
+
+        for (const waiter of Array.from(this.waiting)) {
+            // Behind a request for the same bucket that is held back; other buckets carry on.
+            // Without a free slot it waits for a release(), which pumps again.
+            if (blockedBuckets.has(waiter.bucket) || !this.hasFreeSlot(waiter.priority)) {
+                continue;
+            }
+
+            if (waiter.bucket.take(now, waiter.cost)) {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                this.inFlight++;
+                waiter.resolve(this.createRelease());
+            } else {
+                blockedBuckets.add(waiter.bucket);
+                nextWakeMs = Math.min(nextWakeMs, waiter.bucket.msUntilAvailable(now, waiter.cost));
+            }
+        }
+
+        if (this.waiting.length > 0 && nextWakeMs !== Infinity) {
+            this.timer = this.clock.setTimeout(() => {
+                this.timer = null;
+                this.pump();
+            }, Math.max(1, Math.ceil(nextWakeMs)));
+        }
+    }
+
+    hasFreeSlot(priority) {
+        const slots = priority === PRIORITIES.high ? this.maxInFlight : Math.max(1, this.maxInFlight - 1);
+        return this.inFlight < slots;
+    }
+
+    createRelease() {
+        let isReleased = false;
+        return () => {
+            if (isReleased) return;
+            isReleased = true;
+            this.inFlight--;
+            this.pump();
+        };
+    }
+
+    isRateLimitError(error) {
+        return BACKOFF_BY_CODE[error.code] !== undefined || error.status === 429;
+    }
+
+    // A limit error means our view of the window is off: drain the bucket and back off
+    backoff(method, endpoint, body, code) {
+        const { key, bucket } = this.getBucket(method, endpoint, body);
+        const baseMs = BACKOFF_BY_CODE[code] || WINDOW_MS;
+        const backoffMs = Math.min(MAX_BACKOFF_MS, baseMs * 2 ** bucket.consecutiveLimitHits);
+
+        bucket.consecutiveLimitHits++;
+        bucket.tokens = 0;
+        bucket.blockedUntil = this.clock.now() + backoffMs;
+        this.logger?.warn(`⏳ Rate limit hit on ${key} (code ${code}), backing off ${backoffMs}ms`);
+
+        return backoffMs;
+    }
+
+    recordSuccess(method, endpoint, body) {
+        this.getBucket(method, endpoint, body).bucket.consecutiveLimitHits = 0;
+    }
+}
+
+module.exports = RateLimiter;
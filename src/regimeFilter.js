@@ -0,0 +1,193 @@
+const EventEmitter = require('events');
+
+const BAR_MS = 60000;
+
+// Fast EMA below slow EMA of 1-minute closes
+class EmaCrossDetector {
+    constructor({ fast = 9, slow = 21 } = {}) {
+        this.name = 'ema';
+        this.fastPeriod = fast;
+        this.slowPeriod = slow;
+        this.fast = null;
+        this.slow = null;
+        this.bars = 0;
+    }
+
+    onClose(close) {
+        const ema = (previous, period) => (previous === null ? close : previous + (2 / (period + 1)) * (close - previous));
+        this.fast = ema(this.fast, this.fastPeriod);
+        this.slow = ema(this.slow, this.slowPeriod);
+        this.bars++;
+    }
+
+    isTriggered() {
+        return this.bars >= this.slowPeriod && this.fast < this.slow;
+    }
+
+    describe() {
+        return `EMA${this.fastPeriod} ${this.fast?.toFixed(2)} < EMA${this.slowPeriod} ${this.slow?.toFixed(2)}`;
+    }
+}
+
+// Price fell `percent` or more from the high of the last `minutes`
+class DropDetector {
+    constructor({ percent = 3, minutes = 15 } = {}) {
+        this.name = 'drop';
+        this.percent = percent;
+        this.windowMs = minutes * 60000;
+        // Decreasing prices within the window; the first one is the window high
+        this.highs = [];
+        this.lastPrice = null;
+    }
+
+    onPrice(price, ts) {
+        while (this.highs.length > 0 && this.highs[this.highs.length - 1].price <= price) {
+            this.highs.pop();
+        }
+        this.highs.push({ price, ts });
+        while (this.highs[0].ts < ts - this.windowMs) {
+            this.highs.shift();
+        }
+        this.lastPrice = price;
+    }
+
+    getDropPercent() {
+        if (this.highs.length === 0) return 0;
+        const high = this.highs[0].price;
+        return ((high - this.lastPrice) / high) * 100;
+    }
+
+    isTriggered() {
+        return this.getDropPercent() >= this.percent;
+    }
+
+    describe() {
+        return `down ${this.getDropPercent().toFixed(2)}% in ${this.windowMs / 60000}m`;
+    }
+}
+
+// Wilder RSI of 1-minute closes below a threshold
+class RsiDetector {
+    constructor({ period = 14, below = 25 } = {}) {
+        this.name = 'rsi';
+        this.period = period;
+        this.below = below;
+        this.lastClose = null;
+        this.avgGain = 0;
+        this.avgLoss = 0;
+        this.changes = 0;
+    }
+
+    onClose(close) {
+        if (this.lastClose !== null) {
+            const change = close - this.lastClose;
+            const weight = Math.min(this.changes + 1, this.period);
+            this.avgGain += (Math.max(change, 0) - this.avgGain) / weight;
+            this.avgLoss += (Math.max(-change, 0) - this.avgLoss) / weight;
+            this.changes++;
+        }
+        this.lastClose = close;
+    }
+
+    getRsi() {
+        if (this.avgLoss === 0) return 100;
+        return 100 - 100 / (1 + this.avgGain / this.avgLoss);
+    }
+
+    isTriggered() {
+        return this.changes >= this.period && this.getRsi() < this.below;
+    }
+
+    describe() {
+        return `RSI${this.period} ${this.getRsi().toFixed(1)} < ${this.below}`;
+    }
+}
+
+const DETECTORS = {
+    ema: config => new EmaCrossDetector({ fast: config.REGIME_EMA_FAST, slow: config.REGIME_EMA_SLOW }),
+    drop: config => new DropDetector({ percent: config.REGIME_DROP_PERCENT, minutes: config.REGIME_DROP_MINUTES }),
+    rsi: config => new RsiDetector({ period: config.REGIME_RSI_PERIOD, below: config.REGIME_RSI_BELOW })
+};
+
+// Market regime from a set of detectors: risk-off while any of them triggers, and for
+// `cooldownMs` after the last one clears. Fed with prices (and their times), so it runs
+// the same on live ticks, replays, backtests or a canned price series.
+// Emits 'change' with { riskOff, reasons }.
+class RegimeFilter extends EventEmitter {
+    constructor({ createDetectors, cooldownMs = 0, barMs = BAR_MS }) {
+        super();
+        this.createDetectors = createDetectors;
+        this.detectors = createDetectors();
+        this.cooldownMs = cooldownMs;
+        this.barMs = barMs;
+        this.barTs = null;
+        this.lastPrice = null;
+        this.riskOff = false;
+        this.reasons = [];
+        this.lastTriggeredAt = null;
+    }
+
+    // REGIME_FILTERS=ema,drop,rsi
+    static fromConfig(config) {
+        const names = (config.REGIME_FILTERS || '').split(',').map(name => name.trim()).filter(Boolean);
+        if (names.length === 0) return null;
+
+        for (const name of names) {
+            if (!DETECTORS[name]) {
+                throw new Error(`Unknown regime filter "${name}": use ${Object.keys(DETECTORS).join(', ')}`);
+            }
+        }
+
+        return new RegimeFilter({
+            createDetectors: () => names.map(name => DETECTORS[name](config)),
+            cooldownMs: config.REGIME_COOLDOWN_MINUTES * 60000
+        });
+    }
+
+    update(price, ts) {
+        const barTs = Math.floor(ts / this.barMs) * this.barMs;
+
+        // Time went backwards (a replay started after a live price): start over
+        if (this.barTs !== null && barTs < this.barTs) {
+            this.detectors = this.createDetectors();
+            this.barTs = null;
+            this.lastTriggeredAt = null;
+        }
+
+        if (this.barTs !== null && barTs > this.barTs) {
+            for (const detector of this.detectors) {
+                detector.onClose?.(this.lastPrice);
+            }
+        }
+        this.barTs = barTs;
+        this.lastPrice = price;
+
+        for (const detector of this.detectors) {
+            detector.onPrice?.(price, ts);
+        }
+
+        this.evaluate(ts);
+    }
+
+    evaluate(ts) {
+        const triggered = this.detectors.filter(detector => detector.isTriggered());
+        if (triggered.length > 0) {
+            this.lastTriggeredAt = ts;
+            this.reasons = triggered.map(detector => `${detector.name}: ${detector.describe()}`);
+        }
+
+        const riskOff = triggered.length > 0
+            || (this.lastTriggeredAt !== null && ts - this.lastTriggeredAt < this.cooldownMs);
+
+        if (riskOff !== this.riskOff) {
+            this.riskOff = riskOff;
+            this.emit('change', { riskOff, reasons: this.reasons });
+        }
+    }
+
+    isRiskOff() {
+        return this.riskOff;
+    }
+}
+
+module.exports = RegimeFilter;
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const axios = require('axios');
+const { CONFIG, getSymbolConfig, BASE_URL } = require('./config');
+const TradeJournal = require('./tradeJournal');
+const StateStore = require('./stateStore');
+
+// PnL report from the trade journal: realized PnL per UTC day and week, wins, average hold
+// time and fees, plus the open position of each symbol from its state file.
+//   node src/report.js [--symbol ETH-USDT] [--days 14] [--weeks 8] [--price 2500]
+
+const DAY_MS = 86400000;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        args[key] = argv[i + 1]?.startsWith('--') ? 'true' : argv[++i] ?? 'true';
+    }
+    return args;
+}
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+// Monday of the UTC week
+function weekOf(ts) {
+    const day = Math.floor(ts / DAY_MS);
+    const weekday = (new Date(ts).getUTCDay() + 6) % 7;
+    return dayOf((day - weekday) * DAY_MS);
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+// Round trips: the fills of one sell order, with the buy that opened the lot
+function getRoundTrips(fills) {
+    const buyTimes = new Map();
+    const trips = new Map();
+
+    for (const fill of fills) {
+        if (fill.side === 'buy') {
+            if (!buyTimes.has(fill.orderId)) buyTimes.set(fill.orderId, fill.ts);
+            continue;
+        }
+
+        const trip = trips.get(fill.orderId) || { symbol: fill.symbol, buyOrderId: fill.buyOrderId, pnl: 0, size: 0, closedAt: 0 };
+        trip.pnl += fill.pnl || 0;
+        trip.size += fill.size;
+        trip.closedAt = Math.max(trip.closedAt, fill.ts);
+        trips.set(fill.orderId, trip);
+    }
+
+    for (const trip of trips.values()) {
+        const openedAt = buyTimes.get(trip.buyOrderId);
+        trip.holdMs = openedAt !== undefined ? trip.closedAt - openedAt : null;
+    }
+    return Array.from(trips.values());
+}
+
+// Realized PnL, fees and trades per period; wins count in the period the sell completed
+function summarize(fills, trips, periodOf) {
+    const periods = new Map();
+    const periodFor = key => {
+        if (!periods.has(key)) {
+            periods.set(key, { period: key, buys: 0, sells: 0, trips: 0, wins: 0, net: 0, gross: 0, fees: 0, holdMs: 0, held: 0 });
+        }
+        return periods.get(key);
+    };
+
+    for (const fill of fills) {
+        const period = periodFor(periodOf(fill.ts));
+        period[fill.side === 'buy' ? 'buys' : 'sells']++;
+        period.fees += fill.feeQuote || 0;
+        if (fill.side === 'sell') {
+            period.net += fill.pnl || 0;
+            period.gross += fill.grossPnl || 0;
+        }
+    }
+
+    for (const trip of trips) {
+        const period = periodFor(periodOf(trip.closedAt));
+        period.trips++;
+        if (trip.pnl > 0) period.wins++;
+        if (trip.holdMs !== null) {
+            period.holdMs += trip.holdMs;
+            period.held++;
+        }
+    }
+
+    return Array.from(periods.values()).sort((a, b) => a.period.localeCompare(b.period));
+}
+
+function printTable(title, columns, rows, empty = '(no fills)') {
+    console.log(`\n${title}`);
+    if (rows.length === 0) {
+        console.log(empty);
+        return;
+    }
+
+    const cells = rows.map(row => columns.map(([, format]) => String(format(row))));
+    const widths = columns.map(([name], i) => Math.max(name.length, ...cells.map(row => row[i].length)));
+    const formatRow = row => row.map((cell, i) => cell.padStart(widths[i])).join('  ');
+
+    console.log(formatRow(columns.map(([name]) => name)));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    cells.forEach(row => console.log(formatRow(row)));
+}
+
+const PERIOD_COLUMNS = [
+    ['buys', p => p.buys],
+    ['sells', p => p.sells],
+    ['trips', p => p.trips],
+    ['wins', p => p.wins],
+    ['win%', p => (p.trips > 0 ? ((p.wins / p.trips) * 100).toFixed(1) : '-')],
+    ['net', p => p.net.toFixed(8)],
+    ['gross', p => p.gross.toFixed(8)],
+    ['fees', p => p.fees.toFixed(8)],
+    ['avgHold', p => (p.held > 0 ? formatDuration(p.holdMs / p.held) : '-')]
+];
+
+// Same calculation as GridStrategy.getPositionPnl(), from the saved state
+function getPosition(state) {
+    let size = state.carriedBase?.size || 0;
+    let cost = state.carriedBase?.cost || 0;
+
+    for (const lot of [...(state.openSellOrders || []), ...(state.heldSells || [])]) {
+        const remaining = lot.size - (lot.filledSize || 0);
+        size += remaining;
+        cost += remaining * (lot.costPrice ?? lot.buyPrice);
+    }
+    return { size, cost };
+}
+
+async function getMarkPrice(symbol, state, args) {
+    if (args.price) return { price: parseFloat(args.price), source: '--price' };
+
+    if (!CONFIG.PAPER) {
+        try {
+            const response = await axios.get(`${BASE_URL}/api/v5/market/ticker?instId=${symbol}`, { timeout: CONFIG.HTTP_TIMEOUT_MS });
+            const ticker = response.data.data?.[0];
+            if (ticker) return { price: parseFloat(ticker.bidPx || ticker.last), source: 'bid' };
+        } catch (error) {
+            console.error(`Failed to get the ${symbol} ticker (${error.message}), using the last saved price`);
+        }
+    }
+    return { price: state.lastKnownPrice, source: 'saved' };
+}
+
+async function printPositions(symbols, args) {
+    const rows = [];
+    for (const symbol of symbols) {
+        const state = new StateStore(getSymbolConfig(symbol).STATE_FILE).load();
+        if (!state) continue;
+
+        const { size, cost } = getPosition(state);
+        const { price, source } = size > 0 ? await getMarkPrice(symbol, state, args) : { price: null, source: '-' };
+        rows.push({ symbol, size, cost, price, source, pnl: price ? size * price - cost : 0 });
+    }
+
+    printTable('Open position', [
+        ['symbol', r => r.symbol],
+        ['size', r => Number(r.size.toFixed(8))],
+        ['cost', r => r.cost.toFixed(8)],
+        ['avgCost', r => (r.size > 0 ? (r.cost / r.size).toFixed(8) : '-')],
+        ['price', r => (r.price ? `${r.price} (${r.source})` : '-')],
+        ['unrealized', r => r.pnl.toFixed(8)]
+    ], rows, '(no saved state)');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const config = { ...CONFIG, JOURNAL_FILE: args.file || CONFIG.JOURNAL_FILE };
+
+    const format = TradeJournal.getFormat(config);
+    if (format === 'off') {
+        throw new Error('JOURNAL_FORMAT is off: there is no trade journal to report on');
+    }
+    const filePath = TradeJournal.getFilePath(config, format);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No trade journal at ${filePath} (set PAPER, JOURNAL_FORMAT or --file to pick another one)`);
+    }
+
+    const journal = TradeJournal.fromConfig(config);
+    const fills = journal.readAll().filter(fill => !args.symbol || fill.symbol === args.symbol);
+    journal.close();
+
+    const trips = getRoundTrips(fills);
+    const days = summarize(fills, trips, dayOf);
+    const weeks = summarize(fills, trips, weekOf);
+    const total = summarize(fills, trips, () => 'total');
+
+    console.log(`📒 ${fills.length} fills in ${filePath}${args.symbol ? ` for ${args.symbol}` : ''}`);
+    printTable('Daily (UTC)', [['day', p => p.period], ...PERIOD_COLUMNS], days.slice(-(parseInt(args.days) || 14)));
+    printTable('Weekly (from Monday)', [['week', p => p.period], ...PERIOD_COLUMNS], weeks.slice(-(parseInt(args.weeks) || 8)));
+    printTable('Total', [['', p => p.period], ...PERIOD_COLUMNS], total);
+
+    // State files only exist for the configured symbols
+    await printPositions(CONFIG.SYMBOLS.filter(symbol => !args.symbol || symbol === args.symbol), args);
+}
+
+module.exports = { getRoundTrips, summarize };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Report failed:', error.message);
+        process.exit(1);
+    });
+}
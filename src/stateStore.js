@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Atomic JSON state persistence (write temp file, fsync, rename)
+class StateStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.tempPath = `${this.filePath}.tmp`;
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        if (!this.exists()) return null;
+
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`State file ${this.filePath} is corrupt: ${error.message}`);
+        }
+    }
+
+    // Take over the state saved for `symbol` at `legacyFilePath`, unless this file exists already.
+    // With a second symbol in SYMBOLS the state moves from bot_state.json to bot_state.<SYMBOL>.json;
+    // starting without it would cancel the open sells and lose the tracked profit.
+    // Returns whether the state was moved.
+    migrateFrom(legacyFilePath, symbol) {
+        const legacyPath = path.resolve(legacyFilePath);
+        if (legacyPath === this.filePath || this.exists() || !fs.existsSync(legacyPath)) return false;
+
+        const legacyState = new StateStore(legacyPath).load();
+        if (legacyState?.symbol !== symbol) return false;
+
+        fs.renameSync(legacyPath, this.filePath);
+        return true;
+    }
+
+    save(state) {
+        const data = JSON.stringify(state, null, 2);
+        const fd = fs.openSync(this.tempPath, 'w');
+
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // rename() is atomic on the same filesystem, so readers never see a half-written file
+        fs.renameSync(this.tempPath, this.filePath);
+    }
+}
+
+module.exports = StateStore;
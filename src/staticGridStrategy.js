@@ -0,0 +1,329 @@
+const GridStrategy = require('./gridStrategy');
+
+const GRID_TYPES = ['arithmetic', 'geometric'];
+
+// Static grid for one instrument: GRID_LEVELS fixed prices from GRID_LOWER_PRICE to
+// GRID_UPPER_PRICE, a buy on every level below the price and a sell on every level above it.
+// A filled buy is flipped into a sell one level up, a filled sell into a buy one level down.
+// One level next to the price stays empty so each fill has a free level to flip into.
+// Orders, fills, fees, limits and restarts go through the same code as the chase-and-DCA mode.
+class StaticGridStrategy extends GridStrategy {
+    constructor(options) {
+        super(options);
+
+        const { GRID_TYPE, GRID_LOWER_PRICE, GRID_UPPER_PRICE, GRID_LEVELS } = this.config;
+        if (!GRID_TYPES.includes(GRID_TYPE)) {
+            throw new Error(`Invalid GRID_TYPE "${GRID_TYPE}": use arithmetic or geometric`);
+        }
+        if (!(GRID_LOWER_PRICE > 0) || !(GRID_UPPER_PRICE > GRID_LOWER_PRICE)) {
+            throw new Error(`Grid mode needs 0 < GRID_LOWER_PRICE < GRID_UPPER_PRICE (got ${GRID_LOWER_PRICE} and ${GRID_UPPER_PRICE})`);
+        }
+        if (!Number.isInteger(GRID_LEVELS) || GRID_LEVELS < 2) {
+            throw new Error(`GRID_LEVELS must be a whole number of at least 2 (got ${GRID_LEVELS})`);
+        }
+
+        // Level prices, lowest first
+        this.levelPrices = Array.from({ length: GRID_LEVELS }, (_, i) => {
+            const share = i / (GRID_LEVELS - 1);
+            return GRID_TYPE === 'geometric'
+                ? GRID_LOWER_PRICE * (GRID_UPPER_PRICE / GRID_LOWER_PRICE) ** share
+                : GRID_LOWER_PRICE + (GRID_UPPER_PRICE - GRID_LOWER_PRICE) * share;
+        });
+
+        // Open grid buys by order ID: { ...order, level, sellLevel }. Seed buys that stock the
+        // sell levels on a fresh start have no level of their own.
+        this.gridBuyOrders = new Map();
+        // Buys still being placed, by client order ID: their fill can arrive before the order ID
+        this.placingGridBuys = new Map();
+        this.isPlacingGridBuys = false;
+        this.gridBuysStale = false;
+    }
+
+    describeGrid() {
+        const { GRID_TYPE, GRID_LOWER_PRICE, GRID_UPPER_PRICE, GRID_LEVELS } = this.config;
+        return `${GRID_TYPE} grid ${GRID_LOWER_PRICE}-${GRID_UPPER_PRICE}, ${GRID_LEVELS} levels`;
+    }
+
+    // Smallest distance between two neighbouring levels, in % of the lower one
+    getMinStepPercent() {
+        return Math.min(...this.levelPrices.slice(1).map((price, i) => (price / this.levelPrices[i] - 1) * 100));
+    }
+
+    logGridSetup() {
+        const stepPercent = this.getMinStepPercent();
+        const roundTripFeePercent = 2 * this.feeRates.maker * 100;
+
+        this.log(`📐 ${this.describeGrid()}: ${this.levelPrices.map(price => Number(this.roundPrice(price).toFixed(10))).join(', ')}`);
+        if (stepPercent <= roundTripFeePercent) {
+            this.warn(`⚠️ Grid step ${stepPercent.toFixed(3)}% does not cover the ${roundTripFeePercent.toFixed(3)}% round-trip maker fees`);
+        }
+    }
+
+    // The empty level: just below the lowest sell (or the sell a seed buy is stocking),
+    // otherwise the level nearest to the price
+    getGapLevel() {
+        const sellLevels = [
+            ...Array.from(this.openSellOrders.values(), order => order.gridLevel),
+            ...Array.from(this.gridBuyOrders.values()).filter(order => order.level === null).map(order => order.sellLevel)
+        ].filter(Number.isInteger);
+
+        if (sellLevels.length > 0) {
+            return Math.min(...sellLevels) - 1;
+        }
+
+        const price = this.lastKnownPrice;
+        return this.levelPrices.reduce((nearest, levelPrice, level) =>
+            (Math.abs(levelPrice - price) < Math.abs(this.levelPrices[nearest] - price) ? level : nearest), 0);
+    }
+
+    findGridBuy(orderUpdate) {
+        return this.gridBuyOrders.get(orderUpdate.ordId) || this.placingGridBuys.get(orderUpdate.clOrdId) || null;
+    }
+
+    async placeGridBuy(price, size, level, sellLevel) {
+        const clientOrderId = this.generateClientOrderId();
+        const pending = { level, sellLevel, isClosed: false };
+        this.placingGridBuys.set(clientOrderId, pending);
+
+        try {
+            const buyOrder = await this.placeOrder('buy', price, size, 'limit', clientOrderId);
+            // Filled (or cancelled) before placeOrder() returned: nothing left to track
+            if (!pending.isClosed) {
+                this.gridBuyOrders.set(buyOrder.orderId, { ...buyOrder, level, sellLevel });
+                this.persistState();
+            }
+            return buyOrder;
+        } finally {
+            this.placingGridBuys.delete(clientOrderId);
+        }
+    }
+
+    // Fresh start: buy the base for the sell levels above the price, then lay out the buys below it
+    async startTrading() {
+        if (this.isShuttingDown) return;
+
+        this.gridBuyOrders.clear();
+        this.logGridSetup();
+
+        const gap = this.getGapLevel();
+        const seedPrice = this.bestAsk || this.lastKnownPrice;
+
+        for (let level = gap + 1; level < this.levelPrices.length; level++) {
+            if (this.levelPrices[level] <= this.lastKnownPrice) continue;
+
+            const size = this.calculateTradeSize(seedPrice);
+            if (!this.canPlaceBuy(seedPrice, size)) break;
+
+            try {
+                const seedOrder = await this.placeGridBuy(seedPrice, size, null, level);
+                this.log(`Grid seed buy placed: ${size} @ ${seedOrder.price} for the sell at level ${level}`);
+            } catch (error) {
+                if (this.pauseIfInsufficientFunds(error)) break;
+                this.error(`Failed to place grid seed buy for level ${level}:`, error.message);
+            }
+        }
+
+        await this.placeGridBuys();
+    }
+
+    async resumeTrading() {
+        this.logGridSetup();
+        await this.placeGridBuys();
+        this.log(`Resumed grid with ${this.gridBuyOrders.size} buy orders and ${this.openSellOrders.size} sell orders`);
+    }
+
+    // Fills can land while buys are being placed: go over the levels again once done
+    async placeGridBuys() {
+        if (this.isShuttingDown || this.isRestoringState) return;
+        if (this.isPlacingGridBuys) {
+            this.gridBuysStale = true;
+            return;
+        }
+
+        this.isPlacingGridBuys = true;
+        try {
+            do {
+                this.gridBuysStale = false;
+                await this.placeMissingGridBuys();
+            } while (this.gridBuysStale && !this.isShuttingDown);
+        } finally {
+            this.isPlacingGridBuys = false;
+        }
+    }
+
+    // A buy on every free level below the gap, nearest first. Levels at or above the price
+    // are skipped: those buys would fill straight away as taker.
+    async placeMissingGridBuys() {
+        const takenLevels = new Set(Array.from(this.gridBuyOrders.values(), order => order.level));
+
+        for (let level = this.getGapLevel() - 1; level >= 0; level--) {
+            const price = this.levelPrices[level];
+            if (takenLevels.has(level) || price >= this.lastKnownPrice) continue;
+
+            const size = this.calculateTradeSize(price);
+            if (!this.canPlaceBuy(price, size)) return;
+
+            try {
+                const buyOrder = await this.placeGridBuy(price, size, level, level + 1);
+                this.log(`Grid buy order placed: ${size} @ ${buyOrder.price} (level ${level})`);
+            } catch (error) {
+                if (this.pauseIfInsufficientFunds(error)) return;
+                this.error(`Failed to place grid buy at level ${level}:`, error.message);
+            }
+        }
+    }
+
+    async resumeBuying() {
+        if (!this.buyPause || this.isShuttingDown || this.isRestoringState) return;
+
+        await this.placeGridBuys();
+    }
+
+    // Flip a filled buy into a sell one level up (a seed buy into the sell it was bought for)
+    async processAfterBuyFill(orderUpdate) {
+        const gridBuy = this.findGridBuy(orderUpdate);
+        if (!gridBuy) {
+            this.log(`Buy ${orderUpdate.ordId} is not a grid order, ignoring its fill`);
+            return;
+        }
+
+        const fill = this.applyFillUpdate(orderUpdate);
+        const isComplete = orderUpdate.state === 'filled';
+
+        if (fill) {
+            this.logFill(orderUpdate, fill, isComplete);
+            await this.placeGridSell(fill, orderUpdate.ordId, gridBuy.sellLevel);
+        }
+
+        if (isComplete) {
+            this.closeGridBuy(orderUpdate.ordId, gridBuy);
+        }
+    }
+
+    async placeGridSell(fill, buyOrderId, level) {
+        try {
+            await this.placeProfitSell(fill, buyOrderId, { level, price: this.levelPrices[level] });
+        } catch (error) {
+            this.error(`Failed to place grid sell at level ${level}:`, error.message);
+        }
+    }
+
+    closeGridBuy(orderId, gridBuy) {
+        gridBuy.isClosed = true;
+        this.gridBuyOrders.delete(orderId);
+        this.persistState();
+    }
+
+    // Flip a filled sell into a buy one level down
+    async processAfterSellFill(orderUpdate) {
+        const fill = this.applyFillUpdate(orderUpdate);
+        const isComplete = orderUpdate.state === 'filled';
+        const sellOrderInfo = this.openSellOrders.get(orderUpdate.ordId);
+
+        if (fill) {
+            this.logFill(orderUpdate, fill, isComplete);
+        }
+        if (sellOrderInfo && fill) {
+            this.realizeSellProfit(sellOrderInfo, fill);
+        }
+
+        if (!isComplete || !sellOrderInfo) return;
+
+        this.openSellOrders.delete(orderUpdate.ordId);
+        if (sellOrderInfo.flatten) {
+            this.persistState();
+            this.alert('limit', `🔥 Position flattened at ${fill ? fill.price : orderUpdate.fillPx}, trading stays halted until re-armed`);
+            return;
+        }
+        this.completedCycles++;
+        this.log(`🔁 Grid level ${sellOrderInfo.gridLevel} sold, buying back below it`);
+        this.notifyCycleCompleted();
+
+        try {
+            await this.placeGridBuys();
+            await this.budget?.release(this);
+        } catch (error) {
+            this.error('Failed to process grid sell fill:', error.message);
+        }
+    }
+
+    async handleOrderCancellation(orderUpdate) {
+        const gridBuy = this.findGridBuy(orderUpdate);
+        if (!gridBuy) {
+            await super.handleOrderCancellation(orderUpdate);
+            return;
+        }
+
+        // Fills that happened before the cancel still get their sell
+        const fill = this.applyFillUpdate(orderUpdate);
+        if (fill) {
+            this.log(`Cancelled grid buy ${orderUpdate.ordId} was partially filled: ${fill.totalSize} @ ${fill.avgPrice}`);
+            await this.placeGridSell(fill, orderUpdate.ordId, gridBuy.sellLevel);
+        }
+
+        this.closeGridBuy(orderUpdate.ordId, gridBuy);
+        this.log(`Cancelled grid buy order cleared: ${orderUpdate.ordId}${gridBuy.level === null ? '' : ` (level ${gridBuy.level})`}`);
+    }
+
+    // Levels freed by missed fills and cancellations get their buys back
+    async reconcileOrders(since) {
+        const missedUpdates = await super.reconcileOrders(since);
+        if (missedUpdates > 0) {
+            await this.placeGridBuys();
+        }
+        return missedUpdates;
+    }
+
+    getRestingBuyOrders() {
+        return Array.from(this.gridBuyOrders.values());
+    }
+
+    getDefaultOrderRole(side) {
+        return side === 'buy' ? 'grid' : 'profit';
+    }
+
+    forgetBuyOrder(orderId) {
+        this.gridBuyOrders.delete(orderId);
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            grid: this.describeGrid(),
+            gridBuys: this.getRestingBuyOrders().map(order => ({ orderId: order.orderId, price: order.price, size: order.size, level: order.level }))
+        };
+    }
+
+    serializeState() {
+        const { GRID_TYPE, GRID_LOWER_PRICE, GRID_UPPER_PRICE, GRID_LEVELS } = this.config;
+
+        return {
+            ...super.serializeState(),
+            grid: { type: GRID_TYPE, lower: GRID_LOWER_PRICE, upper: GRID_UPPER_PRICE, levels: GRID_LEVELS },
+            gridBuyOrders: Array.from(this.gridBuyOrders.values())
+        };
+    }
+
+    // Saved orders refer to levels by index, so they only make sense for the same grid
+    async resumeFromSavedState(savedState) {
+        const { GRID_TYPE, GRID_LOWER_PRICE, GRID_UPPER_PRICE, GRID_LEVELS } = this.config;
+        const grid = savedState.grid;
+
+        if (grid && (grid.type !== GRID_TYPE || grid.lower !== GRID_LOWER_PRICE || grid.upper !== GRID_UPPER_PRICE || grid.levels !== GRID_LEVELS)) {
+            throw new Error(`State file is for a grid of ${grid.levels} ${grid.type} levels from ${grid.lower} to ${grid.upper}, but the settings are ${this.describeGrid()}. Cancel the grid orders and remove ${this.config.STATE_FILE} to start a new grid`);
+        }
+
+        this.gridBuyOrders = new Map((savedState.gridBuyOrders || []).map(order => [order.orderId, order]));
+        await super.resumeFromSavedState(savedState);
+    }
+
+    async cancelOrdersForShutdown(cancelAll) {
+        await super.cancelOrdersForShutdown(cancelAll);
+
+        // Buys are always cancelled; the missing levels are placed again on restart
+        this.gridBuyOrders.clear();
+        this.persistState();
+    }
+}
+
+module.exports = StaticGridStrategy;
@@ -0,0 +1,20 @@
+const GridStrategy = require('./gridStrategy');
+const StaticGridStrategy = require('./staticGridStrategy');
+
+// STRATEGY_MODE -> strategy class
+const STRATEGY_MODES = {
+    dca: GridStrategy,
+    grid: StaticGridStrategy
+};
+
+function createStrategy(options) {
+    const Strategy = STRATEGY_MODES[options.config.STRATEGY_MODE];
+    if (!Strategy) {
+        throw new Error(`Invalid STRATEGY_MODE "${options.config.STRATEGY_MODE}": use ${Object.keys(STRATEGY_MODES).join(' or ')}`);
+    }
+    return new Strategy(options);
+}
+
+module.exports = {
+    createStrategy
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+// Replays recorded ticker prices (JSON array or NDJSON) with their original spacing.
+// Rows without an `instId` belong to `defaultInstId`.
+class TickerReplay {
+    constructor(filePath, speed = 1, defaultInstId = null) {
+        this.filePath = filePath;
+        this.speed = speed > 0 ? speed : 1;
+        this.ticks = TickerReplay.loadTicks(filePath, defaultInstId);
+        this.timer = null;
+
+        if (this.ticks.length === 0) {
+            throw new Error(`No ticker data found in ${filePath}`);
+        }
+    }
+
+    // Accepts `{ ts, last }` rows (optionally with `bidPx`/`askPx`) or raw OKX `tickers` channel pushes
+    static loadTicks(filePath, defaultInstId = null) {
+        const raw = fs.readFileSync(filePath, 'utf8').trim();
+        const rows = raw.startsWith('[')
+            ? JSON.parse(raw)
+            : raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+        return rows
+            .flatMap(row => (Array.isArray(row.data) ? row.data.map(data => ({ instId: row.arg?.instId, ...data })) : [row]))
+            .filter(row => row.last !== undefined)
+            .map(row => ({
+                instId: row.instId || defaultInstId,
+                ts: parseInt(row.ts) || 0,
+                last: parseFloat(row.last),
+                bidPx: parseFloat(row.bidPx) || null,
+                askPx: parseFloat(row.askPx) || null
+            }))
+            .sort((a, b) => a.ts - b.ts);
+    }
+
+    first(instId = null) {
+        return instId ? this.ticks.find(tick => tick.instId === instId) : this.ticks[0];
+    }
+
+    start(onTick, onEnd = () => {}) {
+        let index = 1;
+
+        const next = () => {
+            if (index >= this.ticks.length) {
+                this.timer = null;
+                onEnd();
+                return;
+            }
+
+            const tick = this.ticks[index++];
+            onTick(tick);
+
+            const following = this.ticks[index];
+            const delay = following ? Math.max(0, (following.ts - tick.ts) / this.speed) : 0;
+            this.timer = setTimeout(next, delay);
+        };
+
+        this.timer = setTimeout(next, 0);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = TickerReplay;
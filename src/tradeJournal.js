@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+// One row per fill. Sells carry the buy that opened the lot (`buyOrderId`), the lot's cost
+// price and the realized PnL; fees are as reported (negative when charged) in `feeCcy`,
+// `feeQuote` is the fee paid in quote currency.
+const COLUMNS = [
+    'ts', 'symbol', 'side', 'role', 'orderId', 'clOrdId', 'tradeId', 'price', 'size',
+    'fee', 'feeCcy', 'feeQuote', 'buyOrderId', 'costPrice', 'pnl', 'grossPnl'
+];
+const NUMERIC_COLUMNS = new Set(['ts', 'price', 'size', 'fee', 'feeQuote', 'costPrice', 'pnl', 'grossPnl']);
+const FORMATS = ['auto', 'sqlite', 'csv', 'off'];
+const SQLITE_REQUIREMENT = 'Node.js 22.13+ or 23.4+ (22.5-23.3 only with --experimental-sqlite)';
+
+// Built into Node.js, see SQLITE_REQUIREMENT
+function loadSqlite() {
+    try {
+        return require('node:sqlite');
+    } catch (error) {
+        return null;
+    }
+}
+
+class SqliteJournalStore {
+    constructor(filePath, sqlite) {
+        this.filePath = filePath;
+        this.db = new sqlite.DatabaseSync(filePath);
+        this.db.exec(`CREATE TABLE IF NOT EXISTS fills (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ${COLUMNS.map(column => `${column} ${NUMERIC_COLUMNS.has(column) ? 'REAL' : 'TEXT'}`).join(',\n            ')}
+        )`);
+        this.db.exec('CREATE INDEX IF NOT EXISTS fills_symbol_ts ON fills (symbol, ts)');
+        this.insert = this.db.prepare(`INSERT INTO fills (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(column => `$${column}`).join(', ')})`);
+    }
+
+    append(record) {
+        this.insert.run(Object.fromEntries(COLUMNS.map(column => [`$${column}`, record[column] ?? null])));
+    }
+
+    readAll() {
+        return this.db.prepare(`SELECT ${COLUMNS.join(', ')} FROM fills ORDER BY ts, id`).all()
+            .map(row => ({ ...row }));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Append-only CSV with a header line
+class CsvJournalStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) {
+            fs.writeFileSync(filePath, `${COLUMNS.join(',')}\n`);
+        }
+    }
+
+    append(record) {
+        fs.appendFileSync(this.filePath, `${COLUMNS.map(column => this.escape(record[column])).join(',')}\n`);
+    }
+
+    escape(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    readAll() {
+        const [header, ...lines] = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+        const columns = header.split(',');
+
+        return lines.map(line => {
+            const values = this.parseLine(line);
+            return Object.fromEntries(columns.map((column, i) => {
+                const value = values[i] === '' || values[i] === undefined ? null : values[i];
+                return [column, value !== null && NUMERIC_COLUMNS.has(column) ? parseFloat(value) : value];
+            }));
+        });
+    }
+
+    parseLine(line) {
+        const values = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(value);
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        values.push(value);
+        return values;
+    }
+
+    close() {}
+}
+
+// Trade journal shared by all symbols. JOURNAL_FORMAT=auto uses SQLite when this Node.js
+// has it and falls back to CSV; a journal that can't be written never stops trading.
+class TradeJournal {
+    constructor(store, logger = console) {
+        this.store = store;
+        this.logger = logger;
+        this.format = store instanceof SqliteJournalStore ? 'sqlite' : 'csv';
+    }
+
+    // null when JOURNAL_FORMAT=off
+    static fromConfig(config, logger = console) {
+        const format = TradeJournal.getFormat(config);
+        if (format === 'off') return null;
+
+        const filePath = TradeJournal.getFilePath(config, format);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const store = format === 'sqlite' ? new SqliteJournalStore(filePath, loadSqlite()) : new CsvJournalStore(filePath);
+        return new TradeJournal(store, logger);
+    }
+
+    // sqlite, csv or off
+    static getFormat(config) {
+        const format = config.JOURNAL_FORMAT;
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Invalid JOURNAL_FORMAT "${format}": use ${FORMATS.join(', ')}`);
+        }
+        if (format === 'off' || format === 'csv') return format;
+
+        if (!loadSqlite()) {
+            if (format === 'sqlite') {
+                throw new Error(`JOURNAL_FORMAT=sqlite needs node:sqlite, in ${SQLITE_REQUIREMENT} (running ${process.version}): use csv`);
+            }
+            return 'csv';
+        }
+        return 'sqlite';
+    }
+
+    // JOURNAL_FILE, or trades(.paper).sqlite / .csv next to the state file
+    static getFilePath(config, format) {
+        if (config.JOURNAL_FILE) return path.resolve(config.JOURNAL_FILE);
+
+        const { dir } = path.parse(config.STATE_FILE);
+        return path.resolve(dir, `trades${config.PAPER ? '.paper' : ''}.${format}`);
+    }
+
+    get filePath() {
+        return this.store.filePath;
+    }
+
+    // For the startup log: the backend, and why JOURNAL_FORMAT=auto fell back to CSV
+    describe(config) {
+        const fallback = config.JOURNAL_FORMAT === 'auto' && this.format === 'csv'
+            ? `, node:sqlite is not available in Node.js ${process.version}: it needs ${SQLITE_REQUIREMENT}`
+            : '';
+        return `${this.filePath} (${this.format}${fallback})`;
+    }
+
+    record(fill) {
+        try {
+            this.store.append(fill);
+        } catch (error) {
+            this.logger.error(`Failed to write ${fill.side} fill ${fill.orderId} to the trade journal:`, error.message);
+        }
+    }
+
+    readAll() {
+        return this.store.readAll();
+    }
+
+    close() {
+        this.store.close();
+    }
+}
+
+TradeJournal.COLUMNS = COLUMNS;
+TradeJournal.SQLITE_REQUIREMENT = SQLITE_REQUIREMENT;
+TradeJournal.SqliteJournalStore = SqliteJournalStore;
+TradeJournal.CsvJournalStore = CsvJournalStore;
+
+module.exports = TradeJournal;
@@ -0,0 +1,105 @@
+const BAR_MS = 60000;
+
+// Volatility of one instrument from 1-minute candles, as % of price: average true range
+// (`atr`) or the standard deviation of close-to-close log returns (`realized`).
+// Candles come from REST and the `candle1m` channel; without that feed (paper replay,
+// backtests) they are built from the prices passed to addPrice().
+class VolatilityTracker {
+    constructor({ mode = 'atr', period = 14, barMs = BAR_MS } = {}) {
+        this.mode = mode;
+        this.period = period;
+        this.barMs = barMs;
+        this.candles = []; // completed bars, oldest first
+        this.current = null; // bar still forming
+        this.hasCandleFeed = false;
+    }
+
+    // OKX candle row: [ts, o, h, l, c, vol, volCcy, volCcyQuote, confirm]
+    addCandle(row) {
+        this.hasCandleFeed = true;
+        const candle = {
+            ts: parseInt(row[0]),
+            open: parseFloat(row[1]),
+            high: parseFloat(row[2]),
+            low: parseFloat(row[3]),
+            close: parseFloat(row[4])
+        };
+        this.upsert(candle, row[8] === undefined || row[8] === '1');
+    }
+
+    addPrice(price, ts) {
+        if (this.hasCandleFeed) return;
+
+        const barTs = Math.floor(ts / this.barMs) * this.barMs;
+
+        // Time went backwards (a replay started after a live price): start over
+        if (this.current && barTs < this.current.ts) {
+            this.candles = [];
+            this.current = null;
+        }
+
+        if (this.current && this.current.ts !== barTs) {
+            this.upsert(this.current, true);
+        }
+
+        if (!this.current) {
+            this.current = { ts: barTs, open: price, high: price, low: price, close: price };
+        } else {
+            this.current.high = Math.max(this.current.high, price);
+            this.current.low = Math.min(this.current.low, price);
+            this.current.close = price;
+        }
+    }
+
+    upsert(candle, isConfirmed) {
+        if (!isConfirmed) {
+            this.current = candle;
+            return;
+        }
+
+        const last = this.candles[this.candles.length - 1];
+        if (last?.ts === candle.ts) {
+            this.candles[this.candles.length - 1] = candle;
+        } else if (!last || candle.ts > last.ts) {
+            this.candles.push(candle);
+        }
+        if (this.current && this.current.ts <= candle.ts) {
+            this.current = null;
+        }
+
+        // One extra bar for the previous close
+        if (this.candles.length > this.period + 1) {
+            this.candles.splice(0, this.candles.length - this.period - 1);
+        }
+    }
+
+    isReady() {
+        return this.candles.length > this.period;
+    }
+
+    // null until `period` bars have completed
+    getVolatilityPercent() {
+        if (!this.isReady()) return null;
+
+        const bars = this.candles.slice(-(this.period + 1));
+        const previous = bars.slice(0, -1);
+        const lastClose = bars[bars.length - 1].close;
+
+        if (this.mode === 'realized') {
+            const returns = bars.slice(1).map((bar, i) => Math.log(bar.close / previous[i].close));
+            const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+            const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+            return Math.sqrt(variance) * 100;
+        }
+
+        const trueRanges = bars.slice(1).map((bar, i) => Math.max(
+            bar.high - bar.low,
+            Math.abs(bar.high - previous[i].close),
+            Math.abs(bar.low - previous[i].close)
+        ));
+        const atr = trueRanges.reduce((sum, tr) => sum + tr, 0) / trueRanges.length;
+        return (atr / lastClose) * 100;
+    }
+}
+
+module.exports = VolatilityTracker;
@@ -0,0 +1,99 @@
+const WebSocket = require('ws');
+
+// REST order endpoints that have a private WebSocket equivalent
+const WS_ORDER_OPS = {
+    'POST /api/v5/trade/order': 'order',
+    'POST /api/v5/trade/cancel-order': 'cancel-order',
+    'POST /api/v5/trade/amend-order': 'amend-order',
+    'POST /api/v5/trade/batch-orders': 'batch-orders',
+    'POST /api/v5/trade/cancel-batch-orders': 'batch-cancel-orders',
+    'POST /api/v5/trade/amend-batch-orders': 'batch-amend-orders'
+};
+
+// Sends order operations over the logged-in private WebSocket and matches replies by `id`
+class WsOrderGateway {
+    constructor({ timeoutMs = 5000, latency = null } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.latency = latency;
+        this.ws = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    static opFor(method, endpoint) {
+        return WS_ORDER_OPS[`${method} ${endpoint.split('?')[0]}`] || null;
+    }
+
+    // Call once the private socket has logged in
+    attach(ws) {
+        this.ws = ws;
+    }
+
+    // Socket closed: nobody will answer the outstanding requests
+    detach() {
+        this.ws = null;
+        for (const [id, request] of this.pending) {
+            clearTimeout(request.timer);
+            request.reject(new Error(`WebSocket closed before ${request.op} ${id} was answered`));
+        }
+        this.pending.clear();
+    }
+
+    isReady() {
+        return this.ws?.readyState === WebSocket.OPEN;
+    }
+
+    // Resolves with the reply in REST response shape: { code, msg, data }.
+    // Errors flagged `notSent` never left this process, so the caller can safely use REST instead.
+    request(op, args) {
+        if (!this.isReady()) {
+            return Promise.reject(this.notSentError(new Error('Private WebSocket is not connected')));
+        }
+
+        const id = `${Date.now()}${this.nextId++}`.substring(0, 32);
+        const startedAt = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                const error = new Error(`WebSocket ${op} ${id} timed out after ${this.timeoutMs}ms`);
+                error.timeout = true;
+                reject(error);
+            }, this.timeoutMs);
+
+            this.pending.set(id, { op, args, startedAt, timer, resolve, reject });
+
+            try {
+                this.ws.send(JSON.stringify({ id, op, args }));
+            } catch (error) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(this.notSentError(error));
+            }
+        });
+    }
+
+    notSentError(error) {
+        error.notSent = true;
+        return error;
+    }
+
+    // Returns true if the message was a reply to one of our requests
+    handleMessage(message) {
+        const request = message.id && this.pending.get(message.id);
+        if (!request) return false;
+
+        clearTimeout(request.timer);
+        this.pending.delete(message.id);
+
+        const latencyMs = Date.now() - request.startedAt;
+        for (const [i, result] of (message.data || []).entries()) {
+            this.latency?.record('ws', request.op, latencyMs, { clOrdId: request.args[i]?.clOrdId, ...result });
+        }
+
+        request.resolve({ code: message.code, msg: message.msg, data: message.data || [] });
+        return true;
+    }
+}
+
+module.exports = WsOrderGateway;
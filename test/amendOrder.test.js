@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+// A post-only aggressive buy one tick under the price, chased up by amending it
+async function startChasing() {
+    const harness = createHarness({ overrides: { AGGRESSIVE_BUY_POST_ONLY: true, AGGRESSIVE_BUY_PRICE_MODE: 'bid' } });
+    await harness.start(2000);
+    assert.equal(harness.strategy.currentAggressiveBuyOrder.price, 1999.99);
+    return harness;
+}
+
+// The exchange accepts amends and then fails them, reporting it with the order's next update
+// (amendResult -1) after the reply, or before it with `beforeReply`
+function failAmends(harness, { beforeReply = false } = {}) {
+    const { exchange, strategy } = harness;
+    const amendOrder = exchange.amendOrder;
+    exchange.amendOrder = amendData => {
+        const order = exchange.orders.get(amendData.ordId);
+        const update = { ...exchange.toOrderMessage(order), amendResult: '-1', code: '51000', msg: 'Parameter newPx error' };
+        if (beforeReply) {
+            strategy.handleOrderUpdate(update);
+        } else {
+            harness.messages.push({ arg: { channel: 'orders' }, data: [update] });
+        }
+        return exchange.orderResult(order.ordId, order.clOrdId, '0', '');
+    };
+    return () => { exchange.amendOrder = amendOrder; };
+}
+
+const exchangePrice = (harness, orderId) => parseFloat(harness.exchange.orders.get(orderId).px);
+
+test('an amend that fails on the exchange after the reply puts the tracked price back', async () => {
+    const harness = await startChasing();
+    const { strategy } = harness;
+    const buy = strategy.currentAggressiveBuyOrder;
+
+    const restore = failAmends(harness);
+    await harness.tick(2005, 200);
+    await harness.tick(2005, 200);
+    assert.equal(strategy.currentAggressiveBuyOrder, buy);
+    assert.equal(buy.price, 1999.99);
+    assert.equal(exchangePrice(harness, buy.orderId), 1999.99);
+
+    // The next chase amends it again
+    restore();
+    await harness.tick(2005, 200);
+    await harness.tick(2005, 200);
+    assert.equal(strategy.currentAggressiveBuyOrder.orderId, buy.orderId);
+    assert.equal(buy.price, 2004.99);
+    assert.equal(exchangePrice(harness, buy.orderId), 2004.99);
+});
+
+test('an amend failure reported before the reply is not taken for a success', async () => {
+    const harness = await startChasing();
+    const { strategy } = harness;
+    const buy = strategy.currentAggressiveBuyOrder;
+
+    failAmends(harness, { beforeReply: true });
+    assert.equal(await strategy.amendOrder(buy, 2004.99), 'failed');
+    assert.equal(buy.price, 1999.99);
+    assert.equal(strategy.failedAmendOrderIds.size, 0);
+});
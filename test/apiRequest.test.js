@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot reads its config from the environment when it's loaded, so this comes before any
+// require of src/config: paper trading, nothing on disk
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-request-'));
+Object.assign(process.env, {
+    PAPER: 'true',
+    JOURNAL_FORMAT: 'off',
+    STATE_FILE: path.join(dir, 'bot_state.json'),
+    PAPER_STATE_FILE: path.join(dir, 'paper_exchange.json'),
+    LOG_LEVEL: 'silent',
+    MAX_API_RETRIES: '3',
+    API_RETRY_DELAY_MS: '1'
+});
+const OKXTradingBot = require('../index');
+const CircuitBreaker = require('../src/circuitBreaker');
+const { VirtualClock } = require('../src/clock');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A bot whose simulated exchange answers every request with `reply`; counts the attempts and
+// the errors logged
+function createBot(reply) {
+    const bot = new OKXTradingBot();
+    const calls = { requests: 0, errors: [] };
+    bot.paperExchange.request = async () => {
+        calls.requests++;
+        return reply;
+    };
+    bot.apiLogger.error = message => calls.errors.push(message);
+    return { bot, calls };
+}
+
+test('order state replies (51603, 51400, 51401) are not retried or logged as errors', async () => {
+    for (const code of ['51603', '51400', '51401']) {
+        const { bot, calls } = createBot({ code, msg: 'Order does not exist', data: [] });
+
+        await assert.rejects(bot.apiRequest('GET', '/api/v5/trade/order?instId=ETH-USDT&ordId=1'), error => error.code === code && error.isOrderState);
+        assert.equal(calls.requests, 1);
+        assert.deepEqual(calls.errors, []);
+    }
+});
+
+test('other failures are retried, and the last attempt is logged as an error', async () => {
+    const { bot, calls } = createBot({ code: '50001', msg: 'Service temporarily unavailable', data: [] });
+
+    await assert.rejects(bot.apiRequest('GET', '/api/v5/trade/order?instId=ETH-USDT&ordId=1'), error => error.code === '50001' && !error.isOrderState);
+    assert.equal(calls.requests, 3);
+    assert.equal(calls.errors.length, 1);
+});
+
+test('order state replies do not count as API failures for the circuit breaker', async () => {
+    const breaker = CircuitBreaker.fromConfig({ MAX_CONSECUTIVE_API_ERRORS: 1 }, new VirtualClock(1700000000000));
+    const fail = (code, isOrderState = false) => Object.assign(new Error(`API Error (Code: ${code})`), { code, isOrderState });
+    const replies = [fail('51603', true), fail('50001'), fail('51603', true), fail('50001'), fail('50001')];
+    const api = breaker.wrap({ apiRequest: async () => { throw replies.shift(); } });
+
+    for (let i = 0; i < 4; i++) {
+        await assert.rejects(api.apiRequest('GET', '/api/v5/trade/order'));
+    }
+    assert.equal(breaker.tripped, null);
+
+    await assert.rejects(api.apiRequest('GET', '/api/v5/trade/order'));
+    assert.equal(breaker.tripped?.breaker, 'MAX_CONSECUTIVE_API_ERRORS');
+});
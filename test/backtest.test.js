@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('../src/backtest');
+
+test('parses sweep values, value flags and boolean flags', () => {
+    const args = parseArgs(['--file', 'candles.csv', '--profit', '0.1:0.3:0.1', '--dca', '0.3,0.5', '--json', '--quote', '1000']);
+
+    assert.equal(args.error, undefined);
+    assert.equal(args.file, 'candles.csv');
+    assert.equal(args.json, 'true');
+    assert.equal(args.quote, '1000');
+    assert.deepEqual(args.sweep, { PROFIT_PERCENTAGE_PER_TRADE: [0.1, 0.2, 0.3], DCA_BUY_PERCENTAGE_BELOW: [0.3, 0.5] });
+});
+
+test('a flag without a value or with a bad one is an error, not an exception', () => {
+    assert.equal(parseArgs(['--file', 'candles.csv', '--profit']).error, '--profit needs a value');
+    assert.equal(parseArgs(['--profit', '--file', 'candles.csv']).error, '--profit needs a value');
+    assert.equal(parseArgs(['--file', 'candles.csv', '--symbol']).error, '--symbol needs a value');
+    assert.equal(parseArgs(['--levels', 'many']).error, '--levels needs numbers, got "many"');
+    assert.match(parseArgs(['--dca', '0.1:0.5']).error, /Invalid range step/);
+});
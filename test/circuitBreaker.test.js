@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../src/circuitBreaker');
+const { VirtualClock } = require('../src/clock');
+const { createHarness } = require('./harness');
+
+const placeOrder = api => api.apiRequest('POST', '/api/v5/trade/order', {});
+
+test('trips once on more orders in the last minute than MAX_ORDERS_PER_MINUTE, until reset', async () => {
+    const clock = new VirtualClock(1700000000000);
+    const breaker = CircuitBreaker.fromConfig({ MAX_ORDERS_PER_MINUTE: 2 }, clock);
+    const trips = [];
+    breaker.on('trip', trip => trips.push(trip));
+    const api = breaker.wrap({ apiRequest: async () => ({ code: '0', data: [] }) });
+
+    // Orders leave the window after a minute
+    await placeOrder(api);
+    await placeOrder(api);
+    await clock.advanceTo(clock.now() + 60000);
+    await placeOrder(api);
+    await placeOrder(api);
+    assert.equal(breaker.tripped, null);
+
+    await api.apiRequest('GET', '/api/v5/trade/orders-pending');
+    assert.equal(breaker.tripped, null);
+
+    await placeOrder(api);
+    await placeOrder(api);
+    assert.equal(trips.length, 1);
+    assert.equal(trips[0].breaker, 'MAX_ORDERS_PER_MINUTE');
+    assert.equal(trips[0].detail, '3 orders in the last minute (max 2)');
+    assert.equal(trips[0].counters.ordersLastMinute, 3);
+
+    breaker.reset();
+    assert.equal(breaker.tripped, null);
+    assert.equal(breaker.getCounters().ordersLastMinute, 0);
+    await placeOrder(api);
+    assert.equal(breaker.tripped, null);
+});
+
+test('a tripped order rate breaker freezes the strategy; re-arming resets it', async () => {
+    const harness = createHarness({ overrides: { PROFIT_PERCENTAGE_PER_TRADE: 1, DCA_BUY_PERCENTAGE_BELOW: 1, MAX_ORDERS_PER_MINUTE: 3 } });
+    const { strategy } = harness;
+    const openSides = () => harness.openOrders().map(order => order.side);
+
+    // Aggressive buy, its profit sell and the DCA buy
+    await harness.start(2000);
+    assert.equal(strategy.breaker.getCounters().ordersLastMinute, 3);
+    assert.equal(strategy.halt, null);
+
+    // The sell fills and the next cycle's orders go over the limit
+    await harness.tick(2025);
+    assert.match(strategy.halt?.reason, /^circuit breaker MAX_ORDERS_PER_MINUTE: 4 orders in the last minute/);
+    assert.equal(strategy.halt.action, 'freeze');
+    assert.deepEqual(openSides(), ['sell']);
+
+    await strategy.rearm();
+    await harness.settle();
+    assert.equal(strategy.halt, null);
+    assert.equal(strategy.breaker.tripped, null);
+    assert.deepEqual(openSides().sort(), ['buy', 'sell']);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const ControlServer = require('../src/controlServer');
+const KillSwitch = require('../src/killSwitch');
+const { createHarness, SYMBOL } = require('./harness');
+
+const TOKEN = 'test-token-0123456789';
+
+// One request without keep-alive, so the server can close right after the test
+function request(server, method, pathname, { body, token = TOKEN } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.server.address().port,
+            method,
+            path: pathname,
+            agent: false,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            }
+        }, res => {
+            let raw = '';
+            res.on('data', chunk => { raw += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(raw) }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+    });
+}
+
+async function startServer(t) {
+    const harness = createHarness({ overrides: { PROFIT_PERCENTAGE_PER_TRADE: 1, DCA_BUY_PERCENTAGE_BELOW: 1 } });
+    await harness.start(2000);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'control-api-'));
+    const killSwitch = new KillSwitch({ filePath: path.join(dir, 'kill_switch'), symbols: [SYMBOL] });
+    const server = new ControlServer({
+        port: 0,
+        token: TOKEN,
+        strategies: new Map([[SYMBOL, harness.strategy]]),
+        killSwitch,
+        logger: { log: () => {} },
+        getInfo: () => ({ paper: true })
+    });
+    await server.start();
+
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { harness, killSwitch, server };
+}
+
+test('rejects requests without the right token', async (t) => {
+    const { server } = await startServer(t);
+
+    assert.equal((await request(server, 'GET', '/status', { token: null })).status, 401);
+    assert.equal((await request(server, 'GET', '/status', { token: 'wrong-token' })).status, 401);
+    assert.equal((await request(server, 'GET', '/nowhere')).status, 404);
+});
+
+test('GET /status reports each symbol', async (t) => {
+    const { server } = await startServer(t);
+
+    const { status, body } = await request(server, 'GET', '/status');
+    assert.equal(status, 200);
+    assert.equal(body.paper, true);
+    assert.equal(body.symbols.length, 1);
+    assert.equal(body.symbols[0].symbol, SYMBOL);
+    assert.equal(body.symbols[0].mode, 'dca');
+    assert.equal(body.symbols[0].openSells.length, 1);
+
+    assert.equal((await request(server, 'GET', '/status?symbol=BTC-USDT')).status, 404);
+});
+
+test('POST /pause halts through the kill switch file and POST /resume re-arms', async (t) => {
+    const { harness, killSwitch, server } = await startServer(t);
+    const restingBuys = () => harness.openOrders().filter(order => order.side === 'buy');
+    assert.equal(restingBuys().length, 1);
+
+    const paused = await request(server, 'POST', '/pause', { body: { reason: 'maintenance' } });
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.symbols[0].mode, 'halted');
+    assert.equal(killSwitch.read(SYMBOL).action, 'freeze');
+    assert.equal(restingBuys().length, 0);
+    // Profit sells stay on the book while frozen
+    assert.equal(harness.strategy.openSellOrders.size, 1);
+
+    const resumed = await request(server, 'POST', '/resume', { body: {} });
+    assert.equal(resumed.status, 200);
+    assert.equal(killSwitch.read(SYMBOL), null);
+    assert.equal(harness.strategy.halt, null);
+    assert.equal(restingBuys().length, 1);
+});
+
+test('POST /resume refuses while the global kill switch file is there', async (t) => {
+    const { killSwitch, server } = await startServer(t);
+    fs.writeFileSync(killSwitch.filePath, 'freeze');
+
+    const { status, body } = await request(server, 'POST', '/resume', { body: {} });
+    assert.equal(status, 409);
+    assert.match(body.error, /Still halted/);
+});
+
+test('POST /config changes hot settings, all or nothing', async (t) => {
+    const { harness, server } = await startServer(t);
+
+    const updated = await request(server, 'POST', '/config', { body: { PROFIT_PERCENTAGE_PER_TRADE: 0.5 } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body[SYMBOL].PROFIT_PERCENTAGE_PER_TRADE, 0.5);
+    assert.equal(harness.strategy.config.PROFIT_PERCENTAGE_PER_TRADE, 0.5);
+
+    const rejected = await request(server, 'POST', '/config', { body: { DCA_BUY_PERCENTAGE_BELOW: 2, API_KEY: 'x' } });
+    assert.equal(rejected.status, 400);
+    assert.equal(harness.strategy.config.DCA_BUY_PERCENTAGE_BELOW, 1);
+
+    assert.equal((await request(server, 'POST', '/config', { body: { PROFIT_PERCENTAGE_PER_TRADE: -1 } })).status, 400);
+    assert.equal((await request(server, 'POST', '/config', { body: '[1, 2]' })).status, 400);
+    assert.equal((await request(server, 'POST', '/config', { body: {} })).status, 400);
+});
@@ -0,0 +1,99 @@
+const PaperExchange = require('../src/paperExchange');
+const BalanceTracker = require('../src/balanceTracker');
+const Logger = require('../src/logger');
+const { VirtualClock } = require('../src/clock');
+const { getSymbolConfig } = require('../src/config');
+const { createStrategy } = require('../src/strategies');
+const { ORDER_STATE_CODES } = require('../src/okxErrors');
+
+const SYMBOL = 'ETH-USDT';
+const START_TIME = 1700000000000;
+
+// A strategy trading on the simulated exchange with a virtual clock, like the backtester.
+// Order updates are queued until settle(); while `dropOrderUpdates` is set they go to `dropped`
+// instead, as if the private socket lost them.
+function createHarness({ overrides = {}, quoteBalance = 100000, partialFillPercent = 100, stateStore = null, journal = null, logLevel = 'silent' } = {}) {
+    const config = { ...getSymbolConfig(SYMBOL), MAX_API_RETRIES: 1, ...overrides };
+    const clock = new VirtualClock(START_TIME);
+    const harness = { clock, config, messages: [], dropped: [], dropOrderUpdates: false, apiCalls: [] };
+
+    harness.exchange = new PaperExchange({
+        balances: { ETH: 0, USDT: quoteBalance },
+        instruments: [{ instType: 'SPOT', instId: SYMBOL, baseCcy: 'ETH', quoteCcy: 'USDT', tickSz: '0.01', lotSz: '0.000001', minSz: '0.00001', state: 'live' }],
+        partialFillPercent,
+        now: () => clock.now(),
+        dispatch: message => (harness.dropOrderUpdates && message.arg.channel === 'orders' ? harness.dropped : harness.messages).push(message)
+    });
+
+    harness.balances = new BalanceTracker();
+    harness.balances.applyDetails(harness.exchange.getBalance().details, true);
+
+    harness.strategy = createStrategy({
+        config,
+        clock,
+        logger: new Logger({ level: logLevel, now: () => clock.now() }),
+        balances: harness.balances,
+        stateStore,
+        journal,
+        api: {
+            apiRequest: async (method, endpoint, body = null) => {
+                harness.apiCalls.push(`${method} ${endpoint.split('?')[0]}`);
+                const response = await harness.exchange.request(method, endpoint, body);
+                if (response.code !== '0') {
+                    const error = new Error(`API Error: ${response.msg} (Code: ${response.code})`);
+                    error.code = response.code;
+                    // Flagged like the bot's sendApiRequest() does: not found, already filled or cancelled
+                    error.isOrderState = ORDER_STATE_CODES.has(response.code);
+                    throw error;
+                }
+                return response;
+            }
+        }
+    });
+
+    // Deliver queued order updates (and those of the orders they place) until things are quiet
+    harness.settle = async (messages = harness.messages) => {
+        for (let idleRounds = 0; idleRounds < 2;) {
+            await new Promise(resolve => setImmediate(resolve));
+            if (messages.length === 0) {
+                idleRounds++;
+                continue;
+            }
+
+            idleRounds = 0;
+            while (messages.length > 0) {
+                const message = messages.shift();
+                if (message.arg.channel === 'account') {
+                    harness.balances.applyDetails(message.data[0].details);
+                } else if (message.arg.channel === 'orders') {
+                    for (const orderUpdate of message.data) {
+                        await harness.strategy.handleOrderUpdate(orderUpdate);
+                    }
+                }
+            }
+        }
+    };
+
+    // One price update `stepMs` after the previous one
+    harness.tick = async (price, stepMs = 1000) => {
+        await clock.advanceTo(clock.now() + stepMs, harness.settle);
+        harness.strategy.updatePrice(price);
+        harness.exchange.onTicker(SYMBOL, price);
+        await harness.settle();
+    };
+
+    harness.start = async (price) => {
+        harness.exchange.onTicker(SYMBOL, price);
+        await harness.strategy.fetchInstrumentDetails();
+        await harness.strategy.fetchFeeRates();
+        harness.strategy.updatePrice(price);
+        harness.strategy.startTrading();
+        await harness.settle();
+    };
+
+    harness.openOrders = () => harness.exchange.getOpenOrders(SYMBOL);
+
+    return harness;
+}
+
+module.exports = { createHarness, SYMBOL, START_TIME };
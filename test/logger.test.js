@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../src/logger');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Log `count` numbered entries without writing them to the console
+function logEntries(logger, count, from = 0) {
+    const write = process.stdout.write;
+    process.stdout.write = () => true;
+    try {
+        for (let i = from; i < from + count; i++) {
+            logger.info(`entry ${String(i).padStart(3, '0')} ${'x'.repeat(60)}`);
+        }
+    } finally {
+        process.stdout.write = write;
+    }
+}
+
+const readEntries = filePath => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line).msg.slice(0, 9));
+
+test('rotates the log file at LOG_MAX_FILE_MB, keeping LOG_MAX_FILES old files', (t) => {
+    const logFile = path.join(tempDir(t), 'logs', 'bot.log');
+    const maxBytes = 0.001 * 1024 * 1024;
+    const logger = Logger.fromConfig({ LOG_LEVEL: 'info', LOG_LEVELS: '', LOG_FORMAT: 'text', LOG_FILE: logFile, LOG_MAX_FILE_MB: 0.001, LOG_MAX_FILES: 2 });
+
+    logEntries(logger, 40);
+
+    assert.deepEqual(fs.readdirSync(path.dirname(logFile)).sort(), ['bot.log', 'bot.log.1', 'bot.log.2']);
+    for (const file of [logFile, `${logFile}.1`, `${logFile}.2`]) {
+        assert.ok(fs.statSync(file).size <= maxBytes, `${file} is ${fs.statSync(file).size} bytes`);
+    }
+
+    // The newest entries are in bot.log, older ones in .1 and .2, the oldest are gone
+    const kept = [...readEntries(`${logFile}.2`), ...readEntries(`${logFile}.1`), ...readEntries(logFile)];
+    assert.equal(kept.at(-1), 'entry 039');
+    assert.ok(kept.length < 40);
+    assert.deepEqual(kept, Array.from({ length: kept.length }, (_, i) => `entry ${String(40 - kept.length + i).padStart(3, '0')}`));
+});
+
+test('a restart appends to the log file and rotates it by its size on disk', (t) => {
+    const logFile = path.join(tempDir(t), 'bot.log');
+    const config = { LOG_LEVEL: 'info', LOG_LEVELS: '', LOG_FORMAT: 'text', LOG_FILE: logFile, LOG_MAX_FILE_MB: 0.001, LOG_MAX_FILES: 1 };
+
+    logEntries(Logger.fromConfig(config), 5);
+    const sizeBefore = fs.statSync(logFile).size;
+    logEntries(Logger.fromConfig(config), 1, 5);
+    assert.ok(fs.statSync(logFile).size > sizeBefore);
+    assert.deepEqual(readEntries(logFile).slice(-2), ['entry 004', 'entry 005']);
+
+    logEntries(Logger.fromConfig(config), 10, 6);
+    assert.ok(fs.existsSync(`${logFile}.1`));
+    assert.ok(!fs.existsSync(`${logFile}.2`));
+    assert.equal(readEntries(logFile).at(-1), 'entry 015');
+});
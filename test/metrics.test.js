@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const BotMetrics = require('../src/metrics');
+const { createHarness, SYMBOL } = require('./harness');
+
+// One request without keep-alive, so the server can close right after the test
+function request(metrics, pathname) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: metrics.server.address().port, path: pathname, agent: false }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, contentType: res.headers['content-type'], body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+async function createMetrics() {
+    const harness = createHarness({ overrides: { PROFIT_PERCENTAGE_PER_TRADE: 1, DCA_BUY_PERCENTAGE_BELOW: 1 } });
+    await harness.start(2000);
+    return new BotMetrics({ strategies: new Map([[SYMBOL, harness.strategy]]), getConnections: () => ({ public: true, private: false }) });
+}
+
+test('renders every family in Prometheus text format', async () => {
+    const metrics = await createMetrics();
+    metrics.recordOrder(SYMBOL, 'buy', 'dca', 'placed');
+    metrics.recordOrder(SYMBOL, 'buy', 'dca', 'placed');
+    metrics.recordApiRequest('POST', '/api/v5/trade/order', 30, { code: '1', data: [{ sCode: '51008' }] });
+    metrics.recordApiRequest('GET', '/api/v5/trade/order?instId=ETH-USDT', 7, null, Object.assign(new Error('timeout'), { status: 504 }));
+    metrics.recordWsReconnect('private');
+
+    const body = metrics.render();
+    const lines = body.split('\n');
+    assert.ok(body.endsWith('\n'));
+
+    assert.ok(lines.includes('# HELP okx_bot_orders_total Orders by event (placed, cancelled, filled), side and role (aggressive, dca, profit, grid, flatten)'));
+    assert.ok(lines.includes('# TYPE okx_bot_orders_total counter'));
+    assert.ok(lines.includes('okx_bot_orders_total{symbol="ETH-USDT",side="buy",role="dca",event="placed"} 2'));
+
+    // Rejected orders count by their sCode, failed requests by their code or HTTP status; the
+    // query string is not part of the endpoint label
+    assert.ok(lines.includes('okx_bot_api_errors_total{endpoint="/api/v5/trade/order",code="51008"} 1'));
+    assert.ok(lines.includes('okx_bot_api_errors_total{endpoint="/api/v5/trade/order",code="http_504"} 1'));
+
+    // Histogram: cumulative buckets, +Inf, sum and count
+    assert.ok(lines.includes('# TYPE okx_bot_api_request_duration_seconds histogram'));
+    assert.ok(lines.includes('okx_bot_api_request_duration_seconds_bucket{method="POST",endpoint="/api/v5/trade/order",le="0.025"} 0'));
+    assert.ok(lines.includes('okx_bot_api_request_duration_seconds_bucket{method="POST",endpoint="/api/v5/trade/order",le="0.05"} 1'));
+    assert.ok(lines.includes('okx_bot_api_request_duration_seconds_bucket{method="POST",endpoint="/api/v5/trade/order",le="+Inf"} 1'));
+    assert.ok(lines.includes('okx_bot_api_request_duration_seconds_sum{method="POST",endpoint="/api/v5/trade/order"} 0.03'));
+    assert.ok(lines.includes('okx_bot_api_request_duration_seconds_count{method="POST",endpoint="/api/v5/trade/order"} 1'));
+
+    assert.ok(lines.includes('okx_bot_ws_reconnects_total{connection="private"} 1'));
+    assert.ok(lines.includes('okx_bot_ws_connected{connection="public"} 1'));
+    assert.ok(lines.includes('okx_bot_ws_connected{connection="private"} 0'));
+
+    // Gauges read from the strategy: the aggressive buy filled, its sell and the DCA buy are open
+    assert.ok(lines.includes('# TYPE okx_bot_last_price gauge'));
+    assert.ok(lines.includes('okx_bot_last_price{symbol="ETH-USDT"} 2000'));
+    assert.ok(lines.includes('okx_bot_open_sell_orders{symbol="ETH-USDT"} 1'));
+    assert.ok(lines.includes('okx_bot_dca_levels{symbol="ETH-USDT"} 1'));
+    assert.ok(lines.includes('okx_bot_realized_pnl_quote{symbol="ETH-USDT",type="net"} 0'));
+    assert.ok(lines.includes('okx_bot_halted{symbol="ETH-USDT"} 0'));
+
+    // Every sample line is `name{labels} value`
+    for (const line of lines.filter(line => line && !line.startsWith('#'))) {
+        assert.match(line, /^[a-z_]+(\{[a-z_]+="[^"]*"(,[a-z_]+="[^"]*")*\})? -?[\d.e+-]+$/, line);
+    }
+});
+
+test('escapes label values', async () => {
+    const metrics = await createMetrics();
+    metrics.recordOrder('A"B\\C\nD', 'buy', 'dca', 'placed');
+
+    assert.ok(metrics.render().split('\n').includes('okx_bot_orders_total{symbol="A\\"B\\\\C\\nD",side="buy",role="dca",event="placed"} 1'));
+});
+
+test('serves GET /metrics and nothing else', async (t) => {
+    const metrics = await createMetrics();
+    await metrics.start(0, '127.0.0.1', { log: () => {} });
+    t.after(() => metrics.close());
+
+    const response = await request(metrics, '/metrics');
+    assert.equal(response.status, 200);
+    assert.equal(response.contentType, 'text/plain; version=0.0.4; charset=utf-8');
+    assert.match(response.body, /^# HELP okx_bot_orders_total /);
+
+    assert.equal((await request(metrics, '/')).status, 404);
+});
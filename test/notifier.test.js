@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Notifier = require('../src/notifier');
+
+// Local stand-in for the webhook, Telegram and Discord endpoints: records each POST
+async function startStandIn(t, status = 200) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url, body: JSON.parse(raw) });
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return { requests, baseUrl };
+}
+
+function createNotifier(baseUrl, overrides = {}) {
+    const warnings = [];
+    const notifier = Notifier.fromConfig({
+        NOTIFY_WEBHOOK_URL: `${baseUrl}/hook`,
+        TELEGRAM_BOT_TOKEN: '123:abc',
+        TELEGRAM_CHAT_ID: '42',
+        TELEGRAM_API_URL: `${baseUrl}/telegram/`,
+        DISCORD_WEBHOOK_URL: `${baseUrl}/discord`,
+        NOTIFY_EVENTS: 'cycle,anomaly,limit,lifecycle,errors',
+        NOTIFY_DEDUPE_MINUTES: 10,
+        NOTIFY_MAX_PER_MINUTE: 20,
+        NOTIFY_ERROR_REPEAT: 3,
+        NOTIFY_TIMEOUT_MS: 2000,
+        ...overrides
+    }, { warn: message => warnings.push(message) });
+    return { notifier, warnings };
+}
+
+const byPath = (requests, prefix) => requests.filter(request => request.path.startsWith(prefix));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('is off without sinks and checks its settings', () => {
+    assert.equal(Notifier.fromConfig({ NOTIFY_EVENTS: 'cycle' }), null);
+    assert.throws(() => Notifier.fromConfig({ TELEGRAM_BOT_TOKEN: 'x', NOTIFY_EVENTS: 'cycle' }), /TELEGRAM_CHAT_ID/);
+    assert.throws(() => Notifier.fromConfig({ NOTIFY_WEBHOOK_URL: 'http://localhost', NOTIFY_EVENTS: 'cycle,fills' }), /Unknown notification event "fills"/);
+});
+
+test('sends the webhook, Telegram and Discord payloads', async (t) => {
+    const { requests, baseUrl } = await startStandIn(t);
+    const { notifier } = createNotifier(baseUrl);
+
+    await notifier.notify('cycle', '✅ Cycle completed: +0.5 USDT', { symbol: 'ETH-USDT' });
+
+    const [webhook] = byPath(requests, '/hook');
+    assert.equal(webhook.body.event, 'cycle');
+    assert.equal(webhook.body.symbol, 'ETH-USDT');
+    assert.equal(webhook.body.text, '✅ Cycle completed: +0.5 USDT');
+    assert.equal(webhook.body.message, '[ETH-USDT] ✅ Cycle completed: +0.5 USDT');
+    assert.ok(!Number.isNaN(Date.parse(webhook.body.ts)));
+
+    const [telegram] = byPath(requests, '/telegram');
+    assert.equal(telegram.path, '/telegram/bot123:abc/sendMessage');
+    assert.deepEqual(telegram.body, { chat_id: '42', text: '[ETH-USDT] ✅ Cycle completed: +0.5 USDT', disable_web_page_preview: true });
+
+    const [discord] = byPath(requests, '/discord');
+    assert.deepEqual(discord.body, { content: '[ETH-USDT] ✅ Cycle completed: +0.5 USDT' });
+});
+
+test('skips events that are not enabled', async (t) => {
+    const { requests, baseUrl } = await startStandIn(t);
+    const { notifier } = createNotifier(baseUrl, { NOTIFY_EVENTS: 'limit' });
+
+    await notifier.notify('cycle', 'Cycle completed');
+    assert.equal(requests.length, 0);
+});
+
+test('de-duplicates messages that only differ in numbers and counts the repeats', async (t) => {
+    const { requests, baseUrl } = await startStandIn(t);
+    const { notifier } = createNotifier(baseUrl, { NOTIFY_WEBHOOK_URL: '', TELEGRAM_BOT_TOKEN: '', TELEGRAM_CHAT_ID: '', NOTIFY_DEDUPE_MINUTES: 0.001 });
+
+    await notifier.notify('anomaly', '🚨 ORPHANED ORDER: 1001 (buy)');
+    await notifier.notify('anomaly', '🚨 ORPHANED ORDER: 1002 (buy)');
+    await notifier.notify('anomaly', '🚨 ORPHANED ORDER: 1003 (buy)');
+    // A different symbol is a different message
+    await notifier.notify('anomaly', '🚨 ORPHANED ORDER: 1004 (buy)', { symbol: 'BTC-USDT' });
+    assert.deepEqual(byPath(requests, '/discord').map(request => request.body.content), [
+        '🚨 ORPHANED ORDER: 1001 (buy)',
+        '[BTC-USDT] 🚨 ORPHANED ORDER: 1004 (buy)'
+    ]);
+
+    // Once the window (60 ms here) has passed, the next one goes out with the count
+    await sleep(80);
+    await notifier.notify('anomaly', '🚨 ORPHANED ORDER: 1005 (buy)');
+    assert.match(byPath(requests, '/discord')[2].body.content, /^🚨 ORPHANED ORDER: 1005 \(buy\) \(repeated 2 more times since .+\)$/);
+});
+
+test('reports notifications dropped by the rate limit in the next one', async (t) => {
+    const { requests, baseUrl } = await startStandIn(t);
+    const { notifier } = createNotifier(baseUrl, { NOTIFY_WEBHOOK_URL: '', DISCORD_WEBHOOK_URL: '', NOTIFY_MAX_PER_MINUTE: 2 });
+
+    await notifier.notify('cycle', 'Cycle A');
+    await notifier.notify('anomaly', 'Missed fill');
+    await notifier.notify('cycle', 'Cycle B');
+    await notifier.notify('cycle', 'Cycle C');
+    assert.equal(requests.length, 2);
+
+    // Halts are never throttled, and carry the count of what was dropped
+    await notifier.notify('limit', '🛑 TRADING HALTED');
+    assert.equal(requests.length, 3);
+    assert.equal(requests[2].body.text, '🛑 TRADING HALTED (2 notifications dropped by the rate limit)');
+});
+
+test('only notifies errors that keep coming', async (t) => {
+    const { requests, baseUrl } = await startStandIn(t);
+    const { notifier } = createNotifier(baseUrl, { NOTIFY_WEBHOOK_URL: '', TELEGRAM_BOT_TOKEN: '', TELEGRAM_CHAT_ID: '' });
+
+    notifier.recordError('API request failed (attempt 3/3): timeout of 10000ms exceeded');
+    notifier.recordError('Failed to place order 17');
+    notifier.recordError('API request failed (attempt 3/3): timeout of 10000ms exceeded');
+    await notifier.flush();
+    assert.equal(requests.length, 0);
+
+    notifier.recordError('API request failed (attempt 3/3): timeout of 10000ms exceeded');
+    await notifier.flush();
+    assert.equal(requests.length, 1);
+    assert.match(requests[0].body.content, /^❗ Repeated error \(3x in 10 min\): API request failed/);
+});
+
+test('logs sink failures instead of throwing', async (t) => {
+    const { baseUrl } = await startStandIn(t, 500);
+    const { notifier, warnings } = createNotifier(baseUrl, { TELEGRAM_BOT_TOKEN: '', TELEGRAM_CHAT_ID: '' });
+
+    await notifier.notify('lifecycle', '🚀 Bot started');
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /webhook notification failed \(HTTP 500\)/);
+    assert.match(warnings[1], /discord notification failed \(HTTP 500\)/);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, SYMBOL } = require('./harness');
+
+// Each price update fills at most 40% of an order: a buy fills in three parts (40/40/20)
+function createPartialFillHarness(overrides = {}) {
+    return createHarness({ partialFillPercent: 40, overrides: { PROFIT_PERCENTAGE_PER_TRADE: 1, DCA_BUY_PERCENTAGE_BELOW: 1, ...overrides } });
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+const sellSizes = strategy => Array.from(strategy.openSellOrders.values(), sell => sell.size);
+
+test('average-cost exit: the parts of one buy are one level, merged from the second buy on', async () => {
+    const harness = createPartialFillHarness({ EXIT_POLICY: 'average_cost', AVERAGE_COST_EXIT_LEVELS: 2 });
+    const { strategy } = harness;
+
+    await harness.start(2000);
+    await harness.tick(2000);
+    await harness.tick(2000);
+    // Three sells for the first buy, not merged
+    assert.equal(strategy.openSellOrders.size, 3);
+    assert.equal(strategy.getDcaLevels(), 1);
+
+    // The first part of the DCA buy is the second level
+    await harness.tick(1975);
+    const [merged] = strategy.openSellOrders.values();
+    assert.equal(strategy.openSellOrders.size, 1);
+    assert.equal(merged.levels, 2);
+    assert.equal(strategy.getDcaLevels(), 2);
+
+    // Its other parts join the merged sell without adding levels
+    await harness.tick(1975);
+    await harness.tick(1975);
+    const [position] = strategy.openSellOrders.values();
+    assert.equal(strategy.openSellOrders.size, 1);
+    assert.equal(position.levels, 2);
+    near(position.size, 2 * strategy.calculateTradeSize(2000));
+});
+
+test('MAX_DCA_LEVELS counts buy orders, not the sells of their partial fills', async () => {
+    const harness = createPartialFillHarness({ MAX_DCA_LEVELS: 2 });
+    const { strategy } = harness;
+
+    await harness.start(2000);
+    await harness.tick(2000);
+    await harness.tick(2000);
+    assert.equal(strategy.openSellOrders.size, 3);
+    assert.equal(strategy.getDcaLevels(), 1);
+    assert.equal(strategy.findBuyLimit(1980, strategy.calculateTradeSize(1980)), null);
+    assert.ok(strategy.pendingDcaBuyOrder);
+
+    // The DCA buy fills in three parts: the second level, and the last one allowed
+    for (let i = 0; i < 3; i++) {
+        await harness.tick(1975);
+    }
+    assert.equal(strategy.openSellOrders.size, 6);
+    assert.equal(strategy.getDcaLevels(), 2);
+    assert.equal(strategy.pendingDcaBuyOrder, null);
+    assert.equal(strategy.buyPause?.limit, 'MAX_DCA_LEVELS');
+});
+
+test('a buy cancelled after partial fills sells what filled, with the part carried before', async () => {
+    // 40% of 0.00002 is below the 0.00001 minimum order size
+    const harness = createPartialFillHarness({ BASE_CURRENCY_TRADE_AMOUNT: 0.00002 });
+    const { strategy } = harness;
+
+    await harness.start(2000);
+    const buy = strategy.currentAggressiveBuyOrder;
+    assert.equal(strategy.openSellOrders.size, 0);
+    near(strategy.carriedBase.size, 0.000008);
+
+    // The second part's update is lost; the cancel update reports both parts
+    harness.dropOrderUpdates = true;
+    await harness.tick(2000);
+    harness.dropOrderUpdates = false;
+    await harness.exchange.request('POST', '/api/v5/trade/cancel-order', { instId: SYMBOL, ordId: buy.orderId });
+    await harness.settle();
+
+    assert.equal(strategy.currentAggressiveBuyOrder, null);
+    assert.deepEqual(sellSizes(strategy), [0.000016]);
+    assert.equal(strategy.carriedBase.size, 0);
+    assert.equal(strategy.getDcaLevels(), 1);
+    assert.ok(strategy.pendingDcaBuyOrder);
+});
+
+test('the parts of a buy until its full fill are one level; the part too small to sell is carried', async () => {
+    // Parts of 0.000016, 0.000016 and 0.000008, the last below the minimum order size
+    const harness = createPartialFillHarness({ BASE_CURRENCY_TRADE_AMOUNT: 0.00004 });
+    const { strategy } = harness;
+
+    await harness.start(2000);
+    assert.deepEqual(sellSizes(strategy), [0.000016]);
+    assert.equal(strategy.getDcaLevels(), 1);
+
+    await harness.tick(2000);
+    await harness.tick(2000);
+    assert.equal(strategy.currentAggressiveBuyOrder, null);
+    assert.deepEqual(sellSizes(strategy), [0.000016, 0.000016]);
+    near(strategy.carriedBase.size, 0.000008);
+    assert.equal(strategy.getDcaLevels(), 1);
+
+    // The first part of the DCA buy goes out with the carried base
+    const dcaBuy = strategy.pendingDcaBuyOrder;
+    await harness.tick(1975);
+    assert.equal(sellSizes(strategy).length, 3);
+    near(sellSizes(strategy)[2], 0.000024);
+    assert.equal(strategy.carriedBase.size, 0);
+    assert.equal(strategy.getDcaLevels(), 2);
+
+    await harness.tick(1975);
+    await harness.tick(1975);
+    assert.notEqual(strategy.pendingDcaBuyOrder.orderId, dcaBuy.orderId);
+    assert.deepEqual(sellSizes(strategy).slice(3), [0.000016]);
+    near(strategy.carriedBase.size, 0.000008);
+    assert.equal(strategy.getDcaLevels(), 2);
+});
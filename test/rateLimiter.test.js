@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../src/rateLimiter');
+const { VirtualClock } = require('../src/clock');
+
+// Resolve order of acquire() calls, as labels
+function track(limiter, order, label, method, endpoint, body) {
+    return limiter.acquire(method, endpoint, body).then(() => order.push(label));
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('a backed-off bucket does not hold up lower priority requests on other buckets', async () => {
+    const clock = new VirtualClock(0);
+    const limiter = new RateLimiter({ clock });
+    const order = [];
+    const placeOrder = { instId: 'ETH-USDT', side: 'buy' };
+
+    limiter.backoff('POST', '/api/v5/trade/order', placeOrder, '50011');
+    track(limiter, order, 'order', 'POST', '/api/v5/trade/order', placeOrder);
+    track(limiter, order, 'fills', 'GET', '/api/v5/trade/fills-history?instType=SPOT&instId=ETH-USDT');
+    track(limiter, order, 'balance', 'GET', '/api/v5/account/balance');
+    await flush();
+
+    assert.deepEqual(order, ['fills', 'balance']);
+
+    await clock.advanceTo(2000, flush);
+    assert.deepEqual(order, ['fills', 'balance', 'order']);
+});
+
+test('requests on one bucket wait for tokens in arrival order', async () => {
+    const clock = new VirtualClock(0);
+    const limiter = new RateLimiter({ clock, utilization: 0.1 });
+    const order = [];
+
+    // 10 x 0.1 = 1 token per 2 s for fills-history
+    track(limiter, order, 'first', 'GET', '/api/v5/trade/fills-history');
+    track(limiter, order, 'second', 'GET', '/api/v5/trade/fills-history');
+    track(limiter, order, 'third', 'GET', '/api/v5/trade/fills-history');
+    await flush();
+    assert.deepEqual(order, ['first']);
+
+    await clock.advanceTo(2000, flush);
+    assert.deepEqual(order, ['first', 'second']);
+
+    await clock.advanceTo(4000, flush);
+    assert.deepEqual(order, ['first', 'second', 'third']);
+});
+
+test('batch requests use the bucket of their instrument and cost one token per order', () => {
+    const clock = new VirtualClock(0);
+    const limiter = new RateLimiter({ clock });
+    const batch = [
+        { instId: 'BTC-USDT', ordId: '1' },
+        { instId: 'BTC-USDT', ordId: '2' },
+        { instId: 'BTC-USDT', ordId: '3' }
+    ];
+
+    const { key, bucket } = limiter.getBucket('POST', '/api/v5/trade/cancel-batch-orders', batch);
+    assert.equal(key, 'POST /api/v5/trade/cancel-batch-orders BTC-USDT');
+
+    limiter.acquire('POST', '/api/v5/trade/cancel-batch-orders', batch);
+    assert.equal(bucket.tokens, bucket.capacity - 3);
+
+    // Other instruments have their own bucket
+    const other = limiter.getBucket('POST', '/api/v5/trade/cancel-batch-orders', [{ instId: 'ETH-USDT', ordId: '4' }]);
+    assert.notEqual(other.bucket, bucket);
+});
+
+test('a rate limit error backs off the endpoint, doubling on consecutive hits', () => {
+    const clock = new VirtualClock(0);
+    const limiter = new RateLimiter({ clock });
+    const body = { instId: 'ETH-USDT' };
+
+    assert.ok(limiter.isRateLimitError({ code: '50011' }));
+    assert.ok(limiter.isRateLimitError({ status: 429 }));
+    assert.ok(!limiter.isRateLimitError({ code: '51008' }));
+
+    assert.equal(limiter.backoff('POST', '/api/v5/trade/order', body, '50011'), 2000);
+    assert.equal(limiter.backoff('POST', '/api/v5/trade/order', body, '50011'), 4000);
+
+    limiter.recordSuccess('POST', '/api/v5/trade/order', body);
+    assert.equal(limiter.backoff('POST', '/api/v5/trade/order', body, '50011'), 2000);
+});
+
+test('an order gets ahead of queued ticker calls for the shared request slots', async () => {
+    const clock = new VirtualClock(0);
+    const limiter = new RateLimiter({ clock, maxInFlight: 2 });
+    const order = [];
+    const releases = {};
+    const start = (label, method, endpoint, body) => limiter.acquire(method, endpoint, body).then(release => {
+        order.push(label);
+        releases[label] = release;
+    });
+    const placeOrder = { instId: 'ETH-USDT', side: 'buy' };
+
+    // One ticker call in flight; the other slot is kept for order entry
+    start('ticker 1', 'GET', '/api/v5/market/ticker?instId=ETH-USDT');
+    start('ticker 2', 'GET', '/api/v5/market/ticker?instId=ETH-USDT');
+    start('order 1', 'POST', '/api/v5/trade/order', placeOrder);
+    await flush();
+    assert.deepEqual(order, ['ticker 1', 'order 1']);
+
+    // Both slots are taken: the order that comes in next is served before the older ticker call
+    start('order 2', 'POST', '/api/v5/trade/order', placeOrder);
+    releases['ticker 1']();
+    await flush();
+    assert.deepEqual(order, ['ticker 1', 'order 1', 'order 2']);
+
+    // With an order in flight the ticker call may not take the slot kept for order entry
+    releases['order 1']();
+    await flush();
+    assert.deepEqual(order, ['ticker 1', 'order 1', 'order 2']);
+
+    releases['order 2']();
+    await flush();
+    assert.deepEqual(order, ['ticker 1', 'order 1', 'order 2', 'ticker 2']);
+
+    // Releasing twice doesn't free a second slot
+    releases['order 2']();
+    assert.equal(limiter.inFlight, 1);
+});
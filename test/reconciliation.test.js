@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, SYMBOL } = require('./harness');
+
+// Past the grace period in which changes are left to the private socket
+const AFTER_GRACE_MS = 20000;
+
+// Aggressive buy at 2000 with its profit sell, and a DCA buy resting at 1980
+async function startTrading(overrides = {}) {
+    const harness = createHarness({ overrides: { PROFIT_PERCENTAGE_PER_TRADE: 1, DCA_BUY_PERCENTAGE_BELOW: 1, ...overrides } });
+    await harness.start(2000);
+    assert.equal(harness.strategy.openSellOrders.size, 1);
+    return harness;
+}
+
+// The DCA buy fills while its order updates are lost
+async function missDcaFill(harness) {
+    const dcaBuy = harness.strategy.pendingDcaBuyOrder;
+    harness.dropOrderUpdates = true;
+    await harness.tick(1975);
+    harness.dropOrderUpdates = false;
+    await harness.tick(1975, AFTER_GRACE_MS);
+
+    assert.ok(harness.dropped.length > 0);
+    assert.equal(harness.strategy.pendingDcaBuyOrder.orderId, dcaBuy.orderId);
+    return dcaBuy;
+}
+
+function placeManualOrder(harness, clOrdId) {
+    return harness.exchange.request('POST', '/api/v5/trade/order', {
+        instId: SYMBOL, tdMode: 'cash', side: 'buy', ordType: 'limit', px: '1500', sz: '0.01', clOrdId
+    }).then(response => response.data[0].ordId);
+}
+
+test('applies a missed buy fill once, however late its order update turns up', async () => {
+    const harness = await startTrading();
+    const { strategy } = harness;
+    const dcaBuy = await missDcaFill(harness);
+
+    assert.equal(await strategy.reconcileOrders(), 1);
+    await harness.settle();
+    assert.equal(strategy.openSellOrders.size, 2);
+    assert.ok(Array.from(strategy.openSellOrders.values()).some(sell => sell.buyOrderId === dcaBuy.orderId));
+    assert.notEqual(strategy.pendingDcaBuyOrder.orderId, dcaBuy.orderId);
+
+    // The lost update arrives after all, and a second check finds nothing new
+    await harness.settle(harness.dropped);
+    assert.equal(await strategy.reconcileOrders(), 0);
+    assert.equal(strategy.openSellOrders.size, 2);
+    assert.equal(harness.openOrders().filter(order => order.side === 'sell').length, 2);
+});
+
+test('applies a missed sell fill as realized profit', async () => {
+    const harness = await startTrading();
+    const { strategy } = harness;
+    const [sellOrderId] = strategy.openSellOrders.keys();
+
+    harness.dropOrderUpdates = true;
+    await harness.tick(2030);
+    harness.dropOrderUpdates = false;
+    await harness.tick(2030, AFTER_GRACE_MS);
+    assert.equal(strategy.totalRealizedProfit, 0);
+
+    assert.equal(await strategy.reconcileOrders(), 1);
+    await harness.settle();
+    assert.ok(strategy.totalRealizedProfit > 0);
+    assert.equal(strategy.openSellOrders.has(sellOrderId), false);
+    assert.equal(strategy.completedCycles, 1);
+
+    const profit = strategy.totalRealizedProfit;
+    await harness.settle(harness.dropped);
+    assert.equal(strategy.totalRealizedProfit, profit);
+    assert.equal(strategy.completedCycles, 1);
+});
+
+test('an order the exchange no longer knows (51603) is applied from its fills, not taken for a cancel', async () => {
+    const harness = await startTrading({ MAX_CONSECUTIVE_API_ERRORS: 1 });
+    const { strategy } = harness;
+    const dcaBuy = await missDcaFill(harness);
+    harness.exchange.closedOrders.delete(dcaBuy.orderId);
+    await assert.rejects(harness.exchange.request('GET', `/api/v5/trade/order?instId=${SYMBOL}&ordId=${dcaBuy.orderId}`).then(response => {
+        if (response.code !== '0') throw new Error(response.code);
+    }), /51603/);
+
+    assert.equal(await strategy.reconcileOrders(), 1);
+    await harness.settle();
+
+    const sell = Array.from(strategy.openSellOrders.values()).find(sellInfo => sellInfo.buyOrderId === dcaBuy.orderId);
+    assert.ok(sell);
+    assert.equal(sell.size, dcaBuy.size);
+    assert.ok(Math.abs(sell.buyPrice - dcaBuy.price) < 1e-9);
+    assert.equal(strategy.orderFills.has(dcaBuy.orderId), false);
+    // The lookup's 51603 isn't an API failure
+    assert.equal(strategy.halt, null);
+});
+
+test('an order the exchange no longer knows and that never filled is handled as cancelled', async () => {
+    const harness = await startTrading();
+    const { strategy } = harness;
+    const dcaBuy = strategy.pendingDcaBuyOrder;
+
+    harness.dropOrderUpdates = true;
+    await harness.exchange.request('POST', '/api/v5/trade/cancel-order', { instId: SYMBOL, ordId: dcaBuy.orderId });
+    harness.dropOrderUpdates = false;
+    harness.exchange.closedOrders.delete(dcaBuy.orderId);
+    await harness.tick(2000, AFTER_GRACE_MS);
+
+    assert.equal(await strategy.reconcileOrders(), 1);
+    await harness.settle();
+    assert.equal(strategy.openSellOrders.size, 1);
+    assert.notEqual(strategy.pendingDcaBuyOrder?.orderId, dcaBuy.orderId);
+});
+
+test('the periodic check cancels untracked orders of the bot and leaves other orders alone', async () => {
+    const harness = await startTrading();
+    const manualOrderId = await placeManualOrder(harness, 'manual1');
+    const strayOrderId = await placeManualOrder(harness, 'bot1700000000000abcdef');
+    await harness.tick(2000, AFTER_GRACE_MS);
+
+    await harness.strategy.reconcileOrders();
+    await harness.strategy.reconcileOrders();
+    await harness.settle();
+
+    const openOrderIds = harness.openOrders().map(order => order.ordId);
+    assert.ok(openOrderIds.includes(manualOrderId));
+    assert.ok(!openOrderIds.includes(strayOrderId));
+    assert.deepEqual(Array.from(harness.strategy.foreignOrderIds), [manualOrderId]);
+});
+
+test('halts, shutdown and a fresh start only cancel the orders of the bot', async () => {
+    const harness = await startTrading();
+    const { strategy } = harness;
+    const manualBuyId = await placeManualOrder(harness, 'manual1');
+    const openIds = () => harness.openOrders().map(order => order.ordId);
+
+    await strategy.haltTrading('test', 'cancel_all');
+    await harness.settle();
+    assert.deepEqual(openIds(), [manualBuyId]);
+
+    const strayOrderId = await placeManualOrder(harness, 'bot1700000000000abcdef');
+    const startingFresh = strategy.cancelAllOrdersAndStartFresh();
+    await harness.settle();
+    await harness.tick(2000, 2000);
+    await startingFresh;
+    await harness.settle();
+    assert.ok(openIds().includes(manualBuyId));
+    assert.ok(!openIds().includes(strayOrderId));
+
+    await strategy.cancelOrdersForShutdown(true);
+    await harness.settle();
+    assert.deepEqual(openIds(), [manualBuyId]);
+});
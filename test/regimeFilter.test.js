@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RegimeFilter = require('../src/regimeFilter');
+const { createHarness } = require('./harness');
+
+const MINUTE = 60000;
+
+const REGIME_DEFAULTS = {
+    REGIME_EMA_FAST: 3,
+    REGIME_EMA_SLOW: 5,
+    REGIME_DROP_PERCENT: 3,
+    REGIME_DROP_MINUTES: 15,
+    REGIME_RSI_PERIOD: 5,
+    REGIME_RSI_BELOW: 25,
+    REGIME_COOLDOWN_MINUTES: 5
+};
+
+// Feed one price per minute; returns the minutes at which the regime changed
+function run(filter, prices) {
+    const changes = [];
+    let currentMinute = 0;
+    filter.on('change', ({ riskOff }) => changes.push([currentMinute, riskOff ? 'risk-off' : 'normal']));
+    prices.forEach((price, minute) => {
+        currentMinute = minute;
+        filter.update(price, minute * MINUTE);
+    });
+    return changes;
+}
+
+const repeat = (price, count) => Array(count).fill(price);
+
+test('is off without filters and rejects unknown ones', () => {
+    assert.equal(RegimeFilter.fromConfig({ ...REGIME_DEFAULTS, REGIME_FILTERS: '' }), null);
+    assert.throws(() => RegimeFilter.fromConfig({ ...REGIME_DEFAULTS, REGIME_FILTERS: 'ema,macd' }), /Unknown regime filter "macd"/);
+});
+
+test('drop: risk-off on a fast fall, normal once the high leaves the window and the cooldown is over', () => {
+    const filter = RegimeFilter.fromConfig({ ...REGIME_DEFAULTS, REGIME_FILTERS: 'drop' });
+
+    // 100 until minute 9, 96.5 (-3.5%) from minute 10. The minute 9 high leaves the 15m window
+    // at minute 25, then the 5m cooldown runs out at minute 29.
+    const changes = run(filter, [...repeat(100, 10), ...repeat(96.5, 30)]);
+
+    assert.deepEqual(changes, [[10, 'risk-off'], [29, 'normal']]);
+    assert.match(filter.reasons[0], /^drop: down 3\.50% in 15m/);
+});
+
+test('drop: a slow fall stays normal', () => {
+    const filter = RegimeFilter.fromConfig({ ...REGIME_DEFAULTS, REGIME_FILTERS: 'drop' });
+    const prices = Array.from({ length: 60 }, (_, minute) => 100 - minute * 0.1);
+
+    assert.deepEqual(run(filter, prices), []);
+});
+
+test('ema: risk-off while the fast EMA is below the slow one', () => {
+    const filter = RegimeFilter.fromConfig({ ...REGIME_DEFAULTS, REGIME_FILTERS: 'ema', REGIME_COOLDOWN_MINUTES: 0 });
+    const up = Array.from({ length: 10 }, (_, i) => 100 + i);
+    const down = Array.from({ length: 10 }, (_, i) => 108 - i);
+    const recovery = Array.from({ length: 10 }, (_, i) => 100 + i * 2);
+
+    const changes = run(filter, [...up, ...down, ...recovery]);
+
+    // EMA3 crosses under EMA5 on the third lower close (minute 12); bars are closed by the
+    // next minute's first price
+    assert.deepEqual(changes, [[13, 'risk-off'], [23, 'normal']]);
+});
+
+test('rsi: risk-off after a run of lower closes, not before the period is filled', () => {
+    const filter = RegimeFilter.fromConfig({ ...REGIME_DEFAULTS, REGIME_FILTERS: 'rsi', REGIME_COOLDOWN_MINUTES: 0 });
+    const prices = [...Array.from({ length: 8 }, (_, i) => 100 - i), ...Array.from({ length: 8 }, (_, i) => 94 + i * 2)];
+
+    const changes = run(filter, prices);
+
+    // The period fills with the fifth close-to-close change, seen when minute 6 starts
+    assert.deepEqual(changes, [[6, 'risk-off'], [10, 'normal']]);
+});
+
+test('starts over when time goes backwards', () => {
+    const filter = RegimeFilter.fromConfig({ ...REGIME_DEFAULTS, REGIME_FILTERS: 'drop' });
+    run(filter, [...repeat(100, 5), 90]);
+    assert.equal(filter.isRiskOff(), true);
+
+    // The cooldown belongs to the old series; the drop window holds only the new price
+    filter.update(90, 0);
+    assert.equal(filter.isRiskOff(), false);
+});
+
+test('suspend_buys: the strategy stops placing DCA buys while risk-off and resumes after', async () => {
+    const harness = createHarness({
+        overrides: {
+            ...REGIME_DEFAULTS,
+            REGIME_FILTERS: 'drop',
+            REGIME_ACTIONS: ['suspend_buys'],
+            PROFIT_PERCENTAGE_PER_TRADE: 1,
+            DCA_BUY_PERCENTAGE_BELOW: 1
+        }
+    });
+    const { strategy } = harness;
+    const restingBuys = () => harness.openOrders().filter(order => order.side === 'buy');
+
+    await harness.start(2000);
+    assert.equal(strategy.openSellOrders.size, 1);
+    assert.equal(restingBuys().length, 1);
+
+    // -4% inside a minute fills the DCA buy, and its replacement is held back
+    await harness.tick(1920, MINUTE);
+    assert.equal(strategy.regime.isRiskOff(), true);
+    assert.equal(strategy.buyPause?.limit, 'REGIME_FILTER');
+    assert.equal(restingBuys().length, 0);
+    assert.equal(strategy.openSellOrders.size, 2);
+
+    // Sideways until the 2000 high leaves the window and the cooldown has passed
+    for (let minute = 0; minute < 25 && strategy.regime.isRiskOff(); minute++) {
+        await harness.tick(1920, MINUTE);
+    }
+    assert.equal(strategy.regime.isRiskOff(), false);
+    await harness.settle();
+
+    assert.equal(strategy.buyPause, null);
+    assert.equal(restingBuys().length, 1);
+});
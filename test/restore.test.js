@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot reads its config from the environment when it's loaded, so this comes before any
+// require of src/config: paper trading on two symbols, nothing on disk
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'restore-'));
+Object.assign(process.env, {
+    PAPER: 'true',
+    SYMBOLS: 'ETH-USDT,BTC-USDT',
+    JOURNAL_FORMAT: 'off',
+    STATE_FILE: path.join(dir, 'bot_state.json'),
+    PAPER_STATE_FILE: path.join(dir, 'paper_exchange.json'),
+    LOG_LEVEL: 'silent'
+});
+const OKXTradingBot = require('../index');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Records the ticks and order updates each strategy gets
+function createBot() {
+    const bot = new OKXTradingBot();
+    const seen = [];
+    for (const [symbol, strategy] of bot.strategies) {
+        strategy.updatePrice = price => seen.push(`${symbol} tick ${price}`);
+        strategy.handleOrderUpdate = update => seen.push(`${symbol} order ${update.ordId}`);
+    }
+    return { bot, seen };
+}
+
+const orderMessage = (instId, ordId) => ({ arg: { channel: 'orders' }, data: [{ instId, ordId, state: 'live' }] });
+
+test('a symbol trades as soon as its own state is restored, with the order updates held meanwhile', () => {
+    const { bot, seen } = createBot();
+
+    bot.updatePrice('ETH-USDT', 2000);
+    bot.handlePrivateMessage(orderMessage('ETH-USDT', '1'));
+    bot.handlePrivateMessage(orderMessage('BTC-USDT', '2'));
+    assert.deepEqual(seen, []);
+
+    bot.finishRestoring('ETH-USDT');
+    assert.deepEqual(seen, ['ETH-USDT order 1']);
+
+    bot.updatePrice('ETH-USDT', 2001);
+    bot.updatePrice('BTC-USDT', 40000);
+    bot.handlePrivateMessage(orderMessage('ETH-USDT', '3'));
+    assert.deepEqual(seen, ['ETH-USDT order 1', 'ETH-USDT tick 2001', 'ETH-USDT order 3']);
+
+    bot.finishRestoring('BTC-USDT');
+    bot.updatePrice('BTC-USDT', 40001);
+    assert.deepEqual(seen.slice(3), ['BTC-USDT order 2', 'BTC-USDT tick 40001']);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StateStore = require('../src/stateStore');
+const { createHarness } = require('./harness');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('saves atomically and loads the state back', (t) => {
+    const store = new StateStore(path.join(tempDir(t), 'bot_state.json'));
+    assert.equal(store.load(), null);
+
+    store.save({ symbol: 'ETH-USDT', totalRealizedProfit: 1.5 });
+    assert.deepEqual(store.load(), { symbol: 'ETH-USDT', totalRealizedProfit: 1.5 });
+    assert.equal(fs.existsSync(store.tempPath), false);
+
+    fs.writeFileSync(store.filePath, '{"symbol":');
+    assert.throws(() => store.load(), /is corrupt/);
+});
+
+test('adding a symbol moves the single-symbol state file to the per-symbol one', (t) => {
+    const dir = tempDir(t);
+    const legacyPath = path.join(dir, 'bot_state.json');
+    new StateStore(legacyPath).save({ symbol: 'ETH-USDT', openSellOrders: [{ orderId: 's1' }] });
+
+    // Not for another symbol
+    const btc = new StateStore(path.join(dir, 'bot_state.BTC-USDT.json'));
+    assert.equal(btc.migrateFrom(legacyPath, 'BTC-USDT'), false);
+    assert.equal(btc.load(), null);
+
+    const eth = new StateStore(path.join(dir, 'bot_state.ETH-USDT.json'));
+    assert.equal(eth.migrateFrom(legacyPath, 'ETH-USDT'), true);
+    assert.deepEqual(eth.load().openSellOrders, [{ orderId: 's1' }]);
+    assert.equal(fs.existsSync(legacyPath), false);
+});
+
+test('an existing per-symbol file is kept', (t) => {
+    const dir = tempDir(t);
+    const legacyPath = path.join(dir, 'bot_state.json');
+    new StateStore(legacyPath).save({ symbol: 'ETH-USDT', totalRealizedProfit: 1 });
+    const eth = new StateStore(path.join(dir, 'bot_state.ETH-USDT.json'));
+    eth.save({ symbol: 'ETH-USDT', totalRealizedProfit: 2 });
+
+    assert.equal(eth.migrateFrom(legacyPath, 'ETH-USDT'), false);
+    assert.equal(eth.load().totalRealizedProfit, 2);
+    assert.equal(new StateStore(legacyPath).migrateFrom(legacyPath, 'ETH-USDT'), false);
+});
+
+test('a chased buy is saved at most every STATE_SAVE_DELAY_MS, a fill right away', async () => {
+    const saves = [];
+    const harness = createHarness({
+        overrides: { AGGRESSIVE_BUY_POST_ONLY: true, AGGRESSIVE_BUY_PRICE_MODE: 'bid', STATE_SAVE_DELAY_MS: 1000 },
+        stateStore: { save: state => saves.push(state) }
+    });
+    await harness.start(2000);
+    assert.equal(saves.length, 1);
+
+    // Amended up every 200 ms
+    for (let price = 2001; price <= 2008; price++) {
+        await harness.tick(price, 200);
+    }
+    assert.ok(harness.strategy.currentAggressiveBuyOrder.price > 2005);
+    assert.equal(saves.length, 2);
+
+    // The last move is saved once the price stops moving
+    await harness.tick(2008, 1000);
+    await harness.tick(2008, 1000);
+    assert.ok(saves.length <= 4);
+    assert.equal(saves.at(-1).currentAggressiveBuyOrder.price, harness.strategy.currentAggressiveBuyOrder.price);
+    assert.equal(harness.strategy.persistStateTimeout, null);
+    const savesBeforeFill = saves.length;
+
+    await harness.tick(2007);
+    assert.equal(harness.strategy.openSellOrders.size, 1);
+    assert.ok(saves.length > savesBeforeFill);
+});
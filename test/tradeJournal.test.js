@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradeJournal = require('../src/tradeJournal');
+const { getRoundTrips, summarize } = require('../src/report');
+const { createHarness, SYMBOL, START_TIME } = require('./harness');
+
+const HOUR = 3600000;
+const hasSqlite = (() => {
+    try {
+        require('node:sqlite');
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const buy = (ts, orderId, price, size = 1) => ({ ts, symbol: SYMBOL, side: 'buy', role: 'dca', orderId, price, size, fee: -0.001, feeCcy: 'ETH', feeQuote: 0.001 * price });
+const sell = (ts, orderId, buyOrderId, price, pnl, size = 1) => ({ ts, symbol: SYMBOL, side: 'sell', role: 'profit', orderId, buyOrderId, price, size, fee: -0.1, feeCcy: 'USDT', feeQuote: 0.1, pnl, grossPnl: pnl + 0.1 });
+
+test('picks the format from JOURNAL_FORMAT and puts paper fills in their own file', () => {
+    assert.equal(TradeJournal.getFormat({ JOURNAL_FORMAT: 'off' }), 'off');
+    assert.equal(TradeJournal.getFormat({ JOURNAL_FORMAT: 'csv' }), 'csv');
+    assert.equal(TradeJournal.getFormat({ JOURNAL_FORMAT: 'auto' }), hasSqlite ? 'sqlite' : 'csv');
+    assert.throws(() => TradeJournal.getFormat({ JOURNAL_FORMAT: 'json' }), /Invalid JOURNAL_FORMAT/);
+
+    assert.equal(TradeJournal.getFilePath({ STATE_FILE: 'state/bot_state.json', PAPER: true }, 'csv'), path.resolve('state/trades.paper.csv'));
+    assert.equal(TradeJournal.getFilePath({ STATE_FILE: 'bot_state.json', PAPER: false, JOURNAL_FILE: 'x.sqlite' }, 'sqlite'), path.resolve('x.sqlite'));
+});
+
+test('CSV journal: appends rows and reads them back, quoting where needed', (t) => {
+    const filePath = path.join(tempDir(t), 'trades.csv');
+    const journal = TradeJournal.fromConfig({ JOURNAL_FORMAT: 'csv', JOURNAL_FILE: filePath }, { error: () => {} });
+
+    journal.record(buy(START_TIME, 'b1', 2000));
+    journal.record({ ...sell(START_TIME + HOUR, 's1', 'b1', 2010, 9.9), clOrdId: 'odd,"id"' });
+    journal.close();
+
+    assert.match(journal.describe({ JOURNAL_FORMAT: 'csv' }), /trades\.csv \(csv\)$/);
+
+    // A new journal on the same file keeps the rows
+    const rows = TradeJournal.fromConfig({ JOURNAL_FORMAT: 'csv', JOURNAL_FILE: filePath }).readAll();
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].price, 2000);
+    assert.equal(rows[0].pnl, null);
+    assert.equal(rows[1].clOrdId, 'odd,"id"');
+    assert.equal(rows[1].buyOrderId, 'b1');
+    assert.equal(rows[1].pnl, 9.9);
+});
+
+test('SQLite journal: appends rows and reads them back in time order', { skip: !hasSqlite && `node:sqlite needs ${TradeJournal.SQLITE_REQUIREMENT}` }, (t) => {
+    const filePath = path.join(tempDir(t), 'trades.sqlite');
+    const journal = TradeJournal.fromConfig({ JOURNAL_FORMAT: 'sqlite', JOURNAL_FILE: filePath });
+    assert.equal(journal.format, 'sqlite');
+
+    journal.record(sell(START_TIME + HOUR, 's1', 'b1', 2010, 9.9));
+    journal.record(buy(START_TIME, 'b1', 2000));
+    const rows = journal.readAll();
+    journal.close();
+
+    assert.deepEqual(rows.map(row => row.orderId), ['b1', 's1']);
+    assert.equal(rows[1].pnl, 9.9);
+    assert.equal(rows[1].clOrdId, null);
+});
+
+test('report: round trips, wins and hold times per period', () => {
+    const day = 24 * HOUR;
+    const midnight = Date.UTC(2024, 0, 1);
+    const fills = [
+        buy(midnight, 'b1', 2000),
+        buy(midnight + HOUR, 'b2', 1980),
+        // b2's sell fills in two parts
+        sell(midnight + 2 * HOUR, 's2', 'b2', 2000, 5, 0.5),
+        sell(midnight + 3 * HOUR, 's2', 'b2', 2000, 5, 0.5),
+        // b1's sell the next day, at a loss
+        sell(midnight + day, 's1', 'b1', 1990, -10.1)
+    ];
+
+    const trips = getRoundTrips(fills);
+    assert.equal(trips.length, 2);
+    assert.deepEqual(trips.map(trip => [trip.buyOrderId, trip.pnl, trip.size, trip.holdMs]), [
+        ['b2', 10, 1, 2 * HOUR],
+        ['b1', -10.1, 1, day]
+    ]);
+
+    const [total] = summarize(fills, trips, () => 'total');
+    assert.equal(total.buys, 2);
+    assert.equal(total.sells, 3);
+    assert.equal(total.trips, 2);
+    assert.equal(total.wins, 1);
+    assert.ok(Math.abs(total.net - -0.1) < 1e-9);
+    assert.equal(total.holdMs / total.held, (2 * HOUR + day) / 2);
+
+    const days = summarize(fills, trips, ts => new Date(ts).toISOString().slice(0, 10));
+    assert.deepEqual(days.map(period => [period.period, period.trips, period.wins]), [
+        ['2024-01-01', 1, 1],
+        ['2024-01-02', 1, 0]
+    ]);
+});
+
+test('the strategy journals each buy and the profit sell that closes it', async (t) => {
+    const filePath = path.join(tempDir(t), 'trades.csv');
+    const journal = TradeJournal.fromConfig({ JOURNAL_FORMAT: 'csv', JOURNAL_FILE: filePath });
+    const harness = createHarness({ journal, overrides: { PROFIT_PERCENTAGE_PER_TRADE: 1, DCA_BUY_PERCENTAGE_BELOW: 1 } });
+
+    await harness.start(2000);
+    await harness.tick(2030);
+
+    const [buyFill, sellFill] = journal.readAll();
+    assert.equal(buyFill.side, 'buy');
+    assert.equal(buyFill.role, 'aggressive');
+    assert.equal(sellFill.side, 'sell');
+    assert.equal(sellFill.role, 'profit');
+    assert.equal(sellFill.buyOrderId, buyFill.orderId);
+    assert.equal(sellFill.costPrice, buyFill.price);
+    assert.ok(Math.abs(sellFill.pnl - harness.strategy.totalRealizedProfit) < 1e-9);
+
+    const [trip] = getRoundTrips(journal.readAll());
+    assert.ok(trip.pnl > 0);
+    assert.equal(trip.holdMs, sellFill.ts - buyFill.ts);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const WsOrderGateway = require('../src/wsOrderGateway');
+const LatencyStats = require('../src/latencyStats');
+
+// Stand-in for a logged-in private socket: records what was sent
+function fakeSocket({ failSend = false } = {}) {
+    return {
+        readyState: WebSocket.OPEN,
+        sent: [],
+        send(data) {
+            if (failSend) throw new Error('socket write failed');
+            this.sent.push(JSON.parse(data));
+        }
+    };
+}
+
+test('maps REST order endpoints to WebSocket ops', () => {
+    assert.equal(WsOrderGateway.opFor('POST', '/api/v5/trade/order'), 'order');
+    assert.equal(WsOrderGateway.opFor('POST', '/api/v5/trade/cancel-batch-orders'), 'batch-cancel-orders');
+    assert.equal(WsOrderGateway.opFor('GET', '/api/v5/trade/order?ordId=1'), null);
+    assert.equal(WsOrderGateway.opFor('GET', '/api/v5/account/balance'), null);
+});
+
+test('matches replies to requests by id and records latency', async () => {
+    const latency = new LatencyStats();
+    const gateway = new WsOrderGateway({ latency });
+    const ws = fakeSocket();
+    gateway.attach(ws);
+
+    const reply = gateway.request('order', [{ instId: 'ETH-USDT', clOrdId: 'bot1', side: 'buy' }]);
+    const [sent] = ws.sent;
+    assert.equal(sent.op, 'order');
+    assert.equal(sent.args[0].clOrdId, 'bot1');
+
+    assert.equal(gateway.handleMessage({ id: 'someone-else', code: '0', data: [] }), false);
+    assert.equal(gateway.handleMessage({ id: sent.id, code: '0', msg: '', data: [{ ordId: '42', sCode: '0' }] }), true);
+
+    assert.deepEqual(await reply, { code: '0', msg: '', data: [{ ordId: '42', sCode: '0' }] });
+    assert.equal(gateway.pending.size, 0);
+    assert.equal(latency.summary()[0].transport, 'ws');
+    assert.equal(latency.samples[0].ordId, '42');
+    assert.equal(latency.samples[0].clOrdId, 'bot1');
+});
+
+test('requests that never left the process are flagged notSent', async () => {
+    const gateway = new WsOrderGateway();
+    assert.equal(gateway.isReady(), false);
+    await assert.rejects(gateway.request('order', [{}]), error => error.notSent === true);
+
+    gateway.attach(fakeSocket({ failSend: true }));
+    await assert.rejects(gateway.request('order', [{}]), error => error.notSent === true && /socket write failed/.test(error.message));
+    assert.equal(gateway.pending.size, 0);
+});
+
+test('timed-out and orphaned requests fail without notSent, so they are not re-sent over REST', async () => {
+    const gateway = new WsOrderGateway({ timeoutMs: 20 });
+    gateway.attach(fakeSocket());
+
+    await assert.rejects(gateway.request('cancel-order', [{ ordId: '1' }]), error => error.timeout === true && !error.notSent);
+
+    const outstanding = gateway.request('amend-order', [{ ordId: '2' }]);
+    gateway.detach();
+    await assert.rejects(outstanding, error => !error.notSent && /closed before amend-order/.test(error.message));
+    assert.equal(gateway.isReady(), false);
+});